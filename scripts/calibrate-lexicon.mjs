@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+// Rebuilds the lexicon from a folder of reference texts with known positions.
+//
+//   node scripts/calibrate-lexicon.mjs <text-folder> <anchors.json> [options]
+//
+// anchors.json maps file names in <text-folder> to chart positions:
+//   { "SPD.txt": { "x": 3.5, "y": 4.5 }, "FDP.txt": { "x": 7, "y": 3 } }
+// Texts without an anchor are skipped. See src/lib/calibration.js for how
+// positions and confidences are derived.
+import { readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import { CALIBRATION_DEFAULTS, calibrateLexicon } from "../src/lib/calibration.js";
+
+const USAGE = `Usage: node scripts/calibrate-lexicon.mjs <text-folder> <anchors.json> [options]
+
+Options:
+  --min-frequency <n>  leave out words occurring fewer than n times (default ${CALIBRATION_DEFAULTS.minFrequency})
+  --smoothing <a>      additive smoothing added to every word count (default ${CALIBRATION_DEFAULTS.smoothing})
+  --base <file>        adapt an existing lexicon: keep its words, replace those found in the texts
+  --out <file>         write the lexicon here instead of to stdout
+  -h, --help           show this help`;
+
+function fail(message) {
+  console.error(`calibrate-lexicon: ${message}`);
+  process.exit(1);
+}
+
+function numberOption(value, name, fallback) {
+  if (value === undefined) return fallback;
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 0) fail(`--${name} must be a non-negative number`);
+  return n;
+}
+
+async function readJson(file) {
+  try {
+    return JSON.parse(await readFile(file, "utf8"));
+  } catch (err) {
+    fail(`could not read ${file}: ${err.message}`);
+  }
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs({
+      allowPositionals: true,
+      options: {
+        "min-frequency": { type: "string" },
+        smoothing: { type: "string" },
+        base: { type: "string" },
+        out: { type: "string" },
+        help: { type: "boolean", short: "h" },
+      },
+    });
+  } catch (err) {
+    fail(`${err.message}\n\n${USAGE}`);
+  }
+  const { values, positionals } = args;
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (positionals.length !== 2) fail(`expected a text folder and an anchor file\n\n${USAGE}`);
+  const [folder, anchorFile] = positionals;
+
+  const anchors = await readJson(anchorFile);
+  const texts = [];
+  for (const [file, anchor] of Object.entries(anchors)) {
+    if (!Number.isFinite(anchor?.x) || !Number.isFinite(anchor?.y)) {
+      fail(`anchor for ${file} needs numeric x and y`);
+    }
+    let text;
+    try {
+      text = await readFile(path.join(folder, file), "utf8");
+    } catch (err) {
+      fail(`could not read ${file}: ${err.message}`);
+    }
+    texts.push({ text, x: anchor.x, y: anchor.y });
+  }
+
+  let lexicon;
+  try {
+    lexicon = calibrateLexicon(texts, {
+      minFrequency: numberOption(
+        values["min-frequency"],
+        "min-frequency",
+        CALIBRATION_DEFAULTS.minFrequency
+      ),
+      smoothing: numberOption(values.smoothing, "smoothing", CALIBRATION_DEFAULTS.smoothing),
+    });
+  } catch (err) {
+    fail(err.message);
+  }
+  const calibrated = Object.keys(lexicon).length;
+  if (values.base) {
+    const base = await readJson(values.base);
+    // Calibration only places words on x and y; new words would have no
+    // value for the further dimensions
+    if (Array.isArray(base.dimensions)) {
+      fail(`${values.base} has named dimensions; only plain x/y lexicons can be adapted`);
+    }
+    lexicon = { ...base, ...lexicon };
+  }
+
+  const json = JSON.stringify(lexicon, null, 2) + "\n";
+  if (values.out) {
+    await writeFile(values.out, json);
+  } else {
+    process.stdout.write(json);
+  }
+  console.error(
+    `Calibrated ${calibrated} words from ${texts.length} texts` +
+      (values.base ? `; ${Object.keys(lexicon).length} words in total` : "")
+  );
+}
+
+main();
@@ -0,0 +1,220 @@
+#!/usr/bin/env node
+// Scores text files (or stdin) onto the quadrant and prints one result per
+// input as JSON or CSV.
+//
+//   node scripts/score-texts.mjs [options] [file...]
+//
+// .md and .html files are converted to plain text first, like uploads in the
+// app. Uses the headless API in src/lib/index.js.
+import { readFile } from "node:fs/promises";
+import { parseArgs } from "node:util";
+import {
+  GERMAN_STOPWORDS,
+  NEGATION_MODES,
+  NORMALIZATIONS,
+  SCORING_DEFAULTS,
+  WEIGHTINGS,
+  analyzeText,
+  buildDocumentFrequencies,
+  lexiconWords,
+  projectLexicon,
+  readLexicon,
+  topWords,
+  validAxes,
+} from "../src/lib/index.js";
+import { normalizeWord } from "../src/lib/tokenizer.js";
+import { documentText } from "../src/lib/documentText.js";
+import { toCsv } from "../src/lib/exporters.js";
+
+const DEFAULT_LEXICON = new URL("../src/lexicon_calibrated.json", import.meta.url);
+// Normalizations that need no reference corpus
+const METHODS = Object.keys(NORMALIZATIONS).filter((m) => !NORMALIZATIONS[m].needsReference);
+const CSV_COLUMNS = [
+  "file",
+  "x",
+  "y",
+  "rawX",
+  "rawY",
+  "totalWeight",
+  "tokens",
+  "matchedTokens",
+  "coverage",
+  "topWords",
+  "error",
+];
+
+const USAGE = `Usage: node scripts/score-texts.mjs [options] [file...]
+
+Scores each file, or stdin if no file (or "-") is given. With --weighting
+tfidf, document frequencies are counted across the given files.
+
+Options:
+  --format <json|csv>     output format (default json)
+  --lexicon <file>        lexicon to score with (default src/lexicon_calibrated.json)
+  --axes <x,y>            the two lexicon dimensions to score on (default x,y)
+  --normalization <name>  ${METHODS.join(" or ")} (default ${SCORING_DEFAULTS.normalization})
+  --min-confidence <c>    ignore lexicon words below this confidence (default ${SCORING_DEFAULTS.minConfidence})
+  --negation <mode>       ${Object.keys(NEGATION_MODES).join(", ")}: what happens to words after a negator (default ${SCORING_DEFAULTS.negation})
+  --no-phrases            do not match multi-word lexicon entries
+  --weighting <scheme>    ${Object.keys(WEIGHTINGS).join(", ")} (default ${SCORING_DEFAULTS.weighting})
+  --stopwords             ignore the built-in German stopwords
+  --stopword-file <file>  ignore the words in this file instead (whitespace-separated)
+  --top <n>               top contributing words per text (default 10)
+  -h, --help              show this help`;
+
+function fail(message) {
+  console.error(`score-texts: ${message}`);
+  process.exit(1);
+}
+
+function numberOption(value, name, fallback) {
+  if (value === undefined) return fallback;
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 0) fail(`--${name} must be a non-negative number`);
+  return n;
+}
+
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) chunks.push(chunk);
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+function round(value) {
+  return Number(value.toFixed(4));
+}
+
+function scoreInput(file, text, lexicon, options, top) {
+  const result = analyzeText(text, lexicon, options);
+  const { tokens, matched, ratio } = result.coverage;
+  const row = { file, tokens, matchedTokens: matched, coverage: round(ratio) };
+  if (result.x === undefined) return { ...row, error: "no lexicon words found" };
+  return {
+    ...row,
+    x: round(result.x),
+    y: round(result.y),
+    rawX: round(result.raw.x),
+    rawY: round(result.raw.y),
+    totalWeight: round(result.totalWeight),
+    topWords: topWords(result, top).map((w) => ({
+      word: w.word,
+      negated: w.negated,
+      count: w.count,
+      confidence: round(w.confidence),
+      pullX: round(w.pullX),
+      pullY: round(w.pullY),
+    })),
+  };
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs({
+      allowPositionals: true,
+      options: {
+        format: { type: "string", default: "json" },
+        lexicon: { type: "string" },
+        axes: { type: "string", default: "x,y" },
+        normalization: { type: "string", default: SCORING_DEFAULTS.normalization },
+        "min-confidence": { type: "string" },
+        negation: { type: "string", default: SCORING_DEFAULTS.negation },
+        "no-phrases": { type: "boolean" },
+        weighting: { type: "string", default: SCORING_DEFAULTS.weighting },
+        stopwords: { type: "boolean" },
+        "stopword-file": { type: "string" },
+        top: { type: "string" },
+        help: { type: "boolean", short: "h" },
+      },
+    });
+  } catch (err) {
+    fail(`${err.message}\n\n${USAGE}`);
+  }
+  const { values, positionals } = args;
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (!["json", "csv"].includes(values.format)) fail("--format must be json or csv");
+  if (!METHODS.includes(values.normalization)) {
+    fail(`--normalization must be ${METHODS.join(" or ")}`);
+  }
+  if (!NEGATION_MODES[values.negation]) {
+    fail(`--negation must be one of ${Object.keys(NEGATION_MODES).join(", ")}`);
+  }
+  if (!WEIGHTINGS[values.weighting]) {
+    fail(`--weighting must be one of ${Object.keys(WEIGHTINGS).join(", ")}`);
+  }
+  let stopwords = null;
+  if (values["stopword-file"]) {
+    try {
+      const list = await readFile(values["stopword-file"], "utf8");
+      stopwords = new Set(list.split(/[\s,]+/).map(normalizeWord).filter(Boolean));
+    } catch (err) {
+      fail(`could not read ${values["stopword-file"]}: ${err.message}`);
+    }
+  } else if (values.stopwords) {
+    stopwords = new Set(GERMAN_STOPWORDS);
+  }
+  const options = {
+    ...SCORING_DEFAULTS,
+    normalization: values.normalization,
+    negation: values.negation,
+    phrases: !values["no-phrases"],
+    weighting: values.weighting,
+    stopwords,
+    minConfidence: numberOption(
+      values["min-confidence"],
+      "min-confidence",
+      SCORING_DEFAULTS.minConfidence
+    ),
+  };
+  const top = numberOption(values.top, "top", 10);
+
+  let file;
+  const lexiconFile = values.lexicon || DEFAULT_LEXICON;
+  try {
+    file = readLexicon(JSON.parse(await readFile(lexiconFile, "utf8")));
+  } catch (err) {
+    fail(`could not load the lexicon ${lexiconFile}: ${err.message}`);
+  }
+  const [x, y] = values.axes.split(",");
+  if (!validAxes(file.dimensions, { x, y })) {
+    const ids = file.dimensions.map((d) => d.id);
+    fail(`--axes must be two different dimensions out of ${ids.join(", ")}`);
+  }
+  const lexicon = projectLexicon(file.words, { x, y });
+
+  const files = positionals.length > 0 ? positionals : ["-"];
+  const inputs = [];
+  for (const file of files) {
+    try {
+      const text = file === "-" ? await readStdin() : documentText(file, await readFile(file, "utf8"));
+      inputs.push({ file: file === "-" ? "stdin" : file, text });
+    } catch (err) {
+      inputs.push({ file, error: err.message });
+      process.exitCode = 1;
+    }
+  }
+  if (options.weighting === "tfidf") {
+    const texts = inputs.filter((i) => !i.error).map((i) => i.text);
+    options.documentFrequencies = buildDocumentFrequencies(
+      texts.map((text) => lexiconWords(text, lexicon, { phrases: options.phrases }))
+    );
+  }
+  const results = inputs.map((i) =>
+    i.error ? { file: i.file, error: i.error } : scoreInput(i.file, i.text, lexicon, options, top)
+  );
+
+  if (values.format === "csv") {
+    const rows = results.map((r) => ({
+      ...r,
+      topWords: r.topWords?.map((w) => (w.negated ? `not ${w.word}` : w.word)).join("; "),
+    }));
+    process.stdout.write(toCsv(rows, CSV_COLUMNS));
+  } else {
+    process.stdout.write(JSON.stringify(results, null, 2) + "\n");
+  }
+}
+
+main();
@@ -1,19 +1,132 @@
-import React, { useState, useEffect, useRef } from "react";
-import lexicon from "./lexicon_calibrated.json";
+import React, { useState, useEffect, useMemo, useRef } from "react";
+import lexiconFile from "./lexicon_calibrated.json";
+import {
+  hasEntry,
+  lexiconWords,
+  lookupKeys,
+  normalizeWord,
+  tokenize,
+} from "./lib/tokenizer";
+import {
+  GERMAN_STOPWORDS,
+  WEIGHTINGS,
+  buildDocumentFrequencies,
+  effectiveWeighting,
+} from "./lib/weighting";
+import {
+  NEGATION_MODES,
+  SCORING_DEFAULTS,
+  nearestWords as findNearestWords,
+  placeScore,
+  loadLexicon,
+  rawScore,
+  wordsInRegion,
+} from "./lib";
+import { DEFAULT_LANGUAGE, LANGUAGES, detectLanguage } from "./lib/languages";
+import { describeLanguage, parseLexiconIndex, resolveLexicon } from "./lib/lexiconRegistry";
+import {
+  NORMALIZATIONS,
+  buildReference,
+  effectiveMethod,
+} from "./lib/normalization";
+import { confidenceEllipse } from "./lib/bootstrap";
+import {
+  DEFAULT_AXES,
+  axesInfo,
+  dimensionPairs,
+  projectLexicons,
+  readLexicon,
+  validAxes,
+} from "./lib/dimensions";
+import SettingsPanel, { ELLIPSE_LEVELS } from "./components/SettingsPanel";
+import ShareLink from "./components/ShareLink";
+import ExportMenu from "./components/ExportMenu";
+import { LINK_VERSION, decodeState } from "./lib/permalink";
+import { SECTION_MODES, convexHull, splitSections } from "./lib/sections";
+import { binIndex, binLexicon, renderDensityImage } from "./lib/density";
+import ContributionPanel from "./components/ContributionPanel";
+import PartyLegend from "./components/PartyLegend";
+import DocumentPanel from "./components/DocumentPanel";
+import ComparePanel from "./components/ComparePanel";
+import WordBrowser from "./components/WordBrowser";
+import LanguageSelect from "./components/LanguageSelect";
+import DimensionsPanel from "./components/DimensionsPanel";
+import HighlightedText from "./components/HighlightedText";
+import { highlightText } from "./lib/highlight";
+import { compareScores } from "./lib/compare";
+import TimelinePanel from "./components/TimelinePanel";
+import {
+  buildTracks,
+  compareYears,
+  positionAt,
+  timelineYears,
+} from "./lib/timeline";
+import { loadPartyRegistry } from "./lib/partyRegistry";
+import {
+  FULL_VIEW,
+  clampView,
+  gridStep,
+  gridValues,
+  isFullView,
+  panView,
+  svgToView,
+  viewToSvg,
+  zoomView,
+} from "./lib/viewport";
+import { labelWidth, placeLabels } from "./lib/labels";
+import { isNavigationKey, nextPointIndex } from "./lib/pointNavigation";
+import { buildAutocompleteIndex, suggestWords } from "./lib/autocomplete";
+import LexiconEditor from "./components/LexiconEditor";
+import {
+  applyOverrides,
+  loadOverrides,
+  saveOverrides,
+  setOverride,
+} from "./lib/lexiconOverrides";
+import {
+  DOCUMENT_EXTENSIONS,
+  documentText,
+  extensionOf,
+} from "./lib/documentText";
 
 const SIZE = 800;
 const GRID = 10;
 const CHART_MARGIN = 70; // Margin for axes/labels
 const CHART_SIZE = SIZE - 2 * CHART_MARGIN; // Actual grid size (square)
 const CELL = CHART_SIZE / GRID;
+const CHART_FRAME = { left: CHART_MARGIN, top: CHART_MARGIN, size: CHART_SIZE };
+// Zoom factor of the zoom buttons
+const ZOOM_STEP = 1.5;
+// What dragging on the chart does: pan, or select a box or freehand region
+const SELECT_TOOLS = [
+  ["pan", "Pan", "Drag to pan the chart"],
+  ["rect", "Box", "Drag a rectangle to list the lexicon words inside it"],
+  ["lasso", "Lasso", "Draw around a region to list the lexicon words inside it"],
+];
+// Selections smaller than this (in chart units) are taken as clicks
+const MIN_SELECTION = 0.05;
 const CONFIDENCE_THRESHOLD = 10.0;
+const AUTOCOMPLETE_LIMIT = 8;
+// Tooltips of the autocomplete entries
+const SUGGESTION_KINDS = {
+  exact: "Exact match",
+  prefix: "Starts with what you typed",
+  substring: "Contains what you typed",
+  fuzzy: "Close to what you typed",
+};
 
-const quadrantColors = [
-  "rgba(255,0,0,0.23)",
-  "rgba(0,128,255,0.23)",
-  "rgba(0,255,0,0.18)",
-  "rgba(255,255,0,0.21)",
-];
+// Text A and text B in compare mode
+const COMPARE_COLORS = { a: "#546e7a", b: "#ef6c00" };
+// The built-in lexicon with its dimensions (see lib/dimensions.js)
+const baseFile = readLexicon(lexiconFile);
+const baseLexicon = baseFile.words;
+const tickStyle = {
+  fontSize: 13,
+  fill: "#666",
+  stroke: "#fff",
+  strokeWidth: 3,
+  paintOrder: "stroke fill",
+};
 const axisLabelStyle = {
   fontSize: 48,
   fontWeight: "bold",
@@ -24,131 +137,630 @@ const axisLabelStyle = {
   strokeWidth: 4,
 };
 
-// Converts quadrant data (x:0-10, y:0-10) to SVG coordinates
-function dataToSvg(x, y) {
-  return {
-    sx: CHART_MARGIN + (x / 10) * CHART_SIZE,
-    sy: CHART_MARGIN + ((10 - y) / 10) * CHART_SIZE,
+// Hidden on screen but read by screen readers
+const srOnlyStyle = {
+  position: "absolute",
+  width: 1,
+  height: 1,
+  overflow: "hidden",
+  clip: "rect(0 0 0 0)",
+  whiteSpace: "nowrap",
+};
+// Word list entries are buttons so the keyboard reaches them; they still
+// look like plain list text
+const wordButtonStyle = {
+  background: "none",
+  border: "none",
+  padding: 0,
+  font: "inherit",
+  color: "inherit",
+  textAlign: "left",
+  cursor: "pointer",
+};
+const POINT_TYPES = {
+  party: "Party",
+  history: "Earlier party program",
+  section: "Section",
+  document: "Document",
+  sentence: "Sentence",
+  word: "Word",
+  compare: "Compare text",
+};
+
+// Where a plotted point comes from, for its tooltip and the chart table
+function pointSource(type, pt, overrides) {
+  switch (type) {
+    case "party":
+    case "history":
+      return `${pt.name}${pt.year ? ` (${pt.year})` : ""}, ${pt.file}`;
+    case "section":
+      return `Section of the ${pt.label.split(":")[0]} program`;
+    case "document":
+      return `Uploaded file ${pt.fileName}`;
+    case "sentence":
+      return "Sentence in the editor";
+    case "word":
+      return pt.word in overrides ? "Lexicon entry, edited locally" : "Lexicon entry";
+    default:
+      return `Compare mode, text ${pt.label}`;
+  }
+}
+
+// Key under which a point's bootstrap result is stored: per text, per lexicon
+// it was scored with and per generation of lexicons and scoring options
+function uncertaintyKey(type, pt, generation) {
+  const id = type === "sentence" ? `sentence:${pt.fullText}` : `${type}:${pt.id}`;
+  return `${generation}/${id}@${pt.lexiconLanguage}`;
+}
+
+// Maps a screen position to SVG units
+function clientToSvg(svg, clientX, clientY) {
+  if (svg.createSVGPoint) {
+    const pt = svg.createSVGPoint();
+    pt.x = clientX;
+    pt.y = clientY;
+    const svgP = pt.matrixTransform(svg.getScreenCTM().inverse());
+    return { sx: svgP.x, sy: svgP.y };
+  }
+  // fallback: use getBoundingClientRect as before
+  const rect = svg.getBoundingClientRect();
+  return { sx: clientX - rect.left, sy: clientY - rect.top };
+}
+
+function insideChart({ sx, sy }) {
+  return (
+    sx >= CHART_MARGIN &&
+    sx <= CHART_MARGIN + CHART_SIZE + 1 &&
+    sy >= CHART_MARGIN &&
+    sy <= CHART_MARGIN + CHART_SIZE + 1
+  );
+}
+
+// Quadrant data coordinates of an SVG position in the view, clamped to 0-10
+function svgToChart(view, { sx, sy }) {
+  const { x, y } = svgToView(view, CHART_FRAME, sx, sy);
+  return { x: Math.max(0, Math.min(10, x)), y: Math.max(0, Math.min(10, y)) };
+}
+
+// Maps a mouse event on the chart to quadrant data coordinates in the
+// current view (clamped to 0-10), or null if it falls outside the grid
+function eventToChart(e, view) {
+  const svg = e.target.ownerSVGElement || e.target;
+  const p = clientToSvg(svg, e.clientX, e.clientY);
+  if (!insideChart(p)) return null;
+  return svgToChart(view, p);
+}
+
+// The region a finished selection stroke encloses, or null if it is too
+// small to be meant as one
+function strokeRegion({ tool, points }) {
+  const xs = points.map((p) => p.x);
+  const ys = points.map((p) => p.y);
+  const box = {
+    minX: Math.min(...xs),
+    minY: Math.min(...ys),
+    maxX: Math.max(...xs),
+    maxY: Math.max(...ys),
+  };
+  if (box.maxX - box.minX < MIN_SELECTION && box.maxY - box.minY < MIN_SELECTION) return null;
+  if (tool === "rect") {
+    return box.maxX - box.minX < MIN_SELECTION || box.maxY - box.minY < MIN_SELECTION
+      ? null
+      : box;
+  }
+  return points.length < 3 ? null : { polygon: points };
+}
+
+// Human-readable summary of a selected region
+function describeRegion(region) {
+  if ("polygon" in region) return `Lasso with ${region.polygon.length} points`;
+  const f = (v) => v.toFixed(2);
+  return `x ${f(region.minX)}–${f(region.maxX)}, y ${f(region.minY)}–${f(region.maxY)}`;
+}
+
+// Scores a loaded party text or document with the lexicon of its language.
+// Points keep their raw score; they are placed on the chart with the active
+// normalization at render time, so switching it needs no rescoring.
+function scoreLoaded(item, lexicons, options) {
+  if (item.error) return item;
+  const { lexicon, ...language } = resolveLexicon(lexicons, {
+    detected: item.detected,
+    chosen: item.chosenLanguage,
+  });
+  const result = rawScore(item.text, lexicon, options);
+  if (!result) return { ...item, ...language, error: "no lexicon words found" };
+  return { ...item, ...language, ...result };
+}
+
+// Word and sentence points for the <...> brackets in the editor text
+function parseBrackets(value, lexicon, options) {
+  const wordsInBrackets = value.split(/<([^<>]+)>/g).filter((_, i) => i % 2 === 1);
+
+  // A bracket holding one token that maps onto one lexicon entry (or exactly
+  // one phrase entry) is a word point; anything else is scored as a sentence.
+  const singleWordKey = (text) => {
+    const tokens = tokenize(text);
+    if (tokens.length > 1) {
+      const phrase = tokens.join(" ");
+      return options.phrases && hasEntry(lexicon, phrase) ? phrase : null;
+    }
+    if (tokens.length !== 1) return null;
+    const keys = lookupKeys(tokens[0], lexicon);
+    return keys.length === 1 ? keys[0] : null;
   };
+
+  const wordPoints = wordsInBrackets
+    .map((word) => {
+      const key = singleWordKey(word);
+      if (!key) return null;
+      const entry = lexicon[key];
+      const x = Math.max(0, Math.min(10, entry.x));
+      const y = Math.max(0, Math.min(10, entry.y));
+      const confidence = entry.confidence;
+      return { word: key, x, y, confidence, size: 18 };
+    })
+    .filter(Boolean);
+
+  const sentencePoints = wordsInBrackets
+    .map((text, idx) => {
+      if (!singleWordKey(text)) {
+        const analysis = rawScore(text, lexicon, options);
+        if (analysis) {
+          return {
+            ...analysis,
+            label:
+              text
+                .trim()
+                .replace(/\s+/g, " ")
+                .slice(0, 22) + (text.trim().length > 22 ? "..." : ""),
+            fullText: text.trim(),
+            size: 24,
+            idx,
+          };
+        }
+      }
+      return null;
+    })
+    .filter(Boolean);
+
+  return { wordPoints, sentencePoints };
 }
-function getAutocompleteWords(partial) {
-  if (!partial) return [];
-  const lower = partial.toLowerCase();
-  return Object.keys(lexicon)
-    .filter((word) => word.startsWith(lower))
-    .slice(0, 5);
+
+// Places every scored point on the chart; failed points pass through
+function placeAll(points, options) {
+  return points.map((pt) => (pt.raw ? placeScore(pt, options) : pt));
 }
-function getNearestWords(baseWord, k = 3) {
-  const base = lexicon[baseWord];
-  if (!base) return [];
-  const baseVec = [base.x, base.y];
-  return Object.entries(lexicon)
-    .filter(
-      ([word, entry]) =>
-        word !== baseWord && entry.confidence >= CONFIDENCE_THRESHOLD
-    )
-    .map(([word, entry]) => ({
-      word,
-      confidence: entry.confidence,
-      dist:
-        Math.pow(baseVec[0] - entry.x, 2) + Math.pow(baseVec[1] - entry.y, 2),
-    }))
-    .sort((a, b) => a.dist - b.dist)
-    .slice(0, 5);
+
+// Up to k high-confidence words nearest to a lexicon word
+function getNearestWords(lexicon, baseWord, k) {
+  return findNearestWords(lexicon, baseWord, {
+    k,
+    minConfidence: CONFIDENCE_THRESHOLD,
+  });
 }
-function getWordsAtPoint(x, y, confidence = CONFIDENCE_THRESHOLD) {
-  const tolerance = 0.5;
-  return Object.entries(lexicon)
-    .filter(
-      ([, entry]) =>
-        Math.abs(entry.x - x) < tolerance &&
-        Math.abs(entry.y - y) < tolerance &&
-        entry.confidence >= confidence
-    )
-    .map(([word, entry]) => ({
-      word,
-      confidence: entry.confidence,
-      x: entry.x,
-      y: entry.y,
-    }));
+// Up to k high-confidence words within `radius` of a clicked point, nearest first
+function getWordsAtPoint(lexicon, x, y, radius, k) {
+  return wordsInRegion(lexicon, { x, y, radius }, {
+    minConfidence: CONFIDENCE_THRESHOLD,
+    limit: k,
+  });
 }
 
 export default function PoliticalQuadrant() {
   const [input, setInput] = useState("");
-  const [wordPoints, setWordPoints] = useState([]);
-  const [sentencePoints, setSentencePoints] = useState([]);
-  const [textPoints, setTextPoints] = useState([]);
+  const [partyTexts, setPartyTexts] = useState([]);
+  const [partyHistory, setPartyHistory] = useState([]);
   const [autoWords, setAutoWords] = useState([]);
   const [nearestWords, setNearestWords] = useState([]);
   const [activeBracketWord, setActiveBracketWord] = useState("");
   const [clickedPoint, setClickedPoint] = useState(null);
+  const [explained, setExplained] = useState(null);
+  const [partyStatus, setPartyStatus] = useState({ loading: true, error: null });
+  const [documentFiles, setDocumentFiles] = useState([]);
+  const [uncertainty, setUncertainty] = useState({});
+  const [ellipseLevel, setEllipseLevel] = useState(0.68);
+  const [workerReady, setWorkerReady] = useState(false);
+  const [sectionMode, setSectionMode] = useState("off");
+  const [nearestK, setNearestK] = useState(5);
+  const [clickRadius, setClickRadius] = useState(0.5);
+  const [showDensity, setShowDensity] = useState(false);
+  const [densityOpacity, setDensityOpacity] = useState(0.6);
+  const [densityMinConfidence, setDensityMinConfidence] = useState(CONFIDENCE_THRESHOLD);
+  const [hoverBin, setHoverBin] = useState(null);
+  const [normalization, setNormalization] = useState("linear");
+  const [phrases, setPhrases] = useState(SCORING_DEFAULTS.phrases);
+  const [negation, setNegation] = useState(SCORING_DEFAULTS.negation);
+  const [weighting, setWeighting] = useState(SCORING_DEFAULTS.weighting);
+  const [dropStopwords, setDropStopwords] = useState(false);
+  const [stopwordList, setStopwordList] = useState(GERMAN_STOPWORDS);
+  const [compareMode, setCompareMode] = useState(false);
+  const [compareTexts, setCompareTexts] = useState({ a: "", b: "" });
+  const [showPaths, setShowPaths] = useState(false);
+  const [timelineYear, setTimelineYear] = useState(null);
+  const [playing, setPlaying] = useState(false);
+  const [yearRange, setYearRange] = useState(null);
+  const [linkError, setLinkError] = useState(null);
+  const [overrides, setOverrides] = useState(loadOverrides);
+  const [overridesSaved, setOverridesSaved] = useState(true);
+  const [editingLexicon, setEditingLexicon] = useState(false);
+  const [editedWord, setEditedWord] = useState("");
+  const [dragging, setDragging] = useState(null);
+  const [view, setView] = useState(FULL_VIEW);
+  const [focusKey, setFocusKey] = useState(null);
+  const [tooltipKey, setTooltipKey] = useState(null);
+  const [activeSuggestion, setActiveSuggestion] = useState(0);
+  const [selectTool, setSelectTool] = useState("pan");
+  const [stroke, setStroke] = useState(null);
+  const [selection, setSelection] = useState(null);
+  const [extraLexicons, setExtraLexicons] = useState({});
+  const [lexiconErrors, setLexiconErrors] = useState([]);
+  const [textLanguage, setTextLanguage] = useState(null);
+  const [compareLanguages, setCompareLanguages] = useState({ a: null, b: null });
+  const [axes, setAxes] = useState(DEFAULT_AXES);
+  const [showPairs, setShowPairs] = useState(false);
+  const [highlightWords, setHighlightWords] = useState(false);
   const textareaRef = useRef();
+  const svgRef = useRef();
+  const nextDocumentId = useRef(0);
+  const nextSelectionId = useRef(0);
+  const workerRef = useRef(null);
+  const requestedKeys = useRef(new Set());
+  // Bumped whenever the lexicons or scoring options change, so that worker
+  // replies computed for the old ones are dropped
+  const uncertaintyGeneration = useRef(0);
+  const pointRefs = useRef(new Map());
+  // Pointers down on the chart, for drag panning, pinch zoom and selecting
+  const gesture = useRef({ pointers: new Map(), moved: false, stroke: null });
 
-  const minConfidence = 0.1;
-  const stretchFactor = 1.4;
-  const centerX = 5.0;
-  const centerY = 5.0;
+  // Converts quadrant data (x:0-10, y:0-10) to SVG coordinates in the view
+  const dataToSvg = (x, y) => viewToSvg(view, CHART_FRAME, x, y);
+  // SVG units per chart unit
+  const scale = CHART_SIZE / view.span;
+  const zoomed = !isFullView(view);
+  const grid = useMemo(() => {
+    const step = gridStep(view.span);
+    return {
+      x: gridValues(view.x, view.x + view.span, step),
+      y: gridValues(view.y, view.y + view.span, step),
+    };
+  }, [view]);
 
+  // Wheel (and trackpad pinch) zooms around the cursor. React registers
+  // wheel listeners as passive, so page scrolling could not be prevented.
   useEffect(() => {
-    const fetchFiles = async () => {
-      const filenames = [
-        "AFD.txt",
-        "BSW.txt",
-        "CDU-CSU.txt",
-        "FDP.txt",
-        "GRUENE.txt",
-        "LINKE.txt",
-        "MLPD.txt",
-        "SPD.txt",
-      ];
-      const results = [];
-      for (const file of filenames) {
-        try {
-          const res = await fetch(`/party_texts/${file}`);
-          if (!res.ok) continue;
-          const text = await res.text();
-          const result = analyzeText(text);
-          if (result) {
-            results.push({ ...result, label: file.replace(".txt", "") });
-          } else {
-            results.push({ x: 5, y: 5, label: file.replace(".txt", "") });
+    const svg = svgRef.current;
+    const onWheel = (e) => {
+      const p = clientToSvg(svg, e.clientX, e.clientY);
+      if (!insideChart(p)) return;
+      e.preventDefault();
+      const delta = e.deltaMode === 1 ? e.deltaY * 16 : e.deltaY;
+      const factor = Math.exp(-delta * 0.002);
+      setView((v) => {
+        const center = svgToView(v, CHART_FRAME, p.sx, p.sy);
+        return zoomView(v, factor, center.x, center.y);
+      });
+    };
+    svg.addEventListener("wheel", onWheel, { passive: false });
+    return () => svg.removeEventListener("wheel", onWheel);
+  }, []);
+
+  const zoomAroundCenter = (factor) =>
+    setView((v) => zoomView(v, factor, v.x + v.span / 2, v.y + v.span / 2));
+
+  // One pointer pans (or draws a selection with the box and lasso tools),
+  // two pinch-zoom around their midpoint
+  const startGesture = (e) => {
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    const { pointers } = gesture.current;
+    if (pointers.size === 0) {
+      gesture.current.moved = false;
+      if (selectTool !== "pan") {
+        const start = svgToChart(view, clientToSvg(svgRef.current, e.clientX, e.clientY));
+        gesture.current.stroke = { tool: selectTool, points: [start] };
+      }
+    } else {
+      // A second finger turns a selection into a pinch
+      gesture.current.stroke = null;
+      setStroke(null);
+    }
+    pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+  };
+  const drawStroke = (e) => {
+    const current = gesture.current.stroke;
+    const pos = svgToChart(view, clientToSvg(svgRef.current, e.clientX, e.clientY));
+    const last = current.points[current.points.length - 1];
+    let points;
+    if (current.tool === "rect") {
+      points = [current.points[0], pos];
+    } else if (Math.hypot(pos.x - last.x, pos.y - last.y) * scale >= 3) {
+      // Lasso points closer than a few pixels add nothing
+      points = [...current.points, pos];
+    } else {
+      return;
+    }
+    gesture.current.stroke = { ...current, points };
+    if (strokeRegion(gesture.current.stroke)) gesture.current.moved = true;
+    setStroke(gesture.current.stroke);
+  };
+  const moveGesture = (e) => {
+    const { pointers } = gesture.current;
+    const last = pointers.get(e.pointerId);
+    if (!last) return;
+    if (gesture.current.stroke) {
+      drawStroke(e);
+      return;
+    }
+    const svg = svgRef.current;
+    const before = [...pointers.values()].map((p) => clientToSvg(svg, p.x, p.y));
+    pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    const after = [...pointers.values()].map((p) => clientToSvg(svg, p.x, p.y));
+    const shift = Math.hypot(e.clientX - last.x, e.clientY - last.y);
+    if (!gesture.current.moved && shift < 4 && pointers.size === 1) {
+      pointers.set(e.pointerId, last);
+      return;
+    }
+    gesture.current.moved = true;
+    if (pointers.size === 1) {
+      const dx = (before[0].sx - after[0].sx) / scale;
+      const dy = (after[0].sy - before[0].sy) / scale;
+      setView((v) => panView(v, dx, dy));
+    } else if (pointers.size === 2) {
+      const spread = (ps) => Math.hypot(ps[0].sx - ps[1].sx, ps[0].sy - ps[1].sy);
+      const mid = { sx: (after[0].sx + after[1].sx) / 2, sy: (after[0].sy + after[1].sy) / 2 };
+      const factor = spread(after) / (spread(before) || 1);
+      setView((v) => {
+        const center = svgToView(v, CHART_FRAME, mid.sx, mid.sy);
+        return zoomView(v, factor, center.x, center.y);
+      });
+    }
+  };
+  const endGesture = (e) => {
+    gesture.current.pointers.delete(e.pointerId);
+    const current = gesture.current.stroke;
+    if (!current) return;
+    gesture.current.stroke = null;
+    setStroke(null);
+    const region = e.type === "pointercancel" ? null : strokeRegion(current);
+    if (region) setSelection({ id: nextSelectionId.current++, region });
+  };
+
+  // Lexicons by language with the plotted dimensions as x and y; every lookup
+  // goes through them. Local edits apply to the built-in German lexicon.
+  const editableLexicon = useMemo(() => applyOverrides(baseLexicon, overrides), [overrides]);
+  const allLexicons = useMemo(
+    () => ({ ...extraLexicons, [DEFAULT_LANGUAGE]: editableLexicon }),
+    [extraLexicons, editableLexicon]
+  );
+  const lexicons = useMemo(() => projectLexicons(allLexicons, axes), [allLexicons, axes]);
+  const axisInfo = useMemo(() => axesInfo(baseFile, axes), [axes]);
+  const defaultAxes = axes.x === DEFAULT_AXES.x && axes.y === DEFAULT_AXES.y;
+  // The editor text's language picks the lexicon for its points and for the
+  // word tools (autocomplete, nearest words, density, region selection)
+  const inputScoring = useMemo(() => {
+    const detected = detectLanguage(input);
+    const { lexicon, ...resolved } = resolveLexicon(lexicons, {
+      detected,
+      chosen: textLanguage,
+    });
+    return { lexicon, language: { ...resolved, detected, chosenLanguage: textLanguage } };
+  }, [lexicons, input, textLanguage]);
+  const { lexicon } = inputScoring;
+  // Only the built-in lexicon's x and y can be edited, so word points of
+  // another lexicon or other dimensions cannot be dragged
+  const dragEditing =
+    editingLexicon &&
+    defaultAxes &&
+    inputScoring.language.lexiconLanguage === DEFAULT_LANGUAGE;
+  useEffect(() => {
+    setOverridesSaved(saveOverrides(overrides));
+  }, [overrides]);
+  const autocompleteIndex = useMemo(() => buildAutocompleteIndex(lexicon), [lexicon]);
+  const selectedWords = useMemo(
+    () => (selection ? wordsInRegion(lexicon, selection.region) : []),
+    [lexicon, selection]
+  );
+  // Document frequencies across the party texts, for TF-IDF weighting. Each
+  // program counts with the lexicon it is scored with.
+  const documentFrequencies = useMemo(() => {
+    const texts = partyTexts.filter((party) => !party.error);
+    if (weighting !== "tfidf" || texts.length === 0) return null;
+    return buildDocumentFrequencies(
+      texts.map((party) => {
+        const { lexicon: partyLexicon } = resolveLexicon(lexicons, {
+          detected: party.detected,
+          chosen: party.chosenLanguage,
+        });
+        return lexiconWords(party.text, partyLexicon, { phrases });
+      })
+    );
+  }, [weighting, partyTexts, lexicons, phrases]);
+  const stopwords = useMemo(
+    () => (dropStopwords ? new Set(stopwordList) : null),
+    [dropStopwords, stopwordList]
+  );
+  // Scoring options that change raw scores; texts are rescored when they change
+  const rawOptions = useMemo(
+    () => ({
+      ...SCORING_DEFAULTS,
+      phrases,
+      negation,
+      weighting,
+      stopwords,
+      documentFrequencies,
+    }),
+    [phrases, negation, weighting, stopwords, documentFrequencies]
+  );
+
+  // Bootstrap resampling runs in a web worker so scoring stays responsive
+  useEffect(() => {
+    if (typeof Worker === "undefined") return;
+    const requested = requestedKeys.current;
+    let cancelled = false;
+    import("./lib/createBootstrapWorker").then(({ default: createWorker }) => {
+      if (cancelled) return;
+      const worker = createWorker();
+      worker.onmessage = (e) => {
+        const { key, generation, result } = e.data;
+        if (generation !== uncertaintyGeneration.current) return;
+        setUncertainty((u) => ({ ...u, [key]: result || null }));
+      };
+      workerRef.current = worker;
+      setWorkerReady(true);
+    });
+    return () => {
+      cancelled = true;
+      workerRef.current?.terminate();
+      workerRef.current = null;
+      requested.clear();
+      setWorkerReady(false);
+    };
+  }, []);
+
+  // The worker keeps the lexicons and scoring options; the lexicons are
+  // large, so they are only posted again when they change
+  useEffect(() => {
+    const worker = workerRef.current;
+    if (!worker) return;
+    for (const [language, entries] of Object.entries(lexicons)) {
+      worker.postMessage({ type: "lexicon", language, lexicon: entries });
+    }
+  }, [lexicons, workerReady]);
+  useEffect(() => {
+    workerRef.current?.postMessage({ type: "options", options: { scoring: rawOptions } });
+  }, [rawOptions, workerReady]);
+
+  // Results for the previous lexicon or scoring options are stale; the
+  // effect below requests them again
+  useEffect(() => {
+    if (!workerRef.current) return;
+    uncertaintyGeneration.current++;
+    requestedKeys.current.clear();
+    setUncertainty({});
+  }, [lexicons, rawOptions, workerReady]);
+
+  // Lexicons for more languages, listed in public/lexicons/index.json
+  useEffect(() => {
+    const fetchLexicons = async () => {
+      let entries;
+      try {
+        const res = await fetch("/lexicons/index.json");
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        entries = parseLexiconIndex(await res.json());
+      } catch (err) {
+        setLexiconErrors([`Could not load lexicons/index.json (${err.message})`]);
+        return;
+      }
+      const loaded = {};
+      const errors = [];
+      await Promise.all(
+        entries.map(async ({ language, file }) => {
+          try {
+            loaded[language] = await loadLexicon(`/lexicons/${file}`);
+          } catch (err) {
+            errors.push(`${LANGUAGES[language].label} lexicon ${file}: ${err.message}`);
           }
-        } catch (err) {
-          results.push({ x: 5, y: 5, label: file.replace(".txt", "") });
-        }
+        })
+      );
+      setExtraLexicons(loaded);
+      setLexiconErrors(errors);
+    };
+    fetchLexicons();
+  }, []);
+
+  useEffect(() => {
+    const fetchFiles = async () => {
+      let loaded;
+      try {
+        loaded = await loadPartyRegistry();
+      } catch (err) {
+        setPartyStatus({
+          loading: false,
+          error: `Could not load party_texts/index.json (${err.message})`,
+        });
+        return;
       }
-      setTextPoints(results);
+      // Parties that fail to load are listed in the legend instead of being
+      // plotted
+      setPartyTexts(loaded.parties);
+      setPartyHistory(loaded.history);
+      setPartyStatus({ loading: false, error: null });
     };
     fetchFiles();
     // eslint-disable-next-line
   }, []);
 
-  const analyzeText = (text) => {
-    const words = text.toLowerCase().match(/\b\w+\b/g);
-    const wordCounts = {};
-    for (const word of words || []) {
-      wordCounts[word] = (wordCounts[word] || 0) + 1;
-    }
-    let xSum = 0,
-      ySum = 0,
-      totalWeight = 0;
-    for (const [word, count] of Object.entries(wordCounts)) {
-      if (lexicon[word] && lexicon[word].confidence >= minConfidence) {
-        const { x, y, confidence } = lexicon[word];
-        const weight = count * confidence;
-        xSum += x * weight;
-        ySum += y * weight;
-        totalWeight += weight;
-      }
-    }
-    if (totalWeight === 0) return null;
-    const avgX = xSum / totalWeight;
-    const avgY = ySum / totalWeight;
-    let dx = avgX - centerX;
-    let dy = avgY - centerY;
-    let stretchedX = Math.max(0, Math.min(10, centerX + dx * stretchFactor));
-    let stretchedY = Math.max(0, Math.min(10, centerY + dy * stretchFactor));
-    return { x: stretchedX, y: stretchedY };
+  // Party texts and documents are rescored whenever the lexicon is edited
+  const textPoints = useMemo(
+    () => partyTexts.map((party) => scoreLoaded(party, lexicons, rawOptions)),
+    [partyTexts, lexicons, rawOptions]
+  );
+  const historyPoints = useMemo(
+    () => partyHistory.map((version) => scoreLoaded(version, lexicons, rawOptions)),
+    [partyHistory, lexicons, rawOptions]
+  );
+  const documentPoints = useMemo(
+    () => documentFiles.map((doc) => scoreLoaded(doc, lexicons, rawOptions)),
+    [documentFiles, lexicons, rawOptions]
+  );
+  const { wordPoints, sentencePoints } = useMemo(() => {
+    const points = parseBrackets(input, inputScoring.lexicon, rawOptions);
+    const tag = (pt) => ({ ...pt, ...inputScoring.language });
+    return {
+      wordPoints: points.wordPoints.map(tag),
+      sentencePoints: points.sentencePoints.map(tag),
+    };
+  }, [input, inputScoring, rawOptions]);
+  // The editor text with its lexicon words colored, shown below it
+  const highlighted = useMemo(
+    () => (highlightWords ? highlightText(input, inputScoring.lexicon, rawOptions) : []),
+    [highlightWords, input, inputScoring, rawOptions]
+  );
+
+  // Reads uploaded files; they are scored like the party texts
+  const addDocuments = async (files) => {
+    const added = await Promise.all(
+      files.map(async (file) => {
+        const doc = {
+          id: `doc-${nextDocumentId.current++}`,
+          fileName: file.name,
+          label: file.name,
+        };
+        if (!DOCUMENT_EXTENSIONS.includes(extensionOf(file.name))) {
+          return { ...doc, error: "unsupported file type" };
+        }
+        try {
+          const text = documentText(file.name, await file.text());
+          return {
+            ...doc,
+            text,
+            wordCount: tokenize(text).length,
+            detected: detectLanguage(text),
+            chosenLanguage: null,
+          };
+        } catch (err) {
+          return { ...doc, error: err.message };
+        }
+      })
+    );
+    setDocumentFiles((docs) => [...docs, ...added]);
+  };
+
+  const removeDocument = (id) => {
+    setDocumentFiles((docs) => docs.filter((doc) => doc.id !== id));
+  };
+
+  // Scores a document as `language` (null detects it again)
+  const setDocumentLanguage = (id, language) => {
+    setDocumentFiles((docs) =>
+      docs.map((doc) => (doc.id === id ? { ...doc, chosenLanguage: language } : doc))
+    );
+  };
+  // Scores every version of a party's program as `language` (null detects it)
+  const setPartyLanguage = (id, language) => {
+    const choose = (versions, idKey) =>
+      versions.map((v) => (v[idKey] === id ? { ...v, chosenLanguage: language } : v));
+    setPartyTexts((parties) => choose(parties, "id"));
+    setPartyHistory((history) => choose(history, "partyId"));
   };
 
   const handleInputChange = (e) => {
@@ -159,10 +771,12 @@ export default function PoliticalQuadrant() {
     const lastWord = match ? match[1] : "";
     setActiveBracketWord(lastWord);
 
+    setActiveSuggestion(0);
     if (lastWord) {
-      setAutoWords(getAutocompleteWords(lastWord));
-      if (lexicon[lastWord.toLowerCase()]) {
-        setNearestWords(getNearestWords(lastWord.toLowerCase()));
+      setAutoWords(suggestWords(autocompleteIndex, lastWord, { limit: AUTOCOMPLETE_LIMIT }));
+      const key = normalizeWord(lastWord);
+      if (key && hasEntry(lexicon, key)) {
+        setNearestWords(getNearestWords(lexicon, key, nearestK));
       } else {
         setNearestWords([]);
       }
@@ -170,46 +784,6 @@ export default function PoliticalQuadrant() {
       setAutoWords([]);
       setNearestWords([]);
     }
-
-    const wordsInBrackets = value.split(/<([^<>]+)>/g).filter((_, i) => i % 2 === 1);
-
-    const wordPoints = wordsInBrackets
-      .filter((word) => word.trim().split(/\s+/).length === 1)
-      .map((word) => {
-        const key = word.trim().toLowerCase();
-        const entry = lexicon[key];
-        if (!entry) return null;
-        const x = Math.max(0, Math.min(10, entry.x));
-        const y = Math.max(0, Math.min(10, entry.y));
-        const confidence = entry.confidence;
-        return { word: key, x, y, confidence, size: 18 };
-      })
-      .filter(Boolean);
-
-    const sentencePoints = wordsInBrackets
-      .map((text, idx) => {
-        if (text.trim().split(/\s+/).length > 1) {
-          const analysis = analyzeText(text);
-          if (analysis) {
-            return {
-              ...analysis,
-              label:
-                text
-                  .trim()
-                  .replace(/\s+/g, " ")
-                  .slice(0, 22) + (text.trim().length > 22 ? "..." : ""),
-              fullText: text.trim(),
-              size: 24,
-              idx,
-            };
-          }
-        }
-        return null;
-      })
-      .filter(Boolean);
-
-    setWordPoints(wordPoints);
-    setSentencePoints(sentencePoints);
   };
 
   const insertSuggestion = (suggestion) => {
@@ -222,16 +796,34 @@ export default function PoliticalQuadrant() {
     handleInputChange({ target: { value } });
     setTimeout(() => textareaRef.current?.focus(), 0);
   };
-  const addNearestWord = (word) => {
+  // With suggestions open, the arrow keys pick one, Enter or Tab inserts it
+  // and Escape closes the list
+  const handleInputKeyDown = (e) => {
+    if (autoWords.length === 0 || !activeBracketWord) return;
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      setActiveSuggestion((i) => (i + step + autoWords.length) % autoWords.length);
+    } else if (e.key === "Enter" || e.key === "Tab") {
+      e.preventDefault();
+      insertSuggestion((autoWords[activeSuggestion] ?? autoWords[0]).word);
+    } else if (e.key === "Escape") {
+      e.preventDefault();
+      setAutoWords([]);
+    }
+  };
+  // Inserts <word> tags at the cursor, separated by spaces
+  const insertWords = (words) => {
+    const tags = words.map((word) => `<${word}>`).join(" ");
     let value = input;
     if (textareaRef.current) {
       const { selectionStart, selectionEnd } = textareaRef.current;
       value =
         value.slice(0, selectionStart) +
-        `<${word}>` +
+        tags +
         value.slice(selectionEnd);
     } else {
-      value += `<${word}>`;
+      value += tags;
     }
     setInput(value);
     setActiveBracketWord("");
@@ -270,6 +862,809 @@ export default function PoliticalQuadrant() {
     // eslint-disable-next-line
   }, []);
 
+  // Every point currently drawn, in chart units, with the settings that placed
+  // them. Layers that are switched off are left out.
+  const getExportData = () => {
+    const placed = (pt) => !pt.error;
+    const spread = (type, pt) => {
+      const u =
+        ellipseLevel > 0 && uncertainty[uncertaintyKey(type, pt, uncertaintyGeneration.current)];
+      if (!u) return {};
+      return {
+        sdX: Math.sqrt(u.cov.xx) * Math.abs(pt.slope.x),
+        sdY: Math.sqrt(u.cov.yy) * Math.abs(pt.slope.y),
+      };
+    };
+    const textRow = (type, pt) => ({
+      type,
+      label: type === "sentence" ? pt.fullText : pt.label,
+      x: pt.x,
+      y: pt.y,
+      // The summed term weight of the text's words, not a lexicon confidence
+      totalWeight: pt.totalWeight,
+      ...spread(type, pt),
+      language: pt.language,
+      lexicon: pt.lexiconLanguage,
+    });
+    return {
+      settings: {
+        normalization: effectiveMethod(scoringOptions),
+        stretchFactor: scoringOptions.stretchFactor,
+        minConfidence: scoringOptions.minConfidence,
+        phrases,
+        negation,
+        weighting: effectiveWeighting(rawOptions),
+        stopwords: dropStopwords ? stopwordList : null,
+        ellipseLevel,
+        sectionMode,
+        timelineYear,
+        axes,
+        lexiconEdits: Object.keys(overrides).length,
+      },
+      points: [
+        ...wordPoints.map((pt) => ({
+          type: "word",
+          label: pt.word,
+          x: pt.x,
+          y: pt.y,
+          confidence: pt.confidence,
+          language: pt.language,
+          lexicon: pt.lexiconLanguage,
+        })),
+        ...sentences.map((pt) => textRow("sentence", pt)),
+        ...documents.filter(placed).map((pt) => textRow("document", pt)),
+        ...partyMarks.map((pt) => textRow("party", pt)),
+        ...(showPaths ? history.filter(placed).map((pt) => textRow("history", pt)) : []),
+        // Sections are hidden while the timeline shows a year
+        ...(timelineYear === null ? sections.map((pt) => textRow("section", pt)) : []),
+        ...comparePoints.filter(placed).map((pt) => textRow("compare", pt)),
+      ],
+    };
+  };
+
+  // Everything a shared link restores (see lib/permalink.js)
+  const getLinkState = () => ({
+    v: LINK_VERSION,
+    input,
+    clickedPoint,
+    explained,
+    compare: compareMode ? { ...compareTexts, languages: compareLanguages } : undefined,
+    settings: {
+      normalization,
+      phrases,
+      negation,
+      weighting,
+      dropStopwords,
+      // Only a customized list is worth the link length
+      stopwordList: stopwordList === GERMAN_STOPWORDS ? undefined : stopwordList,
+      textLanguage: textLanguage ?? undefined,
+      axes: defaultAxes ? undefined : axes,
+      ellipseLevel,
+      sectionMode,
+      nearestK,
+      clickRadius,
+      highlightWords,
+      showDensity,
+      densityOpacity,
+      densityMinConfidence,
+      showPaths,
+      timelineYear,
+      yearRange,
+      view: zoomed ? view : undefined,
+    },
+  });
+
+  const applyLinkState = (state) => {
+    const s = state.settings || {};
+    const isNumber = (v) => typeof v === "number" && Number.isFinite(v);
+    if (NORMALIZATIONS[s.normalization]) setNormalization(s.normalization);
+    if (typeof s.phrases === "boolean") setPhrases(s.phrases);
+    if (NEGATION_MODES[s.negation]) setNegation(s.negation);
+    if (WEIGHTINGS[s.weighting]) setWeighting(s.weighting);
+    if (typeof s.dropStopwords === "boolean") setDropStopwords(s.dropStopwords);
+    if (Array.isArray(s.stopwordList)) {
+      setStopwordList(s.stopwordList.filter((w) => typeof w === "string"));
+    }
+    if (LANGUAGES[s.textLanguage]) setTextLanguage(s.textLanguage);
+    if (validAxes(baseFile.dimensions, s.axes)) setAxes({ x: s.axes.x, y: s.axes.y });
+    if (ELLIPSE_LEVELS.some((l) => l.value === s.ellipseLevel)) {
+      setEllipseLevel(s.ellipseLevel);
+    }
+    if (SECTION_MODES.includes(s.sectionMode)) setSectionMode(s.sectionMode);
+    if (isNumber(s.nearestK)) setNearestK(Math.max(1, s.nearestK));
+    if (isNumber(s.clickRadius)) setClickRadius(Math.max(0.05, s.clickRadius));
+    if (typeof s.highlightWords === "boolean") setHighlightWords(s.highlightWords);
+    if (typeof s.showDensity === "boolean") setShowDensity(s.showDensity);
+    if (isNumber(s.densityOpacity)) setDensityOpacity(s.densityOpacity);
+    if (isNumber(s.densityMinConfidence)) {
+      setDensityMinConfidence(s.densityMinConfidence);
+    }
+    if (s.view && isNumber(s.view.x) && isNumber(s.view.y) && isNumber(s.view.span)) {
+      setView(clampView(s.view));
+    }
+    if (typeof s.showPaths === "boolean") setShowPaths(s.showPaths);
+    if (s.timelineYear === null || isNumber(s.timelineYear)) setTimelineYear(s.timelineYear);
+    if (s.yearRange === null || (isNumber(s.yearRange?.from) && isNumber(s.yearRange?.to))) {
+      setYearRange(s.yearRange && { from: s.yearRange.from, to: s.yearRange.to });
+    }
+    if (typeof state.input === "string") {
+      handleInputChange({ target: { value: state.input } });
+    }
+    const compare = state.compare;
+    if (compare && typeof compare.a === "string" && typeof compare.b === "string") {
+      setCompareTexts({ a: compare.a, b: compare.b });
+      const chosen = (side) =>
+        LANGUAGES[compare.languages?.[side]] ? compare.languages[side] : null;
+      setCompareLanguages({ a: chosen("a"), b: chosen("b") });
+      setCompareMode(true);
+    }
+    setClickedPoint(state.clickedPoint || null);
+    setExplained(state.explained || null);
+  };
+
+  // Restore the state encoded in the URL fragment, on load and when it changes
+  useEffect(() => {
+    const restore = () =>
+      decodeState(window.location.hash)
+        .then((state) => {
+          if (!state) return;
+          setLinkError(null);
+          applyLinkState(state);
+        })
+        .catch((err) => setLinkError(`Could not open this link: ${err.message}`));
+    restore();
+    window.addEventListener("hashchange", restore);
+    return () => window.removeEventListener("hashchange", restore);
+    // eslint-disable-next-line
+  }, []);
+
+  // Ask the worker for every plotted text it has not bootstrapped yet
+  useEffect(() => {
+    const worker = workerRef.current;
+    if (!worker) return;
+    const generation = uncertaintyGeneration.current;
+    const key = (type, pt) => uncertaintyKey(type, pt, generation);
+    const pending = [
+      ...textPoints
+        .filter((pt) => !pt.error)
+        .map((pt) => [key("party", pt), pt.text, pt.lexiconLanguage]),
+      ...documentPoints
+        .filter((pt) => !pt.error)
+        .map((pt) => [key("document", pt), pt.text, pt.lexiconLanguage]),
+      ...sentencePoints.map((pt) => [key("sentence", pt), pt.fullText, pt.lexiconLanguage]),
+    ];
+    for (const [pendingKey, text, language] of pending) {
+      if (requestedKeys.current.has(pendingKey)) continue;
+      requestedKeys.current.add(pendingKey);
+      worker.postMessage({
+        type: "bootstrap",
+        key: pendingKey,
+        generation,
+        text,
+        language,
+      });
+    }
+  }, [textPoints, documentPoints, sentencePoints, workerReady, rawOptions]);
+
+  // In edit mode, dragging a word point moves its lexicon entry; the edit is
+  // committed on release so the texts are rescored once per drag
+  const startDrag = (e, pt) => {
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    setEditedWord(pt.word);
+    setDragging({ word: pt.word, x: pt.x, y: pt.y, moved: false });
+  };
+  const moveDrag = (e) => {
+    if (!dragging) return;
+    const pos = eventToChart(e, view);
+    if (pos) setDragging({ ...dragging, ...pos, moved: true });
+  };
+  const endDrag = () => {
+    if (!dragging) return;
+    if (dragging.moved) {
+      setOverrides((o) =>
+        setOverride(o, baseLexicon, dragging.word, {
+          ...lexicon[dragging.word],
+          x: Math.round(dragging.x * 100) / 100,
+          y: Math.round(dragging.y * 100) / 100,
+        })
+      );
+    }
+    setDragging(null);
+  };
+
+  const renderEllipse = (type, pt, color) => {
+    const key = uncertaintyKey(type, pt, uncertaintyGeneration.current);
+    if (!ellipseLevel || !uncertainty[key]) return null;
+    // The worker's covariance is in raw units; scale it onto the chart
+    const { cov } = uncertainty[key];
+    const { x: kx, y: ky } = pt.slope;
+    const { rx, ry, angle } = confidenceEllipse(
+      { xx: cov.xx * kx * kx, yy: cov.yy * ky * ky, xy: cov.xy * kx * ky },
+      ellipseLevel
+    );
+    const { sx, sy } = dataToSvg(pt.x, pt.y);
+    return (
+      <ellipse
+        key={key}
+        cx={sx}
+        cy={sy}
+        rx={rx * scale}
+        ry={ry * scale}
+        transform={`rotate(${-angle}, ${sx}, ${sy})`}
+        fill={color}
+        fillOpacity={0.12}
+        stroke={color}
+        strokeWidth={2}
+        strokeDasharray="6 4"
+      />
+    );
+  };
+
+  // Re-run the nearest-word query when k or the lexicon changes
+  useEffect(() => {
+    const key = normalizeWord(activeBracketWord);
+    setNearestWords(key ? getNearestWords(lexicon, key, nearestK) : []);
+    // eslint-disable-next-line
+  }, [nearestK, lexicon]);
+
+  const wordsAtClick = useMemo(
+    () =>
+      clickedPoint
+        ? getWordsAtPoint(lexicon, clickedPoint.x, clickedPoint.y, clickRadius, nearestK)
+        : [],
+    [lexicon, clickedPoint, clickRadius, nearestK]
+  );
+
+  const density = useMemo(
+    () =>
+      showDensity
+        ? binLexicon(lexicon, { minConfidence: densityMinConfidence })
+        : null,
+    [lexicon, showDensity, densityMinConfidence]
+  );
+  const densityImage = useMemo(
+    () => density && renderDensityImage(density),
+    [density]
+  );
+
+  const renderDensityTooltip = () => {
+    const count = density.counts[hoverBin.index];
+    if (!count) return null;
+    const lines = [
+      `${count} word${count === 1 ? "" : "s"}`,
+      ...density.top[hoverBin.index].map(
+        (w) => `${w.word} (${w.confidence.toFixed(1)})`
+      ),
+    ];
+    const width = 230;
+    const height = 16 + lines.length * 20;
+    const { sx, sy } = dataToSvg(hoverBin.x, hoverBin.y);
+    // Keep the box inside the SVG
+    const bx = Math.min(sx + 14, SIZE - width - 4);
+    const by = Math.min(sy + 14, SIZE - height - 4);
+    return (
+      // Left out of exports (see lib/exporters.js)
+      <g pointerEvents="none" data-export-omit>
+        <rect x={bx} y={by} width={width} height={height} rx={6} fill="#fff" stroke="#999" opacity={0.95} />
+        {lines.map((line, i) => (
+          <text
+            key={i}
+            x={bx + 10}
+            y={by + 22 + i * 20}
+            fontSize={15}
+            fontWeight={i === 0 ? "bold" : "normal"}
+            fill="#222"
+          >
+            {line}
+          </text>
+        ))}
+      </g>
+    );
+  };
+
+  // Normalization settings; z-score and percentile scale against the parties
+  const scoringOptions = useMemo(
+    () => ({
+      ...rawOptions,
+      normalization,
+      reference: buildReference(
+        textPoints.filter((pt) => !pt.error).map((pt) => pt.raw)
+      ),
+    }),
+    [rawOptions, normalization, textPoints]
+  );
+
+  // Each party text split into sections that are scored on their own
+  const sectionScores = useMemo(() => {
+    if (sectionMode === "off") return [];
+    return textPoints
+      .filter((party) => !party.error)
+      .flatMap((party) =>
+        splitSections(party.text, sectionMode)
+          .map((section, i) => {
+            // Sections are scored with their program's lexicon
+            const result = rawScore(section.text, lexicons[party.lexiconLanguage], rawOptions);
+            if (!result) return null;
+            return {
+              ...result,
+              ...section,
+              id: `${party.id}:${i}`,
+              partyId: party.id,
+              color: party.color,
+              label: `${party.label}: ${section.title}`,
+              language: party.language,
+              lexiconLanguage: party.lexiconLanguage,
+              detected: party.detected,
+              chosenLanguage: party.chosenLanguage,
+            };
+          })
+          .filter(Boolean)
+      );
+  }, [textPoints, sectionMode, lexicons, rawOptions]);
+
+  const parties = useMemo(
+    () => placeAll(textPoints, scoringOptions),
+    [textPoints, scoringOptions]
+  );
+  const history = useMemo(
+    () => placeAll(historyPoints, scoringOptions),
+    [historyPoints, scoringOptions]
+  );
+  const documents = useMemo(
+    () => placeAll(documentPoints, scoringOptions),
+    [documentPoints, scoringOptions]
+  );
+  const sentences = useMemo(
+    () => placeAll(sentencePoints, scoringOptions),
+    [sentencePoints, scoringOptions]
+  );
+  const sections = useMemo(
+    () => placeAll(sectionScores, scoringOptions),
+    [sectionScores, scoringOptions]
+  );
+
+  // Parties, documents and the editor's points on every pair of dimensions,
+  // for the small multiples; each pair is normalized against its own party
+  // scores. Only computed while they are shown.
+  const pairCharts = useMemo(() => {
+    if (!showPairs) return [];
+    return dimensionPairs(baseFile.dimensions).map((pairAxes) => {
+      const pairLexicons = projectLexicons(allLexicons, pairAxes);
+      const pairParties = partyTexts.map((party) => scoreLoaded(party, pairLexicons, rawOptions));
+      const pairDocuments = documentFiles.map((doc) => scoreLoaded(doc, pairLexicons, rawOptions));
+      const { lexicon: inputLexicon } = resolveLexicon(pairLexicons, {
+        detected: inputScoring.language.detected,
+        chosen: textLanguage,
+      });
+      const pairInput = parseBrackets(input, inputLexicon, rawOptions);
+      const options = {
+        ...scoringOptions,
+        reference: buildReference(pairParties.filter((pt) => !pt.error).map((pt) => pt.raw)),
+      };
+      const mark = (kind, color) => (pt, i) => ({
+        key: `${kind}:${i}`,
+        label: pt.label ?? pt.word,
+        color: color || pt.color,
+        x: pt.x,
+        y: pt.y,
+      });
+      const placed = (points) => placeAll(points, options).filter((pt) => !pt.error);
+      return {
+        axes: pairAxes,
+        info: axesInfo(baseFile, pairAxes),
+        points: [
+          ...placed(pairParties).map(mark("party")),
+          ...placed(pairDocuments).map(mark("document", "#7b3fc4")),
+          ...placed(pairInput.sentencePoints).map(mark("sentence", "#18b962")),
+          ...pairInput.wordPoints.map(mark("word", "#ff4d4d")),
+        ],
+      };
+    });
+  }, [
+    showPairs,
+    allLexicons,
+    partyTexts,
+    documentFiles,
+    input,
+    inputScoring,
+    textLanguage,
+    rawOptions,
+    scoringOptions,
+  ]);
+
+  // Compare mode scores both texts like sentence points, each with the
+  // lexicon of its chosen or detected language
+  const compareScored = useMemo(() => {
+    if (!compareMode) return [];
+    return ["a", "b"].map((side) => {
+      const detected = detectLanguage(compareTexts[side]);
+      const chosenLanguage = compareLanguages[side];
+      const { lexicon: sideLexicon, ...language } = resolveLexicon(lexicons, {
+        detected,
+        chosen: chosenLanguage,
+      });
+      return {
+        id: side,
+        label: side.toUpperCase(),
+        ...language,
+        detected,
+        chosenLanguage,
+        ...(rawScore(compareTexts[side], sideLexicon, rawOptions) || {
+          error: "no lexicon words found",
+        }),
+      };
+    });
+  }, [compareMode, compareTexts, compareLanguages, lexicons, rawOptions]);
+  const comparePoints = useMemo(
+    () => placeAll(compareScored, scoringOptions),
+    [compareScored, scoringOptions]
+  );
+  const comparison = useMemo(() => {
+    if (!compareMode) return null;
+    const [a, b] = comparePoints.map((pt) => (pt.error ? null : pt));
+    return compareScores(a, b);
+  }, [compareMode, comparePoints]);
+
+  // Each party's dated programs, oldest first, and the years they span
+  const tracks = useMemo(() => buildTracks([...history, ...parties]), [history, parties]);
+  const years = useMemo(() => timelineYears(tracks), [tracks]);
+  const yearShifts = useMemo(
+    () => (yearRange ? compareYears(tracks, yearRange.from, yearRange.to) : []),
+    [tracks, yearRange]
+  );
+  // Party points as drawn: between their programs while the slider is in use
+  const partyMarks = useMemo(() => {
+    const placedParties = parties.filter((pt) => !pt.error);
+    if (timelineYear === null) return placedParties;
+    return placedParties.flatMap((pt) => {
+      const track = tracks.get(pt.id);
+      if (!track) return [pt];
+      const position = positionAt(track, timelineYear);
+      return position ? [{ ...pt, ...position }] : [];
+    });
+  }, [parties, tracks, timelineYear]);
+
+  // About one year per second; stops at the latest program
+  useEffect(() => {
+    if (!playing) return;
+    const timer = setInterval(
+      () => setTimelineYear((year) => Math.min((year ?? years[0]) + 0.05, years[years.length - 1])),
+      50
+    );
+    return () => clearInterval(timer);
+  }, [playing, years]);
+  useEffect(() => {
+    if (playing && timelineYear >= years[years.length - 1]) setPlaying(false);
+  }, [playing, timelineYear, years]);
+
+  // Label positions for every point in view, moved apart where they would
+  // collide. Parties are placed first, words last.
+  const wordLabel = (pt) =>
+    dragging?.word === pt.word
+      ? `${pt.word} (${dragging.x.toFixed(2)}, ${dragging.y.toFixed(2)})`
+      : pt.word;
+  const labelLayout = useMemo(() => {
+    const items = [];
+    const add = (key, pt, radius, text, fontSize, side) => {
+      const { sx, sy } = viewToSvg(view, CHART_FRAME, pt.x, pt.y);
+      if (!insideChart({ sx, sy })) return;
+      const width = text ? labelWidth(text, fontSize, true) : 0;
+      items.push({ key, x: sx, y: sy, radius, width, height: fontSize * 1.2, side });
+    };
+    for (const pt of partyMarks) add(`party:${pt.id}`, pt, 16, pt.label, 24);
+    for (const pt of documents.filter((d) => !d.error)) {
+      add(`document:${pt.id}`, pt, 18, pt.label, 19);
+    }
+    sentences.forEach((pt, i) => add(`sentence:${i}`, pt, pt.size, pt.label, 19));
+    wordPoints.forEach((pt, i) => {
+      const position = dragging?.word === pt.word ? dragging : pt;
+      add(`word:${i}`, position, pt.size, wordLabel(pt), 20, "above");
+    });
+    // Compare points carry their label inside and only block space
+    for (const pt of comparePoints.filter((c) => !c.error)) add(`compare:${pt.id}`, pt, 24);
+    const bounds = zoomed
+      ? {
+          minX: CHART_MARGIN,
+          minY: CHART_MARGIN,
+          maxX: CHART_MARGIN + CHART_SIZE,
+          maxY: CHART_MARGIN + CHART_SIZE,
+        }
+      : { minX: 0, minY: 0, maxX: SIZE, maxY: SIZE };
+    return placeLabels(items, bounds);
+    // eslint-disable-next-line
+  }, [partyMarks, documents, sentences, wordPoints, comparePoints, dragging, view, zoomed]);
+
+  // A point's label where labelLayout put it, with its leader line if moved
+  const renderLabel = (key, text, style) => {
+    const place = labelLayout.get(key);
+    if (!place) return null;
+    return (
+      <>
+        {place.leader && (
+          <line
+            {...place.leader}
+            stroke={style.fill}
+            strokeOpacity={0.6}
+            strokeWidth={1.5}
+            pointerEvents="none"
+          />
+        )}
+        <text
+          x={place.x}
+          y={place.y}
+          fontWeight="bold"
+          textAnchor="start"
+          stroke="#fff"
+          strokeWidth={4}
+          paintOrder="stroke fill"
+          style={{ pointerEvents: "none" }}
+          {...style}
+        >
+          {text}
+        </text>
+      </>
+    );
+  };
+
+  // Arrow between two chart positions, starting and ending `gap` pixels
+  // short of them; none if they are too close for it to be seen
+  const renderArrow = (key, fromPoint, toPoint, gap, color) => {
+    const from = dataToSvg(fromPoint.x, fromPoint.y);
+    const to = dataToSvg(toPoint.x, toPoint.y);
+    const length = Math.hypot(to.sx - from.sx, to.sy - from.sy);
+    if (length < 2 * gap + 4) return null;
+    const ux = (to.sx - from.sx) / length;
+    const uy = (to.sy - from.sy) / length;
+    return (
+      <line
+        key={key}
+        x1={from.sx + ux * gap}
+        y1={from.sy + uy * gap}
+        x2={to.sx - ux * gap}
+        y2={to.sy - uy * gap}
+        stroke={color}
+        strokeWidth={4}
+        markerEnd="url(#compare-arrow)"
+        pointerEvents="none"
+      />
+    );
+  };
+
+  const renderPartyPath = ([partyId, track]) => {
+    const color = track[track.length - 1].color;
+    const points = track.map((pt) => dataToSvg(pt.x, pt.y));
+    return (
+      <g key={`path-${partyId}`}>
+        <polyline
+          points={points.map(({ sx, sy }) => `${sx},${sy}`).join(" ")}
+          fill="none"
+          stroke={color}
+          strokeWidth={3}
+          strokeOpacity={0.7}
+          strokeLinejoin="round"
+          pointerEvents="none"
+        />
+        {track.map((pt, i) => {
+          const current = pt.partyId === undefined;
+          return (
+            <g key={pt.id}>
+              <circle
+                cx={points[i].sx}
+                cy={points[i].sy}
+                r={pt === explainedPoint ? 9 : 6}
+                fill={current ? "#fff" : color}
+                stroke={color}
+                strokeWidth={3}
+                style={{ cursor: "pointer" }}
+                onClick={() =>
+                  setExplained({ type: current ? "party" : "history", key: pt.id })
+                }
+                {...(current ? {} : pointProps(`history:${pt.id}`))}
+              />
+              <text
+                x={points[i].sx}
+                y={points[i].sy - 12}
+                fontSize={15}
+                fill="#444"
+                textAnchor="middle"
+                stroke="#fff"
+                strokeWidth={3}
+                paintOrder="stroke fill"
+                style={{ pointerEvents: "none" }}
+              >
+                {pt.year}
+              </text>
+            </g>
+          );
+        })}
+      </g>
+    );
+  };
+
+  const renderSectionCloud = (party) => {
+    const cloud = sections.filter((s) => s.partyId === party.id);
+    if (cloud.length === 0) return null;
+    const hull = convexHull(cloud)
+      .map((s) => {
+        const { sx, sy } = dataToSvg(s.x, s.y);
+        return `${sx},${sy}`;
+      })
+      .join(" ");
+    return (
+      <g key={`sections-${party.id}`}>
+        <polygon
+          points={hull}
+          fill={party.color}
+          fillOpacity={0.08}
+          stroke={party.color}
+          strokeOpacity={0.45}
+          strokeWidth={2}
+          pointerEvents="none"
+        />
+        {cloud.map((s) => {
+          const { sx, sy } = dataToSvg(s.x, s.y);
+          return (
+            <circle
+              key={s.id}
+              cx={sx}
+              cy={sy}
+              r={s === explainedPoint ? 8 : 5}
+              fill={party.color}
+              fillOpacity={0.55}
+              stroke="#111"
+              strokeOpacity={0.4}
+              style={{ cursor: "pointer" }}
+              onClick={() => setExplained({ type: "section", key: s.id })}
+              {...pointProps(`section:${s.id}`)}
+            />
+          );
+        })}
+      </g>
+    );
+  };
+
+  const pointsByType = {
+    party: parties,
+    history,
+    document: documents,
+    section: sections,
+    compare: comparePoints,
+  };
+  // The point whose word breakdown is shown, if it still exists
+  const explainedPoint =
+    explained &&
+    (explained.type === "sentence"
+      ? sentences.find((pt) => pt.fullText === explained.key)
+      : pointsByType[explained.type]?.find(
+          (pt) => pt.id === explained.key && !pt.error
+        ));
+
+  // Clicking a word point lists the lexicon words around it
+  const suggestionsOpen = autoWords.length > 0 && Boolean(activeBracketWord);
+
+  const showWordsAt = (pt) =>
+    setClickedPoint({ x: Math.round(pt.x * 100) / 100, y: Math.round(pt.y * 100) / 100 });
+
+  // Every point on the chart, for keyboard navigation, tooltips and the
+  // screen-reader table
+  const plotted = [];
+  const addPlotted = (type, id, pt, activate) =>
+    plotted.push({
+      key: `${type}:${id}`,
+      type,
+      x: pt.x,
+      y: pt.y,
+      label: type === "word" ? pt.word : type === "sentence" ? pt.fullText : pt.label,
+      // A word's lexicon confidence; texts have the summed weight of their
+      // words instead
+      confidence: type === "word" ? pt.confidence : undefined,
+      totalWeight: type === "word" ? undefined : pt.totalWeight,
+      source: pointSource(type, pt, overrides),
+      language: pt.lexiconLanguage ? describeLanguage(pt) : "",
+      activate,
+    });
+  for (const pt of partyMarks) {
+    addPlotted("party", pt.id, pt, () => setExplained({ type: "party", key: pt.id }));
+  }
+  if (showPaths) {
+    for (const track of tracks.values()) {
+      for (const pt of track.filter((v) => v.partyId !== undefined)) {
+        addPlotted("history", pt.id, pt, () => setExplained({ type: "history", key: pt.id }));
+      }
+    }
+  }
+  if (timelineYear === null) {
+    for (const pt of sections) {
+      addPlotted("section", pt.id, pt, () => setExplained({ type: "section", key: pt.id }));
+    }
+  }
+  for (const pt of documents.filter((d) => !d.error)) {
+    addPlotted("document", pt.id, pt, () => setExplained({ type: "document", key: pt.id }));
+  }
+  sentences.forEach((pt, idx) =>
+    addPlotted("sentence", idx, pt, () => setExplained({ type: "sentence", key: pt.fullText }))
+  );
+  wordPoints.forEach((pt, idx) => addPlotted("word", idx, pt, () => showWordsAt(pt)));
+  for (const pt of comparePoints.filter((c) => !c.error)) {
+    addPlotted("compare", pt.id, pt, () => setExplained({ type: "compare", key: pt.id }));
+  }
+  const plottedIndex = new Map(plotted.map((item, i) => [item.key, i]));
+  // The chart is a single tab stop; arrow keys move between its points
+  const tabStop = plottedIndex.has(focusKey) ? focusKey : plotted[0]?.key;
+  const tooltipItem = plotted[plottedIndex.get(tooltipKey)];
+
+  // Focus, hover and keyboard handling shared by all point markers
+  const pointProps = (key) => {
+    const item = plotted[plottedIndex.get(key)];
+    if (!item) return {};
+    return {
+      ref: (el) => {
+        if (el) pointRefs.current.set(key, el);
+        else pointRefs.current.delete(key);
+      },
+      tabIndex: key === tabStop ? 0 : -1,
+      role: "button",
+      "aria-label": `${POINT_TYPES[item.type]} ${item.label}: x ${item.x.toFixed(2)}, y ${item.y.toFixed(2)}, ${item.source}${item.language && `, ${item.language}`}`,
+      onFocus: () => {
+        setFocusKey(key);
+        setTooltipKey(key);
+      },
+      onBlur: () => setTooltipKey(null),
+      onMouseEnter: () => setTooltipKey(key),
+      onMouseLeave: () => setTooltipKey(null),
+      onKeyDown: (e) => {
+        if (isNavigationKey(e.key)) {
+          e.preventDefault();
+          const next = plotted[nextPointIndex(plotted, plottedIndex.get(key), e.key)];
+          pointRefs.current.get(next.key)?.focus();
+        } else if (e.key === "Enter" || e.key === " ") {
+          e.preventDefault();
+          item.activate();
+        }
+      },
+    };
+  };
+
+  // Exact position, confidence or total weight and source of the hovered or
+  // focused point
+  const renderPointTooltip = (item) => {
+    const { sx, sy } = dataToSvg(item.x, item.y);
+    if (!insideChart({ sx, sy })) return null;
+    const label = item.label.length > 40 ? `${item.label.slice(0, 39)}…` : item.label;
+    const lines = [
+      label,
+      `x ${item.x.toFixed(3)}, y ${item.y.toFixed(3)}`,
+      item.type === "word"
+        ? `Confidence ${item.confidence.toFixed(2)}`
+        : `Total weight ${item.totalWeight.toFixed(2)}`,
+      item.language,
+      item.source,
+    ].filter(Boolean);
+    const width = Math.min(420, Math.max(...lines.map((l) => labelWidth(l, 15))) + 20);
+    const height = 16 + lines.length * 20;
+    // Above the point if there is room, else below; always inside the SVG
+    const bx = Math.max(4, Math.min(sx + 16, SIZE - width - 4));
+    const by = sy - height - 20 >= 4 ? sy - height - 20 : Math.min(sy + 20, SIZE - height - 4);
+    return (
+      // Left out of exports (see lib/exporters.js)
+      <g pointerEvents="none" data-export-omit>
+        <rect x={bx} y={by} width={width} height={height} rx={6} fill="#fff" stroke="#999" opacity={0.95} />
+        {lines.map((line, i) => (
+          <text
+            key={i}
+            x={bx + 10}
+            y={by + 22 + i * 20}
+            fontSize={15}
+            fontWeight={i === 0 ? "bold" : "normal"}
+            fill={i === lines.length - 1 ? "#666" : "#222"}
+          >
+            {line}
+          </text>
+        ))}
+      </g>
+    );
+  };
+
   return (
     <div
       style={{
@@ -283,11 +1678,19 @@ export default function PoliticalQuadrant() {
     >
       <div style={{ flex: 1, minWidth: 0, minHeight: 0, position: "relative" }}>
 <svg
+  ref={svgRef}
   viewBox={`0 0 ${SIZE} ${SIZE}`}
   width="100%"
   height="100%"
   style={{ display: "block", background: "#fff" }}
+  role="group"
+  aria-label="Political quadrant chart. Tab to the points and move between them with the arrow keys; Enter shows a point's details."
 >
+  <defs>
+    <clipPath id="chart-clip">
+      <rect x={CHART_MARGIN} y={CHART_MARGIN} width={CHART_SIZE} height={CHART_SIZE} />
+    </clipPath>
+  </defs>
   {/* 1. Quadrant border (interactive area, visually clear) */}
   <rect
     x={CHART_MARGIN}
@@ -299,66 +1702,115 @@ export default function PoliticalQuadrant() {
     strokeWidth={4}
     pointerEvents="none"
   />
-  {/* 2. Quadrant backgrounds */}
-  {[0, 1, 2, 3].map((i) => (
-    <rect
-      key={i}
-      x={CHART_MARGIN + (i % 2) * CHART_SIZE / 2}
-      y={CHART_MARGIN + (i < 2 ? 0 : CHART_SIZE / 2)}
-      width={CHART_SIZE / 2}
-      height={CHART_SIZE / 2}
-      fill={quadrantColors[i]}
-      pointerEvents="none"
-    />
-  ))}
-  {/* 3. Grid lines */}
-  {Array.from({ length: GRID + 1 }).map((_, i) => (
-    <g key={`grid-${i}`}>
-      {/* Vertical */}
-      <line
-        x1={CHART_MARGIN + i * (CHART_SIZE / GRID)}
-        y1={CHART_MARGIN}
-        x2={CHART_MARGIN + i * (CHART_SIZE / GRID)}
-        y2={CHART_MARGIN + CHART_SIZE}
-        stroke="#bbb"
-        strokeWidth={1}
-      />
-      {/* Horizontal */}
-      <line
-        x1={CHART_MARGIN}
-        y1={CHART_MARGIN + i * (CHART_SIZE / GRID)}
-        x2={CHART_MARGIN + CHART_SIZE}
-        y2={CHART_MARGIN + i * (CHART_SIZE / GRID)}
-        stroke="#bbb"
-        strokeWidth={1}
+  <g clipPath="url(#chart-clip)" pointerEvents="none">
+    {/* 2. Quadrant backgrounds */}
+    {[0, 1, 2, 3].map((i) => {
+      const { sx, sy } = dataToSvg((i % 2) * 5, i < 2 ? 10 : 5);
+      return (
+        <rect
+          key={i}
+          x={sx}
+          y={sy}
+          width={5 * scale}
+          height={5 * scale}
+          fill={axisInfo.quadrants[i].color}
+        />
+      );
+    })}
+    {/* 3. Lexicon density layer */}
+    {densityImage && (
+      <image
+        href={densityImage}
+        x={dataToSvg(0, 10).sx}
+        y={dataToSvg(0, 10).sy}
+        width={10 * scale}
+        height={10 * scale}
+        preserveAspectRatio="none"
+        opacity={densityOpacity}
+        style={{ imageRendering: "pixelated" }}
       />
-    </g>
-  ))}
-  {/* 4. Bold axes (center lines) */}
-  <line
-    x1={CHART_MARGIN + CHART_SIZE / 2}
-    y1={CHART_MARGIN}
-    x2={CHART_MARGIN + CHART_SIZE / 2}
-    y2={CHART_MARGIN + CHART_SIZE}
-    stroke="#222"
-    strokeWidth={6}
-  />
-  <line
-    x1={CHART_MARGIN}
-    y1={CHART_MARGIN + CHART_SIZE / 2}
-    x2={CHART_MARGIN + CHART_SIZE}
-    y2={CHART_MARGIN + CHART_SIZE / 2}
-    stroke="#222"
-    strokeWidth={6}
-  />
-  {/* 5. Axis Labels */}
+    )}
+    {/* 4. Grid lines, finer as the chart is zoomed in */}
+    {grid.x.map((value) => {
+      const { sx } = dataToSvg(value, 0);
+      return (
+        <line
+          key={`grid-x-${value}`}
+          x1={sx}
+          y1={CHART_MARGIN}
+          x2={sx}
+          y2={CHART_MARGIN + CHART_SIZE}
+          stroke="#bbb"
+          strokeWidth={1}
+        />
+      );
+    })}
+    {grid.y.map((value) => {
+      const { sy } = dataToSvg(0, value);
+      return (
+        <line
+          key={`grid-y-${value}`}
+          x1={CHART_MARGIN}
+          y1={sy}
+          x2={CHART_MARGIN + CHART_SIZE}
+          y2={sy}
+          stroke="#bbb"
+          strokeWidth={1}
+        />
+      );
+    })}
+    {/* 5. Bold axes (center lines) */}
+    <line
+      x1={dataToSvg(5, 5).sx}
+      y1={CHART_MARGIN}
+      x2={dataToSvg(5, 5).sx}
+      y2={CHART_MARGIN + CHART_SIZE}
+      stroke="#222"
+      strokeWidth={6}
+    />
+    <line
+      x1={CHART_MARGIN}
+      y1={dataToSvg(5, 5).sy}
+      x2={CHART_MARGIN + CHART_SIZE}
+      y2={dataToSvg(5, 5).sy}
+      stroke="#222"
+      strokeWidth={6}
+    />
+    {/* Axis ticks along the bottom and left edges, clear of the corner */}
+    {grid.x
+      .filter((value) => dataToSvg(value, 0).sx > CHART_MARGIN + 24)
+      .map((value) => (
+        <text
+          key={`tick-x-${value}`}
+          x={dataToSvg(value, 0).sx}
+          y={CHART_MARGIN + CHART_SIZE - 6}
+          textAnchor="middle"
+          style={tickStyle}
+        >
+          {value}
+        </text>
+      ))}
+    {grid.y
+      .filter((value) => dataToSvg(0, value).sy < CHART_MARGIN + CHART_SIZE - 24)
+      .map((value) => (
+        <text
+          key={`tick-y-${value}`}
+          x={CHART_MARGIN + 6}
+          y={dataToSvg(0, value).sy + 4}
+          style={tickStyle}
+        >
+          {value}
+        </text>
+      ))}
+  </g>
+  {/* 6. Axis Labels */}
   <text
     x={SIZE / 2}
     y={CHART_MARGIN - 25}
     textAnchor="middle"
     style={axisLabelStyle}
   >
-    Authoritarian
+    {axisInfo.y.high}
   </text>
   <text
     x={CHART_MARGIN - 35}
@@ -368,7 +1820,7 @@ export default function PoliticalQuadrant() {
     transform={`rotate(-90, ${CHART_MARGIN - 35}, ${SIZE / 2})`}
     style={axisLabelStyle}
   >
-    Left
+    {axisInfo.x.low}
   </text>
   <text
     x={SIZE - (CHART_MARGIN - 35)}
@@ -378,7 +1830,7 @@ export default function PoliticalQuadrant() {
     transform={`rotate(90, ${SIZE - (CHART_MARGIN - 35)}, ${SIZE / 2})`}
     style={axisLabelStyle}
   >
-    Right
+    {axisInfo.x.high}
   </text>
   <text
     x={SIZE / 2}
@@ -386,22 +1838,108 @@ export default function PoliticalQuadrant() {
     textAnchor="middle"
     style={axisLabelStyle}
   >
-    Libertarian
+    {axisInfo.y.low}
+  </text>
+  <text x={CHART_MARGIN} y={SIZE - 10} fontSize={14} fill="#888">
+    Normalization: {NORMALIZATIONS[effectiveMethod(scoringOptions)].label}
   </text>
-  {/* 6. Highlight the clicked point */}
+  {/* 7. Clickable grid overlay; points drawn above it take their own clicks.
+      Dragging it pans and pinching it zooms. */}
+  <rect
+    x={CHART_MARGIN}
+    y={CHART_MARGIN}
+    width={CHART_SIZE}
+    height={CHART_SIZE}
+    fill="transparent"
+    style={{
+      cursor: zoomed && selectTool === "pan" ? "move" : "crosshair",
+      touchAction: "none",
+    }}
+    onPointerDown={startGesture}
+    onPointerMove={moveGesture}
+    onPointerUp={endGesture}
+    onPointerCancel={endGesture}
+    onClick={(e) => {
+      // The end of a pan or pinch is no click
+      if (gesture.current.moved) return;
+      const pos = eventToChart(e, view);
+      if (pos) {
+        setClickedPoint({
+          x: Math.round(pos.x * 100) / 100,
+          y: Math.round(pos.y * 100) / 100,
+        });
+      }
+    }}
+    onMouseMove={(e) => {
+      if (!density) return;
+      const pos = eventToChart(e, view);
+      setHoverBin(pos && { ...pos, index: binIndex(pos.x, pos.y, density.bins) });
+    }}
+    onMouseLeave={() => setHoverBin(null)}
+  />
+  {/* Points outside a zoomed-in view are cut off at the chart's edge */}
+  <g clipPath={zoomed ? "url(#chart-clip)" : undefined}>
+  {/* Selected region, and the one being drawn */}
+  {[selection?.region, stroke && (stroke.tool === "rect" ? strokeRegion(stroke) : stroke)]
+    .filter(Boolean)
+    .map((region, i) => {
+      const shape = {
+        fill: "#ff9800",
+        fillOpacity: 0.08,
+        stroke: "#ef6c00",
+        strokeWidth: 2,
+        strokeDasharray: "6 4",
+        pointerEvents: "none",
+      };
+      if (region.points || region.polygon) {
+        const points = (region.points || region.polygon)
+          .map((p) => {
+            const { sx, sy } = dataToSvg(p.x, p.y);
+            return `${sx},${sy}`;
+          })
+          .join(" ");
+        return region.points ? (
+          <polyline key={i} {...shape} points={points} />
+        ) : (
+          <polygon key={i} {...shape} points={points} />
+        );
+      }
+      const a = dataToSvg(region.minX, region.maxY);
+      const b = dataToSvg(region.maxX, region.minY);
+      return (
+        <rect key={i} {...shape} x={a.sx} y={a.sy} width={b.sx - a.sx} height={b.sy - a.sy} />
+      );
+    })}
+  {/* 8. Highlight the clicked point */}
   {clickedPoint && (
     <circle
-      {...dataToSvg(clickedPoint.x, clickedPoint.y)}
-      r={15}
+      cx={dataToSvg(clickedPoint.x, clickedPoint.y).sx}
+      cy={dataToSvg(clickedPoint.x, clickedPoint.y).sy}
+      r={clickRadius * scale}
+      pointerEvents="none"
       fill="#23f"
       opacity={0.18}
       stroke="#23f"
       strokeWidth={4}
     />
   )}
-  {/* 7. Word, sentence, and party points */}
+  {/* 9. Bootstrap uncertainty ellipses, clipped to the chart */}
+  <g clipPath="url(#chart-clip)" pointerEvents="none">
+    {timelineYear === null &&
+      parties.filter((pt) => !pt.error).map((pt) => renderEllipse("party", pt, pt.color))}
+    {documents.filter((pt) => !pt.error).map((pt) => renderEllipse("document", pt, "#7b3fc4"))}
+    {sentences.map((pt) => renderEllipse("sentence", pt, "#18b962"))}
+  </g>
+  {/* 10. Section clouds around their party */}
+  {timelineYear === null && parties.filter((pt) => !pt.error).map(renderSectionCloud)}
+  {/* Party paths through their dated programs */}
+  {showPaths && [...tracks].filter(([, track]) => track.length > 1).map(renderPartyPath)}
+  {/* 11. Word, sentence, document, and party points */}
   {wordPoints.map((pt, idx) => {
-    const { sx, sy } = dataToSvg(pt.x, pt.y);
+    const dragged = dragging?.word === pt.word;
+    const { sx, sy } = dragged
+      ? dataToSvg(dragging.x, dragging.y)
+      : dataToSvg(pt.x, pt.y);
     return (
       <g key={`word-${idx}`}>
         <circle
@@ -410,28 +1948,31 @@ export default function PoliticalQuadrant() {
           r={pt.size}
           fill="#ff4d4d"
           stroke="#911"
-          strokeWidth={2}
+          strokeWidth={dragged ? 5 : 2}
           opacity={0.9}
+          style={{
+            cursor: dragEditing ? (dragged ? "grabbing" : "grab") : "pointer",
+            touchAction: "none",
+          }}
+          onClick={() => !dragEditing && showWordsAt(pt)}
+          {...pointProps(`word:${idx}`)}
+          onPointerDown={(e) => dragEditing && startDrag(e, pt)}
+          onPointerMove={moveDrag}
+          onPointerUp={endDrag}
+          onPointerCancel={() => setDragging(null)}
         />
-        <text
-          x={sx}
-          y={sy - pt.size - 6}
-          fontSize={20}
-          fontWeight={600}
-          fill="#222"
-          textAnchor="middle"
-          stroke="#fff"
-          strokeWidth={3}
-          paintOrder="stroke fill"
-          style={{ pointerEvents: "none" }}
-        >
-          {pt.word}
-        </text>
+        {renderLabel(`word:${idx}`, wordLabel(pt), {
+          fontSize: 20,
+          fontWeight: 600,
+          fill: "#222",
+          strokeWidth: 3,
+        })}
       </g>
     );
   })}
-  {sentencePoints.map((pt, idx) => {
+  {sentences.map((pt, idx) => {
     const { sx, sy } = dataToSvg(pt.x, pt.y);
+    const selected = pt === explainedPoint;
     return (
       <g key={`sentence-${idx}`}>
         <circle
@@ -440,52 +1981,104 @@ export default function PoliticalQuadrant() {
           r={pt.size}
           fill="#18b962"
           stroke="#146132"
-          strokeWidth={3}
+          strokeWidth={selected ? 6 : 3}
           opacity={0.85}
+          style={{ cursor: "pointer" }}
+          onClick={() => setExplained({ type: "sentence", key: pt.fullText })}
+          {...pointProps(`sentence:${idx}`)}
         />
-        <text
-          x={sx + pt.size + 10}
-          y={sy + 3}
-          fontSize={19}
-          fontWeight="bold"
-          fill="#146132"
-          textAnchor="start"
-          stroke="#fff"
-          strokeWidth={4}
-          paintOrder="stroke fill"
-          style={{ pointerEvents: "none" }}
-        >
-          {pt.label}
-        </text>
+        {renderLabel(`sentence:${idx}`, pt.label, { fontSize: 19, fill: "#146132" })}
+      </g>
+    );
+  })}
+  {documents.filter((pt) => !pt.error).map((pt) => {
+    const { sx, sy } = dataToSvg(pt.x, pt.y);
+    const size = 26;
+    const selected = pt === explainedPoint;
+    return (
+      <g key={pt.id}>
+        <rect
+          x={sx - size / 2}
+          y={sy - size / 2}
+          width={size}
+          height={size}
+          fill="#7b3fc4"
+          stroke="#3b1a66"
+          strokeWidth={selected ? 6 : 3}
+          opacity={0.9}
+          transform={`rotate(45, ${sx}, ${sy})`}
+          style={{ cursor: "pointer" }}
+          onClick={() => setExplained({ type: "document", key: pt.id })}
+          {...pointProps(`document:${pt.id}`)}
+        />
+        {renderLabel(`document:${pt.id}`, pt.label, { fontSize: 19, fill: "#3b1a66" })}
       </g>
     );
   })}
-  {textPoints.map((pt, idx) => {
+  {partyMarks.map((pt) => {
     const { sx, sy } = dataToSvg(pt.x, pt.y);
     const size = 32;
+    const selected = explained?.type === "party" && explained.key === pt.id;
     return (
-      <g key={`party-${idx}`}>
+      <g key={`party-${pt.id}`}>
         <rect
           x={sx - size / 2}
           y={sy - size / 2}
           width={size}
           height={size}
-          fill="#3366ff"
+          fill={pt.color}
           stroke="#111"
-          strokeWidth={3}
+          strokeWidth={selected ? 6 : 3}
           opacity={0.97}
           rx={8}
+          style={{ cursor: "pointer" }}
+          onClick={() => setExplained({ type: "party", key: pt.id })}
+          {...pointProps(`party:${pt.id}`)}
+        />
+        {renderLabel(`party:${pt.id}`, pt.label, { fontSize: 24, fill: "#222" })}
+      </g>
+    );
+  })}
+  {/* Compare mode: arrow from text A to text B; party shifts between two years */}
+  <defs>
+    <marker
+      id="compare-arrow"
+      viewBox="0 0 10 10"
+      refX={8}
+      refY={5}
+      markerWidth={5}
+      markerHeight={5}
+      orient="auto"
+    >
+      <path d="M 0 0 L 10 5 L 0 10 z" fill="#333" />
+    </marker>
+  </defs>
+  {comparison?.shift && renderArrow("compare", comparison.from, comparison.to, 26, "#333")}
+  {yearShifts.map((s) => renderArrow(`shift-${s.partyId}`, s.from, s.to, 18, "#333"))}
+  {comparePoints.filter((pt) => !pt.error).map((pt) => {
+    const { sx, sy } = dataToSvg(pt.x, pt.y);
+    const color = COMPARE_COLORS[pt.id];
+    return (
+      <g key={`compare-${pt.id}`}>
+        <circle
+          cx={sx}
+          cy={sy}
+          r={24}
+          fill={color}
+          stroke="#222"
+          strokeWidth={pt === explainedPoint ? 6 : 3}
+          opacity={0.85}
+          style={{ cursor: "pointer" }}
+          onClick={() => setExplained({ type: "compare", key: pt.id })}
+          {...pointProps(`compare:${pt.id}`)}
         />
         <text
-          x={sx + size / 2 + 10}
-          y={sy + 3}
-          fontSize={24}
+          x={sx}
+          y={sy + 7}
+          fontSize={20}
           fontWeight="bold"
-          fill="#222"
-          textAnchor="start"
-          stroke="#fff"
-          strokeWidth={4}
-          paintOrder="stroke fill"
+          fill="#fff"
+          textAnchor="middle"
           style={{ pointerEvents: "none" }}
         >
           {pt.label}
@@ -493,49 +2086,105 @@ export default function PoliticalQuadrant() {
       </g>
     );
   })}
-  {/* 8. The only clickable overlay */}
-  <rect
-    x={CHART_MARGIN}
-    y={CHART_MARGIN}
-    width={CHART_SIZE}
-    height={CHART_SIZE}
-    fill="transparent"
-    style={{ cursor: "crosshair" }}
-  onClick={(e) => {
-  const svg = e.target.ownerSVGElement || e.target;
-  let mouseX, mouseY;
-
-  if (svg.createSVGPoint) {
-    const pt = svg.createSVGPoint();
-    pt.x = e.clientX;
-    pt.y = e.clientY;
-    const svgP = pt.matrixTransform(svg.getScreenCTM().inverse());
-    mouseX = svgP.x;
-    mouseY = svgP.y;
-  } else {
-    // fallback: use getBoundingClientRect as before
-    const rect = svg.getBoundingClientRect();
-    mouseX = e.clientX - rect.left;
-    mouseY = e.clientY - rect.top;
-  }
-
-  if (
-    mouseX >= CHART_MARGIN &&
-    mouseX <= CHART_MARGIN + CHART_SIZE + 1 &&
-    mouseY >= CHART_MARGIN &&
-    mouseY <= CHART_MARGIN + CHART_SIZE + 1
-  ) {
-    const x = ((mouseX - CHART_MARGIN) / CHART_SIZE) * 10;
-    const y = 10 - ((mouseY - CHART_MARGIN) / CHART_SIZE) * 10;
-    setClickedPoint({
-      x: Math.max(0, Math.min(10, Math.round(x * 100) / 100)),
-      y: Math.max(0, Math.min(10, Math.round(y * 100) / 100)),
-    });
-  }
-}}
-
-  />
+  </g>
+  {/* 12. Top words of the hovered density bin */}
+  {hoverBin && density && renderDensityTooltip()}
+  {tooltipItem && renderPointTooltip(tooltipItem)}
 </svg>
+        <table style={srOnlyStyle}>
+          <caption>Points on the chart</caption>
+          <thead>
+            <tr>
+              <th scope="col">Type</th>
+              <th scope="col">Label</th>
+              <th scope="col">
+                {axisInfo.x.low}-{axisInfo.x.high.toLowerCase()} (x)
+              </th>
+              <th scope="col">
+                {axisInfo.y.low}-{axisInfo.y.high.toLowerCase()} (y)
+              </th>
+              <th scope="col">Confidence</th>
+              <th scope="col">Total weight</th>
+              <th scope="col">Source</th>
+              <th scope="col">Language</th>
+            </tr>
+          </thead>
+          <tbody>
+            {plotted.map((item) => (
+              <tr key={item.key}>
+                <td>{POINT_TYPES[item.type]}</td>
+                <th scope="row">{item.label}</th>
+                <td>{item.x.toFixed(2)}</td>
+                <td>{item.y.toFixed(2)}</td>
+                <td>{item.confidence?.toFixed(2)}</td>
+                <td>{item.totalWeight?.toFixed(2)}</td>
+                <td>{item.source}</td>
+                <td>{item.language}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {/* Zoom controls; the wheel, pinching and dragging work as well */}
+        <div
+          style={{
+            position: "absolute",
+            top: 10,
+            right: 10,
+            display: "flex",
+            gap: 4,
+            alignItems: "center",
+            fontSize: 13,
+            color: "#666",
+          }}
+        >
+          <div role="group" aria-label="Drag tool" style={{ display: "flex", marginRight: 6 }}>
+            {SELECT_TOOLS.map(([tool, label, title], i) => (
+              <button
+                key={tool}
+                title={title}
+                aria-pressed={selectTool === tool}
+                onClick={() => setSelectTool(tool)}
+                style={{
+                  height: 30,
+                  padding: "0 8px",
+                  border: "1px solid #bbb",
+                  borderLeftWidth: i === 0 ? 1 : 0,
+                  borderRadius:
+                    i === 0 ? "6px 0 0 6px" : i === SELECT_TOOLS.length - 1 ? "0 6px 6px 0" : 0,
+                  background: selectTool === tool ? "#e3f2fd" : "#fff",
+                  cursor: "pointer",
+                  fontSize: 13,
+                }}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          {zoomed && <span>{Math.round((10 / view.span) * 100)}%</span>}
+          {[
+            ["+", "Zoom in", () => zoomAroundCenter(ZOOM_STEP)],
+            ["−", "Zoom out", () => zoomAroundCenter(1 / ZOOM_STEP)],
+            ["Reset", "Show the whole chart", () => setView(FULL_VIEW)],
+          ].map(([label, title, onClick]) => (
+            <button
+              key={label}
+              title={title}
+              onClick={onClick}
+              disabled={label !== "+" && !zoomed}
+              style={{
+                minWidth: 30,
+                height: 30,
+                border: "1px solid #bbb",
+                borderRadius: 6,
+                background: "#fff",
+                cursor: "pointer",
+                fontSize: 15,
+              }}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
 
       </div>
       <div
@@ -550,6 +2199,7 @@ export default function PoliticalQuadrant() {
           flexDirection: "column",
           gap: 16,
           position: "relative",
+          overflowY: "auto",
         }}
       >
         <h2>Type Words or Sentences</h2>
@@ -557,6 +2207,13 @@ export default function PoliticalQuadrant() {
           ref={textareaRef}
           value={input}
           onChange={handleInputChange}
+          onKeyDown={handleInputKeyDown}
+          aria-label="Words or sentences to place on the chart"
+          aria-autocomplete="list"
+          aria-controls="autocomplete-list"
+          aria-activedescendant={
+            suggestionsOpen ? `autocomplete-option-${activeSuggestion}` : undefined
+          }
           placeholder="Type <freiheit> or <Das ist ein Satz>..."
           style={{
             width: "100%",
@@ -571,6 +2228,65 @@ export default function PoliticalQuadrant() {
           autoComplete="off"
           spellCheck={false}
         />
+        {/* Language of the editor text and the lexicon it is scored with */}
+        <div
+          style={{
+            display: "flex",
+            flexWrap: "wrap",
+            alignItems: "center",
+            gap: 8,
+            margin: "4px 0 6px 0",
+            fontSize: 14,
+            color: "#555",
+          }}
+        >
+          <span>Language</span>
+          <LanguageSelect
+            value={textLanguage}
+            detected={inputScoring.language.detected}
+            lexiconLanguages={Object.keys(lexicons)}
+            onChange={setTextLanguage}
+            label="Language of the editor text"
+          />
+          <span
+            style={{
+              color:
+                inputScoring.language.language &&
+                inputScoring.language.language !== inputScoring.language.lexiconLanguage
+                  ? "#c62828"
+                  : "#555",
+            }}
+          >
+            {describeLanguage(inputScoring.language)}
+          </span>
+          {Object.keys(extraLexicons).length === 0 && (
+            <span style={{ color: "#888" }}>
+              Only the {LANGUAGES[DEFAULT_LANGUAGE].label} lexicon is installed; texts in other
+              languages are scored with it.
+            </span>
+          )}
+          <label style={{ marginLeft: "auto" }}>
+            <input
+              type="checkbox"
+              checked={highlightWords}
+              onChange={(e) => setHighlightWords(e.target.checked)}
+            />{" "}
+            Highlight words
+          </label>
+          {lexiconErrors.map((error) => (
+            <span key={error} style={{ color: "#c62828", flexBasis: "100%" }}>
+              ⚠ {error}
+            </span>
+          ))}
+        </div>
+
+        {highlightWords && input.trim() && (
+          <HighlightedText
+            segments={highlighted}
+            quadrants={axisInfo.quadrants}
+            onClose={() => setHighlightWords(false)}
+          />
+        )}
 
         {/* --- Words at Clicked Point --- */}
         {clickedPoint && (
@@ -588,15 +2304,20 @@ export default function PoliticalQuadrant() {
               Words at ({clickedPoint.x.toFixed(2)}, {clickedPoint.y.toFixed(2)}):
             </div>
 <ul style={{ margin: 0, paddingLeft: 20, minHeight: 16 }}>
-  {getWordsAtPoint(clickedPoint.x, clickedPoint.y).length > 0
-    ? getWordsAtPoint(clickedPoint.x, clickedPoint.y).slice(0, 5).map(w => (
-      <li key={w.word} style={{ cursor: "pointer", marginBottom: 2 }}>
-        <span onClick={() => addNearestWord(w.word)}>
+  {wordsAtClick.length > 0
+    ? wordsAtClick.map(w => (
+      <li key={w.word} style={{ marginBottom: 2 }}>
+        <button
+          type="button"
+          onClick={() => insertWords([w.word])}
+          title={`Insert <${w.word}>`}
+          style={wordButtonStyle}
+        >
           {w.word}
           <span style={{ color: "#888", fontSize: 14 }}>
             {" "}({w.confidence.toFixed(2)})
           </span>
-        </span>
+        </button>
       </li>
     ))
     : <span style={{ color: "#aaa" }}>(none)</span>
@@ -611,10 +2332,49 @@ export default function PoliticalQuadrant() {
           </div>
         )}
 
+        {/* --- Text of the clicked section --- */}
+        {explained?.type === "section" && explainedPoint && (
+          <div
+            style={{
+              background: "#fff",
+              border: "1px solid #e0e0e0",
+              borderRadius: 6,
+              padding: "10px 12px",
+              fontSize: 14,
+            }}
+          >
+            <div style={{ fontWeight: 600, marginBottom: 5, fontSize: 16 }}>
+              {explainedPoint.label}
+            </div>
+            <div
+              style={{
+                maxHeight: 200,
+                overflowY: "auto",
+                whiteSpace: "pre-wrap",
+                color: "#444",
+              }}
+            >
+              {explainedPoint.text}
+            </div>
+          </div>
+        )}
+
+        {/* --- Word breakdown of the clicked point --- */}
+        {explainedPoint && (
+          <ContributionPanel
+            point={explainedPoint}
+            quadrants={axisInfo.quadrants}
+            onClose={() => setExplained(null)}
+          />
+        )}
+
         {/* Recommendation (autocomplete) box */}
         <div style={{ minHeight: 8 }}>
-          {autoWords.length > 0 && activeBracketWord && (
+          {suggestionsOpen && (
             <div
+              id="autocomplete-list"
+              role="listbox"
+              aria-label="Lexicon words"
               style={{
                 background: "#fff",
                 border: "1px solid #aaa",
@@ -628,18 +2388,27 @@ export default function PoliticalQuadrant() {
                 padding: 0,
               }}
             >
-              {autoWords.map((word, idx) => (
+              {autoWords.map(({ word, match, kind }, idx) => (
                 <div
                   key={word}
+                  title={SUGGESTION_KINDS[kind]}
+                  id={`autocomplete-option-${idx}`}
+                  role="option"
+                  aria-selected={idx === activeSuggestion}
                   style={{
                     padding: "10px 18px",
                     cursor: "pointer",
-                    background: idx === 0 ? "#f3faff" : undefined,
+                    background: idx === activeSuggestion ? "#f3faff" : undefined,
                     borderBottom: idx !== autoWords.length - 1 ? "1px solid #f1f1f1" : undefined,
                   }}
+                  onMouseDown={(e) => e.preventDefault()}
                   onClick={() => insertSuggestion(word)}
                 >
-                  {word}
+                  {word.slice(0, match[0])}
+                  <mark style={{ background: "#fff1a8", color: "inherit", padding: 0 }}>
+                    {word.slice(match[0], match[1])}
+                  </mark>
+                  {word.slice(match[1])}
                 </div>
               ))}
             </div>
@@ -663,14 +2432,19 @@ export default function PoliticalQuadrant() {
                 Nearest high-confidence words:
               </div>
 <ul style={{ margin: 0, paddingLeft: 20 }}>
-  {nearestWords.slice(0, 5).map((n) => (
-    <li key={n.word} style={{ cursor: "pointer", marginBottom: 3 }}>
-      <span onClick={() => addNearestWord(n.word)}>
+  {nearestWords.map((n) => (
+    <li key={n.word} style={{ marginBottom: 3 }}>
+      <button
+        type="button"
+        onClick={() => insertWords([n.word])}
+        title={`Insert <${n.word}>`}
+        style={wordButtonStyle}
+      >
         {n.word}{" "}
         <span style={{ color: "#888", fontSize: 14 }}>
           ({n.confidence.toFixed(2)})
         </span>
-      </span>
+      </button>
     </li>
   ))}
 </ul>
@@ -682,6 +2456,140 @@ export default function PoliticalQuadrant() {
         <p style={{ margin: 0, fontSize: 15, color: "#555" }}>
           Use &lt;word&gt; for single words, or &lt;sentence&gt; to analyze a whole sentence/paragraph as one point!
         </p>
+        {selection && (
+          <WordBrowser
+            key={selection.id}
+            words={selectedWords}
+            description={describeRegion(selection.region)}
+            onInsert={insertWords}
+            onClose={() => setSelection(null)}
+          />
+        )}
+        {compareMode ? (
+          <ComparePanel
+            texts={compareTexts}
+            onTextsChange={setCompareTexts}
+            languages={compareLanguages}
+            detected={Object.fromEntries(compareScored.map((pt) => [pt.id, pt.detected]))}
+            lexiconLanguages={Object.keys(lexicons)}
+            onLanguagesChange={setCompareLanguages}
+            comparison={comparison}
+            colors={COMPARE_COLORS}
+            onClose={() => setCompareMode(false)}
+          />
+        ) : (
+          <button
+            onClick={() => setCompareMode(true)}
+            title="Score an original and a revised text and show what moved the point"
+            style={{
+              alignSelf: "flex-start",
+              padding: "6px 14px",
+              border: "1px solid #bbb",
+              borderRadius: 6,
+              background: "#fff",
+              cursor: "pointer",
+              fontSize: 14,
+            }}
+          >
+            Compare two texts...
+          </button>
+        )}
+        <ShareLink getState={getLinkState} restoreError={linkError} />
+        <ExportMenu
+          getSvg={() => svgRef.current}
+          getData={getExportData}
+          size={SIZE}
+        />
+        <DimensionsPanel
+          dimensions={baseFile.dimensions}
+          axes={axes}
+          onAxesChange={setAxes}
+          showPairs={showPairs}
+          onShowPairsChange={setShowPairs}
+          charts={pairCharts}
+        />
+        <SettingsPanel
+          ellipseLevel={ellipseLevel}
+          onEllipseLevelChange={setEllipseLevel}
+          sectionMode={sectionMode}
+          onSectionModeChange={setSectionMode}
+          nearestK={nearestK}
+          onNearestKChange={setNearestK}
+          clickRadius={clickRadius}
+          onClickRadiusChange={setClickRadius}
+          showDensity={showDensity}
+          onShowDensityChange={setShowDensity}
+          densityOpacity={densityOpacity}
+          onDensityOpacityChange={setDensityOpacity}
+          densityMinConfidence={densityMinConfidence}
+          onDensityMinConfidenceChange={setDensityMinConfidence}
+          normalization={normalization}
+          activeNormalization={effectiveMethod(scoringOptions)}
+          onNormalizationChange={setNormalization}
+          phrases={phrases}
+          onPhrasesChange={setPhrases}
+          negation={negation}
+          onNegationChange={setNegation}
+          weighting={weighting}
+          activeWeighting={effectiveWeighting(rawOptions)}
+          onWeightingChange={setWeighting}
+          dropStopwords={dropStopwords}
+          onDropStopwordsChange={setDropStopwords}
+          stopwordList={stopwordList}
+          defaultStopwordList={GERMAN_STOPWORDS}
+          onStopwordListChange={setStopwordList}
+        />
+        <LexiconEditor
+          lexicon={editableLexicon}
+          baseLexicon={baseLexicon}
+          overrides={overrides}
+          onOverridesChange={setOverrides}
+          editing={editingLexicon}
+          onEditingChange={setEditingLexicon}
+          word={editedWord}
+          onWordChange={setEditedWord}
+          newWordPosition={clickedPoint}
+          saveFailed={!overridesSaved}
+        />
+        <DocumentPanel
+          documents={documents}
+          selectedId={explainedPoint?.id}
+          onAddFiles={addDocuments}
+          onRemove={removeDocument}
+          onLanguageChange={setDocumentLanguage}
+          lexiconLanguages={Object.keys(lexicons)}
+          onSelect={(id) => setExplained({ type: "document", key: id })}
+        />
+        {years.length <= 1 && !partyStatus.loading && (
+          // The shipped registry has one program per party
+          <div style={{ fontSize: 13, color: "#888" }}>
+            Programs over time: give a party dated <code>versions</code> in
+            public/party_texts/index.json to compare its programs across elections (see README).
+          </div>
+        )}
+        {years.length > 1 && (
+          <TimelinePanel
+            years={years}
+            showPaths={showPaths}
+            onShowPathsChange={setShowPaths}
+            year={timelineYear}
+            onYearChange={setTimelineYear}
+            playing={playing}
+            onPlayingChange={setPlaying}
+            yearRange={yearRange}
+            onYearRangeChange={setYearRange}
+            shifts={yearShifts}
+            parties={parties}
+          />
+        )}
+        <PartyLegend
+          parties={parties}
+          status={partyStatus}
+          selectedId={explainedPoint?.id}
+          onSelect={(id) => setExplained({ type: "party", key: id })}
+          lexiconLanguages={Object.keys(lexicons)}
+          onLanguageChange={setPartyLanguage}
+        />
         <div style={{ flex: 1 }} />
         <div style={{ fontSize: 13, color: "#aaa", textAlign: "right" }}>
           Political Quadrant Visualization
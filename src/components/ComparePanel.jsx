@@ -0,0 +1,164 @@
+import React, { useState } from "react";
+import { DIFF_STATUSES } from "../lib/compare";
+import LanguageSelect from "./LanguageSelect";
+
+const STATUS_COLORS = {
+  added: "#2e7d32",
+  removed: "#c62828",
+  changed: "#ef6c00",
+  same: "#888",
+};
+
+const cellStyle = { padding: "2px 6px", textAlign: "right" };
+const textareaStyle = {
+  width: "100%",
+  boxSizing: "border-box",
+  minHeight: 80,
+  padding: 8,
+  border: "1px solid #bbb",
+  borderRadius: 6,
+  fontSize: 14,
+  resize: "vertical",
+};
+
+function formatDelta(value) {
+  return (value >= 0 ? "+" : "") + value.toFixed(3);
+}
+
+// Compare mode: two texts, the shift from A to B and the words behind it.
+// `comparison` comes from lib/compare.js. Each text's language can be picked
+// by hand; `languages` holds the choices and `detected` what was detected.
+export default function ComparePanel({
+  texts,
+  onTextsChange,
+  languages,
+  detected,
+  lexiconLanguages,
+  onLanguagesChange,
+  comparison,
+  colors,
+  onClose,
+}) {
+  const [status, setStatus] = useState("all");
+  const rows = comparison.rows.filter((r) => status === "all" || r.status === status);
+
+  return (
+    <div
+      style={{
+        background: "#fff",
+        border: "1px solid #e0e0e0",
+        borderRadius: 6,
+        padding: "10px 12px 7px 12px",
+        fontSize: 14,
+        display: "flex",
+        flexDirection: "column",
+        gap: 6,
+      }}
+    >
+      <div style={{ fontWeight: 600, fontSize: 16 }}>Compare two texts</div>
+      {["a", "b"].map((side) => {
+        const name = side === "a" ? "A: original" : "B: revision";
+        return (
+          <div key={side} style={{ display: "flex", flexDirection: "column", gap: 2 }}>
+            <div style={{ display: "flex", justifyContent: "space-between", gap: 8 }}>
+              <span style={{ color: colors[side], fontWeight: 600 }}>{name}</span>
+              <LanguageSelect
+                value={languages[side]}
+                detected={detected[side]}
+                lexiconLanguages={lexiconLanguages}
+                onChange={(language) => onLanguagesChange({ ...languages, [side]: language })}
+                label={`Language of text ${side.toUpperCase()}`}
+                style={{ maxWidth: 150 }}
+              />
+            </div>
+            <textarea
+              value={texts[side]}
+              onChange={(e) => onTextsChange({ ...texts, [side]: e.target.value })}
+              aria-label={`Text ${name}`}
+              spellCheck={false}
+              style={textareaStyle}
+            />
+          </div>
+        );
+      })}
+      <div style={{ color: "#555" }}>
+        {comparison.shift
+          ? `A → B moves Δx ${formatDelta(comparison.shift.dx)}, Δy ${formatDelta(
+              comparison.shift.dy
+            )} (distance ${comparison.shift.distance.toFixed(3)}).`
+          : "Both texts need at least one lexicon word to be compared."}
+      </div>
+      {comparison.rows.length > 0 && (
+        <>
+          <label style={{ display: "flex", justifyContent: "space-between" }}>
+            <span title="Δx/Δy is how far each word moved the point from A to B, in chart units">
+              Words behind the shift
+            </span>
+            <select value={status} onChange={(e) => setStatus(e.target.value)}>
+              <option value="all">All ({comparison.rows.length})</option>
+              {Object.entries(DIFF_STATUSES).map(([key, label]) => (
+                <option key={key} value={key}>
+                  {label} ({comparison.rows.filter((r) => r.status === key).length})
+                </option>
+              ))}
+            </select>
+          </label>
+          <div style={{ maxHeight: 320, overflowY: "auto" }}>
+            <table style={{ width: "100%", borderCollapse: "collapse" }}>
+              <thead>
+                <tr>
+                  {["Word", "Status", "A", "B", "Δx", "Δy"].map((label, i) => (
+                    <th
+                      key={label}
+                      style={{
+                        ...cellStyle,
+                        textAlign: i < 2 ? "left" : "right",
+                        position: "sticky",
+                        top: 0,
+                        background: "#fff",
+                      }}
+                    >
+                      {label}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((r) => (
+                  <tr key={r.negated ? `-${r.word}` : r.word}>
+                    <td style={{ ...cellStyle, textAlign: "left" }}>
+                      {r.word}
+                      {r.negated && <span style={{ color: "#888" }}> (negated)</span>}
+                    </td>
+                    <td style={{ ...cellStyle, textAlign: "left", color: STATUS_COLORS[r.status] }}>
+                      {DIFF_STATUSES[r.status]}
+                    </td>
+                    <td style={cellStyle}>{r.countA}</td>
+                    <td style={cellStyle}>{r.countB}</td>
+                    <td style={cellStyle}>{formatDelta(r.dx)}</td>
+                    <td style={cellStyle}>{formatDelta(r.dy)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {rows.length === 0 && <span style={{ color: "#aaa" }}>(none)</span>}
+          </div>
+        </>
+      )}
+      <div style={{ textAlign: "right", fontSize: 13 }}>
+        <button
+          onClick={onClose}
+          style={{
+            background: "none",
+            border: "none",
+            color: "#2196f3",
+            cursor: "pointer",
+            padding: 0,
+          }}
+        >
+          Close
+        </button>
+      </div>
+    </div>
+  );
+}
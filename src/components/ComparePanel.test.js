@@ -0,0 +1,66 @@
+import { fireEvent, render, screen, within } from "@testing-library/react";
+import ComparePanel from "./ComparePanel";
+import { compareScores } from "../lib/compare";
+import { SCORING_DEFAULTS, scoreText } from "../lib/scoring";
+
+const lexicon = {
+  markt: { x: 8, y: 4, confidence: 10 },
+  staat: { x: 3, y: 7, confidence: 10 },
+  freiheit: { x: 7, y: 3, confidence: 10 },
+};
+const texts = { a: "Staat Staat Markt", b: "Markt Freiheit" };
+const score = (text) => scoreText(text, lexicon, { ...SCORING_DEFAULTS, stretchFactor: 1 });
+
+function showPanel(comparison) {
+  render(
+    <ComparePanel
+      texts={texts}
+      onTextsChange={() => {}}
+      languages={{ a: null, b: null }}
+      detected={{ a: null, b: null }}
+      lexiconLanguages={["de"]}
+      onLanguagesChange={() => {}}
+      comparison={comparison}
+      colors={{ a: "#1565c0", b: "#c62828" }}
+      onClose={() => {}}
+    />
+  );
+}
+
+const signed = (value) => (value >= 0 ? "+" : "") + value.toFixed(3);
+
+test("summarizes the shift and lists the words behind it", () => {
+  const comparison = compareScores(score(texts.a), score(texts.b));
+  showPanel(comparison);
+  const { dx, dy, distance } = comparison.shift;
+  expect(
+    screen.getByText(
+      `A → B moves Δx ${signed(dx)}, Δy ${signed(dy)} (distance ${distance.toFixed(3)}).`
+    )
+  ).toBeInTheDocument();
+  expect(dx).toBeGreaterThan(0);
+
+  const rows = screen.getAllByRole("row").slice(1);
+  expect(rows).toHaveLength(3);
+  const cells = (word) =>
+    within(rows.find((row) => within(row).queryByText(word)))
+      .getAllByRole("cell")
+      .map((cell) => cell.textContent);
+  expect(cells("staat").slice(0, 4)).toEqual(["staat", "Removed", "2", "0"]);
+  expect(cells("freiheit").slice(0, 4)).toEqual(["freiheit", "Added", "0", "1"]);
+  expect(cells("markt").slice(0, 4)).toEqual(["markt", "Same count", "1", "1"]);
+
+  fireEvent.change(screen.getByRole("combobox", { name: /words behind the shift/i }), {
+    target: { value: "added" },
+  });
+  expect(screen.getAllByRole("row").slice(1).map((row) => row.cells[0].textContent)).toEqual([
+    "freiheit",
+  ]);
+});
+
+test("asks for lexicon words when a text has none", () => {
+  showPanel(compareScores(score(texts.a), null));
+  expect(
+    screen.getByText("Both texts need at least one lexicon word to be compared.")
+  ).toBeInTheDocument();
+});
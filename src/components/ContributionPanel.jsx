@@ -0,0 +1,150 @@
+import React, { useMemo, useState } from "react";
+import { groupContributions } from "../lib/contributions";
+
+const COLUMNS = [
+  { key: "word", label: "Word" },
+  { key: "count", label: "Count" },
+  { key: "confidence", label: "Conf." },
+  { key: "weight", label: "Weight" },
+  { key: "pullX", label: "Δx" },
+  { key: "pullY", label: "Δy" },
+];
+
+const cellStyle = { padding: "2px 6px", textAlign: "right" };
+const sortButtonStyle = {
+  background: "none",
+  border: "none",
+  padding: 0,
+  color: "inherit",
+  font: "inherit",
+  cursor: "pointer",
+};
+
+function formatPull(value) {
+  return (value >= 0 ? "+" : "") + value.toFixed(3);
+}
+
+// `quadrants` are the plotted quadrants' { label, color } (see lib/dimensions.js)
+export default function ContributionPanel({ point, quadrants, onClose }) {
+  const [sortKey, setSortKey] = useState("weight");
+  const [sortDesc, setSortDesc] = useState(true);
+  const [filter, setFilter] = useState("");
+
+  const groups = useMemo(
+    () => groupContributions(point.words, quadrants, { sortKey, sortDesc, filter }),
+    [point, quadrants, sortKey, sortDesc, filter]
+  );
+
+  const toggleSort = (key) => {
+    if (key === sortKey) {
+      setSortDesc(!sortDesc);
+    } else {
+      setSortKey(key);
+      setSortDesc(key !== "word");
+    }
+  };
+
+  return (
+    <div
+      style={{
+        background: "#fff",
+        border: "1px solid #e0e0e0",
+        borderRadius: 6,
+        padding: "10px 12px 7px 12px",
+        fontSize: 14,
+      }}
+    >
+      <div style={{ fontWeight: 600, marginBottom: 5, fontSize: 16 }}>
+        Why is "{point.label}" at ({point.x.toFixed(2)}, {point.y.toFixed(2)})?
+      </div>
+      <div style={{ color: "#888", fontSize: 13, marginBottom: 6 }}>
+        {point.words.length} matched words. Δx/Δy is each word's pull away from
+        the center (5, 5) in chart units ({point.normalization} normalization).
+      </div>
+      <input
+        type="search"
+        value={filter}
+        onChange={(e) => setFilter(e.target.value)}
+        placeholder="Filter words..."
+        style={{
+          width: "100%",
+          boxSizing: "border-box",
+          padding: "4px 8px",
+          marginBottom: 6,
+          border: "1px solid #ccc",
+          borderRadius: 4,
+        }}
+      />
+      <div style={{ maxHeight: 320, overflowY: "auto" }}>
+        <table style={{ width: "100%", borderCollapse: "collapse" }}>
+          <thead>
+            <tr>
+              {COLUMNS.map((c) => (
+                <th
+                  key={c.key}
+                  aria-sort={sortKey === c.key ? (sortDesc ? "descending" : "ascending") : "none"}
+                  style={{
+                    ...cellStyle,
+                    textAlign: c.key === "word" ? "left" : "right",
+                    position: "sticky",
+                    top: 0,
+                    background: "#fff",
+                  }}
+                >
+                  <button onClick={() => toggleSort(c.key)} style={sortButtonStyle}>
+                    {c.label}
+                    {sortKey === c.key ? (sortDesc ? " ▼" : " ▲") : ""}
+                  </button>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          {groups.map((g) => (
+            <tbody key={g.label}>
+              <tr>
+                <td
+                  colSpan={COLUMNS.length}
+                  style={{ background: g.color, fontWeight: 600, padding: "2px 6px" }}
+                >
+                  {g.label} ({g.rows.length})
+                </td>
+              </tr>
+              {g.rows.map((w) => (
+                <tr key={w.negated ? `-${w.word}` : w.word}>
+                  <td style={{ ...cellStyle, textAlign: "left" }}>
+                    {w.word}
+                    {w.negated && (
+                      <span style={{ color: "#888" }} title="Follows a negator such as nicht or kein">
+                        {" "}(negated)
+                      </span>
+                    )}
+                  </td>
+                  <td style={cellStyle}>{w.count}</td>
+                  <td style={cellStyle}>{w.confidence.toFixed(2)}</td>
+                  <td style={cellStyle}>{w.weight.toFixed(1)}</td>
+                  <td style={cellStyle}>{formatPull(w.pullX)}</td>
+                  <td style={cellStyle}>{formatPull(w.pullY)}</td>
+                </tr>
+              ))}
+            </tbody>
+          ))}
+        </table>
+        {groups.length === 0 && <span style={{ color: "#aaa" }}>(none)</span>}
+      </div>
+      <div style={{ textAlign: "right", fontSize: 13, marginTop: 3 }}>
+        <button
+          onClick={onClose}
+          style={{
+            background: "none",
+            border: "none",
+            color: "#2196f3",
+            cursor: "pointer",
+            padding: 0,
+          }}
+        >
+          Close
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,163 @@
+import React from "react";
+
+const MINI_SIZE = 200;
+const MINI_MARGIN = 22;
+const MINI_CHART = MINI_SIZE - 2 * MINI_MARGIN;
+const miniLabelStyle = { fontSize: 10, fill: "#555" };
+
+// One small chart of a dimension pair; clicking it plots that pair
+function MiniChart({ chart, selected, onSelect }) {
+  const { info, points } = chart;
+  const toSvg = (x, y) => ({
+    sx: MINI_MARGIN + (x / 10) * MINI_CHART,
+    sy: MINI_MARGIN + MINI_CHART - (y / 10) * MINI_CHART,
+  });
+  const half = MINI_CHART / 2;
+  return (
+    <button
+      onClick={onSelect}
+      aria-pressed={selected}
+      title={`Plot ${info.x.name} against ${info.y.name}`}
+      style={{
+        padding: 0,
+        border: `2px solid ${selected ? "#2196f3" : "#e0e0e0"}`,
+        borderRadius: 6,
+        background: "#fff",
+        cursor: "pointer",
+      }}
+    >
+      <svg viewBox={`0 0 ${MINI_SIZE} ${MINI_SIZE}`} width="100%" style={{ display: "block" }}>
+        {info.quadrants.map((q, i) => (
+          <rect
+            key={q.label}
+            x={MINI_MARGIN + (i % 2) * half}
+            y={MINI_MARGIN + (i < 2 ? 0 : half)}
+            width={half}
+            height={half}
+            fill={q.color}
+          />
+        ))}
+        <rect
+          x={MINI_MARGIN}
+          y={MINI_MARGIN}
+          width={MINI_CHART}
+          height={MINI_CHART}
+          fill="none"
+          stroke="#222"
+        />
+        <text x={MINI_SIZE / 2} y={MINI_MARGIN - 7} textAnchor="middle" style={miniLabelStyle}>
+          {info.y.high}
+        </text>
+        <text x={MINI_SIZE / 2} y={MINI_SIZE - 8} textAnchor="middle" style={miniLabelStyle}>
+          {info.y.low}
+        </text>
+        <text
+          x={MINI_MARGIN - 7}
+          y={MINI_SIZE / 2}
+          textAnchor="middle"
+          transform={`rotate(-90, ${MINI_MARGIN - 7}, ${MINI_SIZE / 2})`}
+          style={miniLabelStyle}
+        >
+          {info.x.low}
+        </text>
+        <text
+          x={MINI_SIZE - MINI_MARGIN + 7}
+          y={MINI_SIZE / 2}
+          textAnchor="middle"
+          transform={`rotate(90, ${MINI_SIZE - MINI_MARGIN + 7}, ${MINI_SIZE / 2})`}
+          style={miniLabelStyle}
+        >
+          {info.x.high}
+        </text>
+        {points.map((pt) => {
+          const { sx, sy } = toSvg(pt.x, pt.y);
+          return (
+            <circle key={pt.key} cx={sx} cy={sy} r={4} fill={pt.color} stroke="#fff">
+              <title>
+                {pt.label}: {info.x.name} {pt.x.toFixed(2)}, {info.y.name} {pt.y.toFixed(2)}
+              </title>
+            </circle>
+          );
+        })}
+      </svg>
+    </button>
+  );
+}
+
+// Picks the two lexicon dimensions on the chart's axes; with just two, this
+// swaps them. With "Show all pairs", `charts` ({ axes, info, points } per
+// pair) are drawn as small multiples.
+export default function DimensionsPanel({
+  dimensions,
+  axes,
+  onAxesChange,
+  showPairs,
+  onShowPairsChange,
+  charts,
+}) {
+  // A pair counts as plotted in either orientation
+  const plotted = (pair) =>
+    (pair.x === axes.x && pair.y === axes.y) || (pair.x === axes.y && pair.y === axes.x);
+  const select = (axis) => (
+    <select
+      value={axes[axis]}
+      onChange={(e) => {
+        const other = axis === "x" ? "y" : "x";
+        const value = e.target.value;
+        // Choosing the other axis's dimension swaps the two
+        onAxesChange({ [axis]: value, [other]: value === axes[other] ? axes[axis] : axes[other] });
+      }}
+    >
+      {dimensions.map((d) => (
+        <option key={d.id} value={d.id}>
+          {d.name} ({d.low}–{d.high})
+        </option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div
+      style={{
+        background: "#fff",
+        border: "1px solid #e0e0e0",
+        borderRadius: 6,
+        padding: "10px 12px 7px 12px",
+        fontSize: 14,
+        display: "flex",
+        flexDirection: "column",
+        gap: 6,
+      }}
+    >
+      <div style={{ fontWeight: 600, fontSize: 16 }}>Dimensions</div>
+      <label style={{ display: "flex", justifyContent: "space-between", gap: 8 }}>
+        Horizontal {select("x")}
+      </label>
+      <label style={{ display: "flex", justifyContent: "space-between", gap: 8 }}>
+        Vertical {select("y")}
+      </label>
+      {dimensions.length > 2 && (
+        <label>
+          <input
+            type="checkbox"
+            checked={showPairs}
+            onChange={(e) => onShowPairsChange(e.target.checked)}
+          />{" "}
+          Show all pairs
+        </label>
+      )}
+      {showPairs && dimensions.length > 2 && (
+        <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 6 }}>
+          {charts.map((chart) => (
+            <MiniChart
+              key={`${chart.axes.x}/${chart.axes.y}`}
+              chart={chart}
+              selected={plotted(chart.axes)}
+              onSelect={() => !plotted(chart.axes) && onAxesChange(chart.axes)}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
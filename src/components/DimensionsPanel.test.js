@@ -0,0 +1,52 @@
+import { fireEvent, render, screen } from "@testing-library/react";
+import DimensionsPanel from "./DimensionsPanel";
+import { DEFAULT_DIMENSIONS, axesInfo, dimensionPairs, readLexicon } from "../lib/dimensions";
+import fixture from "../lib/fixtures/dimensions-lexicon.json";
+
+const lexicon = readLexicon(fixture);
+const charts = dimensionPairs(lexicon.dimensions).map((axes) => ({
+  axes,
+  info: axesInfo(lexicon, axes),
+  points: [{ key: "party:0", label: "SPD", color: "#f00", x: 3, y: 6 }],
+}));
+
+function showPanel(props) {
+  const onAxesChange = jest.fn();
+  render(
+    <DimensionsPanel
+      dimensions={lexicon.dimensions}
+      axes={{ x: "x", y: "y" }}
+      onAxesChange={onAxesChange}
+      showPairs={false}
+      onShowPairsChange={() => {}}
+      charts={charts}
+      {...props}
+    />
+  );
+  return onAxesChange;
+}
+
+test("picks the dimension on each axis and swaps when both would match", () => {
+  const onAxesChange = showPanel();
+  const [horizontal, vertical] = screen.getAllByRole("combobox");
+  fireEvent.change(horizontal, { target: { value: "eu" } });
+  expect(onAxesChange).toHaveBeenLastCalledWith({ x: "eu", y: "y" });
+  fireEvent.change(vertical, { target: { value: "x" } });
+  expect(onAxesChange).toHaveBeenLastCalledWith({ y: "x", x: "y" });
+});
+
+test("draws a small chart per pair and plots the one clicked", () => {
+  const onAxesChange = showPanel({ showPairs: true });
+  const pairs = screen.getAllByTitle(/^Plot /);
+  expect(pairs).toHaveLength(6);
+  expect(pairs[0]).toHaveAttribute("aria-pressed", "true");
+  fireEvent.click(screen.getByTitle("Plot Environment against Europe"));
+  expect(onAxesChange).toHaveBeenCalledWith({ x: "eco", y: "eu" });
+});
+
+test("offers only the axis swap for a two-dimension lexicon", () => {
+  showPanel({ dimensions: DEFAULT_DIMENSIONS, showPairs: true });
+  expect(screen.getAllByRole("combobox")).toHaveLength(2);
+  expect(screen.queryByLabelText("Show all pairs")).toBeNull();
+  expect(screen.queryAllByTitle(/^Plot /)).toHaveLength(0);
+});
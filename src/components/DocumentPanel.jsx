@@ -0,0 +1,157 @@
+import React, { useRef, useState } from "react";
+import { DOCUMENT_EXTENSIONS } from "../lib/documentText";
+import { LANGUAGES } from "../lib/languages";
+import LanguageSelect from "./LanguageSelect";
+
+// Drop zone and file picker for scoring whole documents, plus the list of
+// documents already plotted with the language each is scored in.
+export default function DocumentPanel({
+  documents,
+  selectedId,
+  onAddFiles,
+  onRemove,
+  onSelect,
+  onLanguageChange,
+  lexiconLanguages,
+}) {
+  const [dragging, setDragging] = useState(false);
+  const inputRef = useRef();
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragging(false);
+    if (e.dataTransfer.files.length > 0) onAddFiles([...e.dataTransfer.files]);
+  };
+  const openPicker = () => inputRef.current?.click();
+
+  return (
+    <div
+      style={{
+        background: "#fff",
+        border: "1px solid #e0e0e0",
+        borderRadius: 6,
+        padding: "10px 12px 7px 12px",
+        fontSize: 14,
+      }}
+    >
+      <div style={{ fontWeight: 600, marginBottom: 5, fontSize: 16 }}>
+        Documents
+      </div>
+      <div
+        onDragOver={(e) => {
+          e.preventDefault();
+          setDragging(true);
+        }}
+        onDragLeave={() => setDragging(false)}
+        onDrop={handleDrop}
+        onClick={openPicker}
+        // Keyboard users open the file picker with Enter or Space
+        role="button"
+        tabIndex={0}
+        onKeyDown={(e) => {
+          if (e.target !== e.currentTarget || (e.key !== "Enter" && e.key !== " ")) return;
+          e.preventDefault();
+          openPicker();
+        }}
+        style={{
+          border: `2px dashed ${dragging ? "#7b3fc4" : "#bbb"}`,
+          background: dragging ? "#f5efff" : "#fafafa",
+          borderRadius: 6,
+          padding: "14px 10px",
+          textAlign: "center",
+          color: "#666",
+          cursor: "pointer",
+        }}
+      >
+        Drop {DOCUMENT_EXTENSIONS.slice(0, 3).join(", ")} files here or click to
+        choose
+      </div>
+      {/* Outside the drop zone, so its own clicks do not reopen the picker */}
+      <input
+        ref={inputRef}
+        type="file"
+        multiple
+        aria-label="Choose documents"
+        accept={DOCUMENT_EXTENSIONS.join(",")}
+        style={{ display: "none" }}
+        onChange={(e) => {
+          onAddFiles([...e.target.files]);
+          e.target.value = "";
+        }}
+      />
+      {documents.length > 0 && (
+        <ul style={{ margin: "6px 0 0 0", padding: 0, listStyle: "none" }}>
+          {documents.map((doc) => (
+            <li
+              key={doc.id}
+              style={{
+                display: "flex",
+                alignItems: "center",
+                gap: 8,
+                padding: "3px 4px",
+                borderRadius: 4,
+                background: doc.id === selectedId ? "#f3faff" : undefined,
+                cursor: doc.error ? "default" : "pointer",
+              }}
+              onClick={() => !doc.error && onSelect(doc.id)}
+            >
+              <span
+                title={doc.fileName}
+                style={{
+                  fontWeight: 600,
+                  flex: 1,
+                  minWidth: 0,
+                  overflow: "hidden",
+                  textOverflow: "ellipsis",
+                  whiteSpace: "nowrap",
+                }}
+              >
+                {doc.fileName}
+              </span>
+              {doc.error ? (
+                <span style={{ color: "#c62828" }}>⚠ {doc.error}</span>
+              ) : (
+                <span style={{ color: "#888" }}>
+                  {doc.wordCount} words · ({doc.x.toFixed(2)}, {doc.y.toFixed(2)})
+                </span>
+              )}
+              {doc.text !== undefined && (
+                // Picking a language does not select the document
+                <span onClick={(e) => e.stopPropagation()}>
+                  <LanguageSelect
+                    value={doc.chosenLanguage}
+                    detected={doc.detected}
+                    lexiconLanguages={lexiconLanguages}
+                    onChange={(language) => onLanguageChange(doc.id, language)}
+                    label={`Language of ${doc.fileName}${
+                      doc.lexiconLanguage
+                        ? `, scored with the ${LANGUAGES[doc.lexiconLanguage].label} lexicon`
+                        : ""
+                    }`}
+                    style={{ maxWidth: 110 }}
+                  />
+                </span>
+              )}
+              <button
+                title="Remove"
+                onClick={(e) => {
+                  e.stopPropagation();
+                  onRemove(doc.id);
+                }}
+                style={{
+                  background: "none",
+                  border: "none",
+                  color: "#2196f3",
+                  cursor: "pointer",
+                  padding: 0,
+                }}
+              >
+                ✕
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
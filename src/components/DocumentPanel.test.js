@@ -0,0 +1,25 @@
+import { fireEvent, render, screen } from "@testing-library/react";
+import DocumentPanel from "./DocumentPanel";
+
+test("opens the file picker from the keyboard", () => {
+  render(
+    <DocumentPanel
+      documents={[]}
+      selectedId={null}
+      onAddFiles={() => {}}
+      onRemove={() => {}}
+      onSelect={() => {}}
+      onLanguageChange={() => {}}
+      lexiconLanguages={["de"]}
+    />
+  );
+  const input = screen.getByLabelText("Choose documents");
+  const click = jest.spyOn(input, "click");
+  const dropZone = screen.getByRole("button", { name: /drop .* files here/i });
+  expect(dropZone).toHaveAttribute("tabindex", "0");
+
+  fireEvent.keyDown(dropZone, { key: "Enter" });
+  fireEvent.keyDown(dropZone, { key: " " });
+  fireEvent.keyDown(dropZone, { key: "a" });
+  expect(click).toHaveBeenCalledTimes(2);
+});
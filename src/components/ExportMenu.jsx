@@ -0,0 +1,64 @@
+import React, { useState } from "react";
+import { downloadBlob, pointsCsv, pointsJson, serializeSvg, svgToPng } from "../lib/exporters";
+
+const buttonStyle = {
+  padding: "4px 10px",
+  border: "1px solid #bbb",
+  borderRadius: 4,
+  background: "#fff",
+  cursor: "pointer",
+  fontSize: 14,
+};
+
+// Export menu for the chart (SVG/PNG) and the plotted points (CSV/JSON).
+// `getSvg` returns the live <svg>; `getData` returns { settings, points }
+// for exactly what is currently drawn.
+export default function ExportMenu({ getSvg, getData, size }) {
+  const [error, setError] = useState(null);
+
+  const run = (action) => async () => {
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      setError(`Export failed: ${err.message}`);
+    }
+  };
+
+  const exportSvg = () => {
+    const markup = serializeSvg(getSvg(), size, size);
+    downloadBlob("political-quadrant.svg", new Blob([markup], { type: "image/svg+xml" }));
+  };
+  const exportPng = async () => {
+    const png = await svgToPng(serializeSvg(getSvg(), size, size), size, size);
+    downloadBlob("political-quadrant.png", png);
+  };
+  const exportCsv = () => {
+    downloadBlob("political-quadrant.csv", new Blob([pointsCsv(getData())], { type: "text/csv" }));
+  };
+  const exportJson = () => {
+    downloadBlob(
+      "political-quadrant.json",
+      new Blob([pointsJson(getData())], { type: "application/json" })
+    );
+  };
+
+  return (
+    <details style={{ fontSize: 14 }}>
+      <summary style={{ cursor: "pointer", color: "#2196f3" }}>Export...</summary>
+      <div style={{ display: "flex", gap: 6, flexWrap: "wrap", marginTop: 6 }}>
+        <button
+          style={buttonStyle}
+          onClick={run(exportSvg)}
+          title="Labels name their font (Arial, Helvetica or sans-serif) but no font file is embedded"
+        >
+          Chart SVG
+        </button>
+        <button style={buttonStyle} onClick={run(exportPng)}>Chart PNG</button>
+        <button style={buttonStyle} onClick={run(exportCsv)}>Points CSV</button>
+        <button style={buttonStyle} onClick={run(exportJson)}>Points JSON</button>
+      </div>
+      {error && <div style={{ color: "#c62828", marginTop: 5 }}>⚠ {error}</div>}
+    </details>
+  );
+}
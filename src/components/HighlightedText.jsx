@@ -0,0 +1,113 @@
+import React, { useMemo } from "react";
+import { FULL_SATURATION_CONFIDENCE, highlightColors, quadrantHues } from "../lib/highlight";
+
+const f = (v) => v.toFixed(2);
+
+// Hover text of a word: its position, confidence and lexicon matches
+function describeSegment(segment) {
+  if (segment.kind === "unknown") return `${segment.text}: not in the lexicon`;
+  const matches = segment.matches.map(
+    (m) =>
+      `${m.word}${m.negated ? " (negated)" : ""}: x ${f(m.x)}, y ${f(m.y)}, ` +
+      `confidence ${f(m.confidence)}${m.ignored ? `, ignored (${m.ignored})` : ""}`
+  );
+  if (segment.kind === "ignored" || segment.matches.length === 1) return matches.join("\n");
+  return [`x ${f(segment.x)}, y ${f(segment.y)}`, ...matches].join("\n");
+}
+
+// The editor text with every lexicon word colored by the quadrant it pulls
+// toward (see lib/highlight.js). `segments` come from highlightText() and
+// `quadrants` are the chart's { label, color }.
+export default function HighlightedText({ segments, quadrants, onClose }) {
+  const hues = useMemo(() => quadrantHues(quadrants.map((q) => q.color)), [quadrants]);
+
+  const renderSegment = (segment) => {
+    if (segment.kind === "gap") {
+      return <React.Fragment key={segment.start}>{segment.text}</React.Fragment>;
+    }
+    const title = describeSegment(segment);
+    if (segment.kind !== "word") {
+      return (
+        <span key={segment.start} title={title} style={{ color: "#aaa" }}>
+          {segment.text}
+        </span>
+      );
+    }
+    const { background, border } = highlightColors(hues[segment.quadrant], segment.confidence);
+    return (
+      <span
+        key={segment.start}
+        title={title}
+        style={{ background, borderBottom: `2px solid ${border}`, borderRadius: 2 }}
+      >
+        {segment.text}
+      </span>
+    );
+  };
+
+  return (
+    <div
+      style={{
+        background: "#fff",
+        border: "1px solid #e0e0e0",
+        borderRadius: 6,
+        padding: "10px 12px 7px 12px",
+        fontSize: 14,
+        marginBottom: 6,
+      }}
+    >
+      <div
+        style={{
+          whiteSpace: "pre-wrap",
+          overflowWrap: "anywhere",
+          fontSize: 17,
+          lineHeight: 1.6,
+          maxHeight: 240,
+          overflowY: "auto",
+        }}
+      >
+        {segments.map(renderSegment)}
+      </div>
+      <div
+        style={{
+          display: "flex",
+          flexWrap: "wrap",
+          alignItems: "center",
+          gap: "2px 10px",
+          marginTop: 6,
+          color: "#555",
+        }}
+      >
+        {quadrants.map((q, i) => (
+          <span key={q.label}>
+            <span
+              style={{
+                display: "inline-block",
+                width: 10,
+                height: 10,
+                marginRight: 4,
+                background: highlightColors(hues[i], FULL_SATURATION_CONFIDENCE).border,
+              }}
+            />
+            {q.label}
+          </span>
+        ))}
+        <span style={{ color: "#aaa" }}>grey: not scored</span>
+        <span>Paler words are less confident; hover a word for its position.</span>
+        <button
+          onClick={onClose}
+          style={{
+            marginLeft: "auto",
+            background: "none",
+            border: "none",
+            color: "#2196f3",
+            cursor: "pointer",
+            padding: 0,
+          }}
+        >
+          Hide
+        </button>
+      </div>
+    </div>
+  );
+}
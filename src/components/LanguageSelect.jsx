@@ -0,0 +1,35 @@
+import React from "react";
+import { LANGUAGES } from "../lib/languages";
+
+// Picks the language a text is scored as: "Auto" keeps the detected one.
+// Languages without a loaded lexicon are marked; their texts are scored
+// with the default lexicon.
+export default function LanguageSelect({
+  value,
+  detected,
+  lexiconLanguages,
+  onChange,
+  label,
+  style,
+}) {
+  const auto = detected
+    ? `Auto (${LANGUAGES[detected.language].label}, ${Math.round(detected.confidence * 100)}%)`
+    : "Auto (unknown)";
+  return (
+    <select
+      value={value || ""}
+      onChange={(e) => onChange(e.target.value || null)}
+      aria-label={label}
+      title={label}
+      style={style}
+    >
+      <option value="">{auto}</option>
+      {Object.entries(LANGUAGES).map(([code, { label: name }]) => (
+        <option key={code} value={code}>
+          {name}
+          {lexiconLanguages.includes(code) ? "" : " (no lexicon)"}
+        </option>
+      ))}
+    </select>
+  );
+}
@@ -0,0 +1,259 @@
+import React, { useRef, useState } from "react";
+import { hasEntry, normalizeKey } from "../lib/tokenizer";
+import {
+  deleteWord,
+  parseOverrides,
+  revertWord,
+  serializeOverrides,
+  setOverride,
+  summarizeOverrides,
+} from "../lib/lexiconOverrides";
+import { downloadBlob } from "../lib/exporters";
+
+const FIELDS = [
+  { key: "x", label: "x" },
+  { key: "y", label: "y" },
+  { key: "confidence", label: "Conf." },
+];
+
+const buttonStyle = {
+  padding: "3px 9px",
+  border: "1px solid #bbb",
+  borderRadius: 4,
+  background: "#fff",
+  cursor: "pointer",
+  fontSize: 13,
+};
+// Edited words are buttons so the keyboard reaches them; they still read as
+// a list of links
+const wordButtonStyle = {
+  background: "none",
+  border: "none",
+  padding: 0,
+  font: "inherit",
+  color: "inherit",
+  cursor: "pointer",
+};
+const inputStyle = {
+  padding: "3px 6px",
+  border: "1px solid #ccc",
+  borderRadius: 4,
+  fontSize: 14,
+};
+
+function formatEntry(entry) {
+  return `(${entry.x.toFixed(2)}, ${entry.y.toFixed(2)}) conf. ${entry.confidence.toFixed(2)}`;
+}
+
+// Local lexicon edits: change, add and delete words, drag word points on the
+// chart, and move the edits between browsers as a JSON diff. Edits are kept
+// by the parent in `overrides` (see lib/lexiconOverrides.js).
+export default function LexiconEditor({
+  lexicon,
+  baseLexicon,
+  overrides,
+  onOverridesChange,
+  editing,
+  onEditingChange,
+  word,
+  onWordChange,
+  newWordPosition,
+  saveFailed,
+}) {
+  // Field values typed for the current word; dropped once the word or its
+  // entry changes, e.g. after dragging its point
+  const [draft, setDraft] = useState(null);
+  const [status, setStatus] = useState(null);
+  const fileInput = useRef();
+
+  const key = normalizeKey(word);
+  const entry = key && hasEntry(lexicon, key) ? lexicon[key] : null;
+  const deleted = key && overrides[key] === null;
+  const defaults = entry || {
+    x: newWordPosition?.x ?? 5,
+    y: newWordPosition?.y ?? 5,
+    confidence: 10,
+  };
+  const values =
+    draft && draft.key === key && draft.entry === entry
+      ? draft.values
+      : { x: String(defaults.x), y: String(defaults.y), confidence: String(defaults.confidence) };
+  const summary = summarizeOverrides(overrides, baseLexicon);
+  const editedWords = Object.keys(overrides).sort();
+
+  const setField = (field, value) =>
+    setDraft({ key, entry, values: { ...values, [field]: value } });
+
+  const save = () => {
+    const parsed = {
+      x: Number(values.x),
+      y: Number(values.y),
+      confidence: Number(values.confidence),
+    };
+    if (Object.values(parsed).some((v) => !Number.isFinite(v)) || parsed.confidence < 0) {
+      setStatus({ error: "x, y and confidence must be numbers; confidence cannot be negative." });
+      return;
+    }
+    setStatus(null);
+    onOverridesChange(setOverride(overrides, baseLexicon, key, parsed));
+  };
+
+  const exportEdits = () => {
+    downloadBlob(
+      "lexicon-edits.json",
+      new Blob([serializeOverrides(overrides)], { type: "application/json" })
+    );
+  };
+
+  // Imported edits are merged into the current ones; the file wins on conflicts
+  const importEdits = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const imported = parseOverrides(await file.text());
+      onOverridesChange({ ...overrides, ...imported });
+      setStatus({ message: `Imported ${Object.keys(imported).length} edits from ${file.name}.` });
+    } catch (err) {
+      setStatus({ error: `Could not import ${file.name}: ${err.message}` });
+    }
+  };
+
+  const resetAll = () => {
+    if (window.confirm("Discard all local lexicon edits?")) {
+      onOverridesChange({});
+      setStatus(null);
+    }
+  };
+
+  return (
+    <div
+      style={{
+        background: "#fff",
+        border: "1px solid #e0e0e0",
+        borderRadius: 6,
+        padding: "10px 12px",
+        fontSize: 14,
+        display: "flex",
+        flexDirection: "column",
+        gap: 6,
+      }}
+    >
+      <div style={{ fontWeight: 600, fontSize: 16 }}>Lexicon edits</div>
+      <label style={{ display: "flex", alignItems: "center", gap: 6 }}>
+        <input
+          type="checkbox"
+          checked={editing}
+          onChange={(e) => onEditingChange(e.target.checked)}
+        />
+        Drag &lt;word&gt; points on the chart to move them
+      </label>
+      <input
+        type="search"
+        value={word}
+        onChange={(e) => onWordChange(e.target.value)}
+        placeholder="Word or phrase to edit or add..."
+        style={inputStyle}
+      />
+      {key && (
+        <>
+          <div style={{ color: "#888", fontSize: 13 }}>
+            {entry && hasEntry(overrides, key) && hasEntry(baseLexicon, key) &&
+              `Edited; originally ${formatEntry(baseLexicon[key])}`}
+            {entry && !hasEntry(baseLexicon, key) && "Added locally"}
+            {entry && !hasEntry(overrides, key) && "Unedited lexicon entry"}
+            {deleted && "Deleted locally"}
+            {!entry && !deleted && `"${key}" is not in the lexicon`}
+          </div>
+          {!deleted && (
+            <div style={{ display: "flex", gap: 6 }}>
+              {FIELDS.map((f) => (
+                <label key={f.key} style={{ flex: 1, display: "flex", flexDirection: "column" }}>
+                  <span style={{ fontSize: 12, color: "#666" }}>{f.label}</span>
+                  <input
+                    type="number"
+                    step="any"
+                    value={values[f.key]}
+                    onChange={(e) => setField(f.key, e.target.value)}
+                    style={{ ...inputStyle, width: "100%", boxSizing: "border-box" }}
+                  />
+                </label>
+              ))}
+            </div>
+          )}
+          <div style={{ display: "flex", gap: 6, flexWrap: "wrap" }}>
+            {!deleted && (
+              <button style={buttonStyle} onClick={save}>
+                {entry ? "Save" : "Add word"}
+              </button>
+            )}
+            {entry && (
+              <button
+                style={buttonStyle}
+                onClick={() => onOverridesChange(deleteWord(overrides, baseLexicon, key))}
+              >
+                Delete
+              </button>
+            )}
+            {hasEntry(overrides, key) && (
+              <button
+                style={buttonStyle}
+                onClick={() => onOverridesChange(revertWord(overrides, key))}
+              >
+                {deleted ? "Restore" : "Revert"}
+              </button>
+            )}
+          </div>
+        </>
+      )}
+      <div style={{ color: "#555" }}>
+        {summary.changed} changed, {summary.added} added, {summary.deleted} deleted
+      </div>
+      {editedWords.length > 0 && (
+        <div style={{ maxHeight: 120, overflowY: "auto", color: "#2196f3" }}>
+          {editedWords.map((w, i) => (
+            <React.Fragment key={w}>
+              {i > 0 && ", "}
+              <button
+                onClick={() => onWordChange(w)}
+                aria-label={overrides[w] ? undefined : `${w} (deleted)`}
+                style={{
+                  ...wordButtonStyle,
+                  textDecoration: overrides[w] ? undefined : "line-through",
+                }}
+              >
+                {w}
+              </button>
+            </React.Fragment>
+          ))}
+        </div>
+      )}
+      <div style={{ display: "flex", gap: 6, flexWrap: "wrap" }}>
+        <button style={buttonStyle} onClick={exportEdits} disabled={editedWords.length === 0}>
+          Export edits
+        </button>
+        <button style={buttonStyle} onClick={() => fileInput.current.click()}>
+          Import edits...
+        </button>
+        <button style={buttonStyle} onClick={resetAll} disabled={editedWords.length === 0}>
+          Reset all
+        </button>
+        <input
+          ref={fileInput}
+          type="file"
+          accept=".json,application/json"
+          onChange={importEdits}
+          style={{ display: "none" }}
+        />
+      </div>
+      {saveFailed && (
+        <div style={{ color: "#c62828" }}>
+          ⚠ Edits cannot be saved in this browser and will be lost on reload.
+          Export them to keep them.
+        </div>
+      )}
+      {status?.error && <div style={{ color: "#c62828" }}>⚠ {status.error}</div>}
+      {status?.message && <div style={{ color: "#2e7d32" }}>{status.message}</div>}
+    </div>
+  );
+}
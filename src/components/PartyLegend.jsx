@@ -0,0 +1,104 @@
+import React from "react";
+import LanguageSelect from "./LanguageSelect";
+
+// Legend for the party registry (public/party_texts/index.json). Parties whose
+// text failed to load or score are listed with their error instead of a position.
+// Each loaded program's language can be picked by hand.
+export default function PartyLegend({
+  parties,
+  status,
+  selectedId,
+  onSelect,
+  lexiconLanguages,
+  onLanguageChange,
+}) {
+  return (
+    <div
+      style={{
+        background: "#fff",
+        border: "1px solid #e0e0e0",
+        borderRadius: 6,
+        padding: "10px 12px 7px 12px",
+        fontSize: 14,
+      }}
+    >
+      <div style={{ fontWeight: 600, marginBottom: 5, fontSize: 16 }}>
+        Party programs
+      </div>
+      {status.loading && <span style={{ color: "#aaa" }}>Loading...</span>}
+      {status.error && <span style={{ color: "#c62828" }}>{status.error}</span>}
+      <ul style={{ margin: 0, padding: 0, listStyle: "none" }}>
+        {parties.map((party) => (
+          <li
+            key={party.id}
+            style={{
+              display: "flex",
+              alignItems: "center",
+              gap: 8,
+              padding: "3px 4px",
+              borderRadius: 4,
+              background: party.id === selectedId ? "#f3faff" : undefined,
+              cursor: party.error ? "default" : "pointer",
+            }}
+            onClick={() => !party.error && onSelect(party.id)}
+          >
+            <span
+              style={{
+                width: 14,
+                height: 14,
+                flex: "none",
+                borderRadius: 3,
+                border: "1px solid #111",
+                background: party.error ? "transparent" : party.color,
+              }}
+            />
+            <span style={{ fontWeight: 600 }}>{party.abbreviation}</span>
+            <span
+              style={{
+                color: "#888",
+                flex: 1,
+                minWidth: 0,
+                overflow: "hidden",
+                textOverflow: "ellipsis",
+                whiteSpace: "nowrap",
+              }}
+            >
+              <a
+                href={party.sourceUrl}
+                target="_blank"
+                rel="noopener noreferrer"
+                onClick={(e) => e.stopPropagation()}
+                style={{ color: "inherit" }}
+              >
+                {party.name}
+              </a>
+              {party.year ? ` (${party.year})` : ""}
+            </span>
+            {party.error ? (
+              <span style={{ color: "#c62828" }} title={party.file}>
+                ⚠ {party.error}
+              </span>
+            ) : (
+              <span style={{ color: "#888" }}>
+                ({party.x.toFixed(2)}, {party.y.toFixed(2)})
+              </span>
+            )}
+            {party.text !== undefined && (
+              // Picking a language does not select the party
+              <span onClick={(e) => e.stopPropagation()}>
+                <LanguageSelect
+                  value={party.chosenLanguage}
+                  detected={party.detected}
+                  lexiconLanguages={lexiconLanguages}
+                  onChange={(language) => onLanguageChange(party.id, language)}
+                  label={`Language of the ${party.abbreviation} program`}
+                  style={{ maxWidth: 90 }}
+                />
+              </span>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,280 @@
+import React, { useState } from "react";
+import { SECTION_MODES } from "../lib/sections";
+import { NORMALIZATIONS } from "../lib/normalization";
+import { NEGATION_MODES } from "../lib/scoring";
+import { WEIGHTINGS } from "../lib/weighting";
+import { normalizeWord } from "../lib/tokenizer";
+
+export const ELLIPSE_LEVELS = [
+  { value: 0, label: "Off" },
+  { value: 0.68, label: "68%" },
+  { value: 0.95, label: "95%" },
+];
+
+const rowStyle = {
+  display: "flex",
+  alignItems: "center",
+  justifyContent: "space-between",
+  gap: 8,
+};
+
+const SECTION_MODE_LABELS = {
+  off: "Off",
+  paragraphs: "Paragraphs",
+  headings: "Headings",
+};
+
+// Analysis and display settings for the chart
+export default function SettingsPanel({
+  ellipseLevel,
+  onEllipseLevelChange,
+  sectionMode,
+  onSectionModeChange,
+  nearestK,
+  onNearestKChange,
+  clickRadius,
+  onClickRadiusChange,
+  showDensity,
+  onShowDensityChange,
+  densityOpacity,
+  onDensityOpacityChange,
+  densityMinConfidence,
+  onDensityMinConfidenceChange,
+  normalization,
+  activeNormalization,
+  onNormalizationChange,
+  phrases,
+  onPhrasesChange,
+  negation,
+  onNegationChange,
+  weighting,
+  activeWeighting,
+  onWeightingChange,
+  dropStopwords,
+  onDropStopwordsChange,
+  stopwordList,
+  defaultStopwordList,
+  onStopwordListChange,
+}) {
+  // Text typed into the stopword list; applied when the field loses focus
+  const [stopwordDraft, setStopwordDraft] = useState(null);
+
+  const applyStopwords = () => {
+    if (stopwordDraft === null) return;
+    const words = stopwordDraft.split(/[\s,]+/).map(normalizeWord).filter(Boolean);
+    onStopwordListChange([...new Set(words)]);
+    setStopwordDraft(null);
+  };
+
+  return (
+    <div
+      style={{
+        background: "#fff",
+        border: "1px solid #e0e0e0",
+        borderRadius: 6,
+        padding: "10px 12px",
+        fontSize: 14,
+        display: "flex",
+        flexDirection: "column",
+        gap: 6,
+      }}
+    >
+      <label style={rowStyle}>
+        <span title="How raw text positions are mapped onto the 0-10 chart">
+          Normalization
+        </span>
+        <select
+          value={normalization}
+          onChange={(e) => onNormalizationChange(e.target.value)}
+        >
+          {Object.entries(NORMALIZATIONS).map(([key, n]) => (
+            <option key={key} value={key}>
+              {n.label}
+            </option>
+          ))}
+        </select>
+      </label>
+      {activeNormalization !== normalization && (
+        <div style={{ color: "#c62828", fontSize: 13 }}>
+          Waiting for party texts; using {NORMALIZATIONS[activeNormalization].label.toLowerCase()} until they load.
+        </div>
+      )}
+      <label style={rowStyle}>
+        <span title="How often a word occurs translates into its weight">
+          Term weighting
+        </span>
+        <select value={weighting} onChange={(e) => onWeightingChange(e.target.value)}>
+          {Object.entries(WEIGHTINGS).map(([key, w]) => (
+            <option key={key} value={key}>
+              {w.label}
+            </option>
+          ))}
+        </select>
+      </label>
+      {activeWeighting !== weighting && (
+        <div style={{ color: "#c62828", fontSize: 13 }}>
+          Waiting for party texts; using {WEIGHTINGS[activeWeighting].label.toLowerCase()} until they load.
+        </div>
+      )}
+      <label style={rowStyle}>
+        <span title="Leave function words such as und, die and für out of every score">
+          Ignore stopwords
+        </span>
+        <input
+          type="checkbox"
+          checked={dropStopwords}
+          onChange={(e) => onDropStopwordsChange(e.target.checked)}
+        />
+      </label>
+      {dropStopwords && (
+        <details>
+          <summary style={{ cursor: "pointer", color: "#2196f3" }}>
+            Stopword list ({stopwordList.length} words)
+          </summary>
+          <textarea
+            value={stopwordDraft ?? stopwordList.join(" ")}
+            onChange={(e) => setStopwordDraft(e.target.value)}
+            onBlur={applyStopwords}
+            rows={6}
+            spellCheck={false}
+            style={{ width: "100%", boxSizing: "border-box", marginTop: 4, fontSize: 13 }}
+          />
+          <button
+            onClick={() => {
+              setStopwordDraft(null);
+              onStopwordListChange(defaultStopwordList);
+            }}
+            disabled={stopwordList === defaultStopwordList}
+            style={{
+              background: "none",
+              border: "none",
+              color: "#2196f3",
+              cursor: "pointer",
+              padding: 0,
+              fontSize: 13,
+            }}
+          >
+            Reset to the default list
+          </button>
+        </details>
+      )}
+      <label style={rowStyle}>
+        <span title='Match multi-word lexicon entries such as "soziale Marktwirtschaft" before single words'>
+          Phrase entries
+        </span>
+        <input
+          type="checkbox"
+          checked={phrases}
+          onChange={(e) => onPhrasesChange(e.target.checked)}
+        />
+      </label>
+      <label style={rowStyle}>
+        <span title="What happens to the three words after nicht, kein(e), ohne or gegen">
+          Negation
+        </span>
+        <select value={negation} onChange={(e) => onNegationChange(e.target.value)}>
+          {Object.entries(NEGATION_MODES).map(([key, mode]) => (
+            <option key={key} value={key}>
+              {mode.label}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label style={rowStyle}>
+        <span title="Bootstrap confidence ellipse around party, document and sentence points">
+          Uncertainty ellipses
+        </span>
+        <select
+          value={ellipseLevel}
+          onChange={(e) => onEllipseLevelChange(Number(e.target.value))}
+        >
+          {ELLIPSE_LEVELS.map((l) => (
+            <option key={l.value} value={l.value}>
+              {l.label}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label style={rowStyle}>
+        <span title="Score each party program section by section and draw the spread around the party">
+          Party sections
+        </span>
+        <select
+          value={sectionMode}
+          onChange={(e) => onSectionModeChange(e.target.value)}
+        >
+          {SECTION_MODES.map((mode) => (
+            <option key={mode} value={mode}>
+              {SECTION_MODE_LABELS[mode]}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label style={rowStyle}>
+        <span title="How many words the nearest-word and click lists show">
+          Words per list
+        </span>
+        <input
+          type="number"
+          min={1}
+          max={50}
+          value={nearestK}
+          onChange={(e) => onNearestKChange(Math.max(1, Number(e.target.value) || 1))}
+          style={{ width: 64 }}
+        />
+      </label>
+      <label style={rowStyle}>
+        <span title="Radius of the word search around a clicked point">
+          Click radius
+        </span>
+        <input
+          type="number"
+          min={0.05}
+          max={5}
+          step={0.05}
+          value={clickRadius}
+          onChange={(e) => onClickRadiusChange(Math.max(0.05, Number(e.target.value) || 0.05))}
+          style={{ width: 64 }}
+        />
+      </label>
+      <label style={rowStyle}>
+        <span title="Background heatmap of where the lexicon's words sit">
+          Lexicon density
+        </span>
+        <input
+          type="checkbox"
+          checked={showDensity}
+          onChange={(e) => onShowDensityChange(e.target.checked)}
+        />
+      </label>
+      {showDensity && (
+        <>
+          <label style={rowStyle}>
+            <span>Density opacity</span>
+            <input
+              type="range"
+              min={0.05}
+              max={1}
+              step={0.05}
+              value={densityOpacity}
+              onChange={(e) => onDensityOpacityChange(Number(e.target.value))}
+            />
+          </label>
+          <label style={rowStyle}>
+            <span title="Only lexicon entries at or above this confidence are counted">
+              Density min. confidence
+            </span>
+            <input
+              type="number"
+              min={0}
+              step={1}
+              value={densityMinConfidence}
+              onChange={(e) => onDensityMinConfidenceChange(Math.max(0, Number(e.target.value) || 0))}
+              style={{ width: 64 }}
+            />
+          </label>
+        </>
+      )}
+    </div>
+  );
+}
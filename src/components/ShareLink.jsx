@@ -0,0 +1,60 @@
+import React, { useState } from "react";
+import { MAX_LINK_LENGTH, encodeState } from "../lib/permalink";
+
+// "Copy link" button: encodes the chart state into the URL fragment, puts the
+// link in the address bar and on the clipboard. Uploaded documents are not
+// part of the link.
+export default function ShareLink({ getState, restoreError }) {
+  const [status, setStatus] = useState(null);
+
+  const copyLink = async () => {
+    let fragment;
+    try {
+      fragment = await encodeState(getState());
+    } catch (err) {
+      setStatus({ error: `Could not create a link: ${err.message}` });
+      return;
+    }
+    const url = window.location.href.split("#")[0] + fragment;
+    if (url.length > MAX_LINK_LENGTH) {
+      setStatus({
+        error: `The link would be ${url.length} characters long, over the ${MAX_LINK_LENGTH}-character limit. It carries the editor text, the compare texts and any customized stopword list; shorten these to share it.`,
+      });
+      return;
+    }
+    window.history.replaceState(null, "", fragment);
+    try {
+      await navigator.clipboard.writeText(url);
+      setStatus({ message: "Link copied to clipboard." });
+    } catch (err) {
+      setStatus({ message: "Copying failed; the link is in the address bar." });
+    }
+  };
+
+  const error = status?.error || restoreError;
+  return (
+    <div style={{ fontSize: 14 }}>
+      <button
+        onClick={copyLink}
+        title="Link to the current text, clicked point and settings (uploaded documents are not included)"
+        style={{
+          padding: "6px 14px",
+          border: "1px solid #2196f3",
+          borderRadius: 6,
+          background: "#fff",
+          color: "#2196f3",
+          cursor: "pointer",
+          fontSize: 14,
+        }}
+      >
+        Copy link
+      </button>
+      {error && (
+        <div style={{ color: "#c62828", marginTop: 5 }}>⚠ {error}</div>
+      )}
+      {!error && status?.message && (
+        <div style={{ color: "#2e7d32", marginTop: 5 }}>{status.message}</div>
+      )}
+    </div>
+  );
+}
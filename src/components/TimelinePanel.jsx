@@ -0,0 +1,169 @@
+import React from "react";
+
+const cellStyle = { padding: "2px 6px", textAlign: "right" };
+
+function formatDelta(value) {
+  return (value >= 0 ? "+" : "") + value.toFixed(2);
+}
+
+// Party movement over the dated program versions (see lib/timeline.js):
+// paths on the chart, a year slider that animates the party points, and the
+// shifts between two chosen years. `year` is null while the current
+// programs are shown.
+export default function TimelinePanel({
+  years,
+  showPaths,
+  onShowPathsChange,
+  year,
+  onYearChange,
+  playing,
+  onPlayingChange,
+  yearRange,
+  onYearRangeChange,
+  shifts,
+  parties,
+}) {
+  const first = years[0];
+  const last = years[years.length - 1];
+  const shown = year ?? last;
+  const partyById = new Map(parties.map((p) => [p.id, p]));
+
+  return (
+    <div
+      style={{
+        background: "#fff",
+        border: "1px solid #e0e0e0",
+        borderRadius: 6,
+        padding: "10px 12px 7px 12px",
+        fontSize: 14,
+        display: "flex",
+        flexDirection: "column",
+        gap: 6,
+      }}
+    >
+      <div style={{ fontWeight: 600, fontSize: 16 }}>Programs over time</div>
+      <label style={{ display: "flex", gap: 6, alignItems: "center" }}>
+        <input
+          type="checkbox"
+          checked={showPaths}
+          onChange={(e) => onShowPathsChange(e.target.checked)}
+        />
+        Show each party's path ({first}–{last})
+      </label>
+      <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+        <button
+          onClick={() => {
+            // Playing from the end starts over
+            if (!playing && shown >= last) onYearChange(first);
+            onPlayingChange(!playing);
+          }}
+          style={{ width: 60 }}
+        >
+          {playing ? "Pause" : "Play"}
+        </button>
+        <input
+          type="range"
+          min={first}
+          max={last}
+          step={0.05}
+          value={shown}
+          onChange={(e) => {
+            onPlayingChange(false);
+            onYearChange(Number(e.target.value));
+          }}
+          style={{ flex: 1 }}
+        />
+        <span style={{ width: 36, textAlign: "right", fontVariantNumeric: "tabular-nums" }}>
+          {Math.floor(shown)}
+        </span>
+      </div>
+      {year !== null && (
+        <div style={{ color: "#888", fontSize: 13 }}>
+          Party points move between their programs; ellipses and sections
+          are hidden.{" "}
+          <button
+            onClick={() => {
+              onPlayingChange(false);
+              onYearChange(null);
+            }}
+            style={{
+              background: "none",
+              border: "none",
+              color: "#2196f3",
+              cursor: "pointer",
+              padding: 0,
+              fontSize: 13,
+            }}
+          >
+            Show current programs
+          </button>
+        </div>
+      )}
+      <label style={{ display: "flex", gap: 6, alignItems: "center" }}>
+        <input
+          type="checkbox"
+          checked={yearRange !== null}
+          onChange={(e) => onYearRangeChange(e.target.checked ? { from: first, to: last } : null)}
+        />
+        Compare
+        {["from", "to"].map((end) => (
+          <select
+            key={end}
+            value={yearRange ? yearRange[end] : end === "from" ? first : last}
+            disabled={yearRange === null}
+            onChange={(e) => onYearRangeChange({ ...yearRange, [end]: Number(e.target.value) })}
+          >
+            {years.map((y) => (
+              <option key={y} value={y}>
+                {y}
+              </option>
+            ))}
+          </select>
+        ))}
+      </label>
+      {yearRange !== null &&
+        (shifts.length === 0 ? (
+          <span style={{ color: "#aaa" }}>(no party has a new program in between)</span>
+        ) : (
+          <table style={{ width: "100%", borderCollapse: "collapse" }}>
+            <thead>
+              <tr>
+                {["Party", "Years", "Δx", "Δy", "Distance"].map((label, i) => (
+                  <th key={label} style={{ ...cellStyle, textAlign: i < 2 ? "left" : "right" }}>
+                    {label}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {shifts.map((s) => {
+                const party = partyById.get(s.partyId);
+                return (
+                  <tr key={s.partyId} title={topWordsTitle(s)}>
+                    <td style={{ ...cellStyle, textAlign: "left", fontWeight: 600 }}>
+                      <span style={{ color: party?.color }}>■</span>{" "}
+                      {party?.abbreviation ?? s.partyId}
+                    </td>
+                    <td style={{ ...cellStyle, textAlign: "left", color: "#888" }}>
+                      {s.fromYear}→{s.toYear}
+                    </td>
+                    <td style={cellStyle}>{formatDelta(s.shift.dx)}</td>
+                    <td style={cellStyle}>{formatDelta(s.shift.dy)}</td>
+                    <td style={cellStyle}>{s.shift.distance.toFixed(2)}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        ))}
+    </div>
+  );
+}
+
+// The words that moved a party most, for the row tooltip
+function topWordsTitle(shift) {
+  const words = shift.rows
+    .slice(0, 5)
+    .map((r) => `${r.negated ? "not " : ""}${r.word} (${r.countA}→${r.countB})`);
+  return `Moved most by: ${words.join(", ")}`;
+}
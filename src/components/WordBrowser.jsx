@@ -0,0 +1,215 @@
+import React, { useMemo, useState } from "react";
+import { downloadBlob, toCsv } from "../lib/exporters";
+import { WORD_TABLE_COLUMNS, filterWords, paginate, sortWords } from "../lib/wordTable";
+
+const PAGE_SIZE = 25;
+const COLUMN_LABELS = { word: "Word", x: "x", y: "y", confidence: "Confidence" };
+
+const cellStyle = { padding: "2px 6px", textAlign: "right" };
+const linkButtonStyle = {
+  background: "none",
+  border: "none",
+  color: "#2196f3",
+  cursor: "pointer",
+  padding: 0,
+};
+
+// Table of the lexicon words inside a region selected on the chart. Words
+// can be searched, filtered by confidence, sorted, inserted into the text
+// or exported. `words` come from wordsInRegion in lib/index.js.
+export default function WordBrowser({ words, description, onInsert, onClose }) {
+  const [search, setSearch] = useState("");
+  const [minConfidence, setMinConfidence] = useState(0);
+  const [sort, setSort] = useState({ key: "confidence", direction: "desc" });
+  const [page, setPage] = useState(0);
+  const [selected, setSelected] = useState(() => new Set());
+
+  const matching = useMemo(
+    () => sortWords(filterWords(words, { search, minConfidence }), sort.key, sort.direction),
+    [words, search, minConfidence, sort]
+  );
+  const current = paginate(matching, page, PAGE_SIZE);
+  const pageSelected = current.rows.length > 0 && current.rows.every((w) => selected.has(w.word));
+
+  const toggle = (word) => {
+    const next = new Set(selected);
+    if (next.has(word)) next.delete(word);
+    else next.add(word);
+    setSelected(next);
+  };
+  const togglePage = () => {
+    const next = new Set(selected);
+    current.rows.forEach((w) => (pageSelected ? next.delete(w.word) : next.add(w.word)));
+    setSelected(next);
+  };
+  const sortBy = (key) => {
+    setSort((s) =>
+      s.key === key
+        ? { key, direction: s.direction === "asc" ? "desc" : "asc" }
+        : { key, direction: key === "word" ? "asc" : "desc" }
+    );
+    setPage(0);
+  };
+  // Selected words in table order
+  const selectedWords = matching.filter((w) => selected.has(w.word)).map((w) => w.word);
+
+  const exportCsv = () => {
+    downloadBlob(
+      "region-words.csv",
+      new Blob([toCsv(matching, WORD_TABLE_COLUMNS)], { type: "text/csv" })
+    );
+  };
+  const exportJson = () => {
+    const rows = matching.map(({ word, x, y, confidence }) => ({ word, x, y, confidence }));
+    downloadBlob(
+      "region-words.json",
+      new Blob([JSON.stringify(rows, null, 2)], { type: "application/json" })
+    );
+  };
+
+  return (
+    <div
+      style={{
+        background: "#fff",
+        border: "1px solid #e0e0e0",
+        borderRadius: 6,
+        padding: "10px 12px 7px 12px",
+        fontSize: 14,
+        display: "flex",
+        flexDirection: "column",
+        gap: 6,
+      }}
+    >
+      <div style={{ fontWeight: 600, fontSize: 16 }}>Words in selection</div>
+      <div style={{ color: "#555" }}>
+        {description}: {words.length} lexicon word{words.length === 1 ? "" : "s"}.
+      </div>
+      <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+        <input
+          type="search"
+          value={search}
+          onChange={(e) => {
+            setSearch(e.target.value);
+            setPage(0);
+          }}
+          placeholder="Search…"
+          aria-label="Search words"
+          style={{ flex: 1, minWidth: 0, padding: "2px 6px" }}
+        />
+        <label title="Hide words with a lower lexicon confidence">
+          Min. conf.{" "}
+          <input
+            type="number"
+            min={0}
+            value={minConfidence}
+            onChange={(e) => {
+              setMinConfidence(Math.max(0, Number(e.target.value) || 0));
+              setPage(0);
+            }}
+            style={{ width: 64 }}
+          />
+        </label>
+      </div>
+      <div style={{ maxHeight: 360, overflowY: "auto" }}>
+        <table style={{ width: "100%", borderCollapse: "collapse" }}>
+          <thead>
+            <tr>
+              <th style={{ ...cellStyle, position: "sticky", top: 0, background: "#fff" }}>
+                <input
+                  type="checkbox"
+                  checked={pageSelected}
+                  onChange={togglePage}
+                  aria-label="Select all words on this page"
+                />
+              </th>
+              {WORD_TABLE_COLUMNS.map((key) => (
+                <th
+                  key={key}
+                  aria-sort={
+                    sort.key === key
+                      ? sort.direction === "asc"
+                        ? "ascending"
+                        : "descending"
+                      : "none"
+                  }
+                  style={{
+                    ...cellStyle,
+                    textAlign: key === "word" ? "left" : "right",
+                    position: "sticky",
+                    top: 0,
+                    background: "#fff",
+                  }}
+                >
+                  <button
+                    onClick={() => sortBy(key)}
+                    style={{ ...linkButtonStyle, color: "inherit", font: "inherit" }}
+                  >
+                    {COLUMN_LABELS[key]}
+                    {sort.key === key ? (sort.direction === "asc" ? " ▲" : " ▼") : ""}
+                  </button>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {current.rows.map((w) => (
+              <tr key={w.word}>
+                <td style={cellStyle}>
+                  <input
+                    type="checkbox"
+                    checked={selected.has(w.word)}
+                    onChange={() => toggle(w.word)}
+                    aria-label={`Select ${w.word}`}
+                  />
+                </td>
+                <td style={{ ...cellStyle, textAlign: "left" }}>{w.word}</td>
+                <td style={cellStyle}>{w.x.toFixed(2)}</td>
+                <td style={cellStyle}>{w.y.toFixed(2)}</td>
+                <td style={cellStyle}>{w.confidence.toFixed(2)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {matching.length === 0 && <span style={{ color: "#aaa" }}>(none)</span>}
+      </div>
+      {current.pageCount > 1 && (
+        <div style={{ display: "flex", justifyContent: "center", alignItems: "center", gap: 8 }}>
+          <button onClick={() => setPage(current.page - 1)} disabled={current.page === 0}>
+            ‹ Prev
+          </button>
+          <span>
+            Page {current.page + 1} of {current.pageCount}
+          </span>
+          <button
+            onClick={() => setPage(current.page + 1)}
+            disabled={current.page === current.pageCount - 1}
+          >
+            Next ›
+          </button>
+        </div>
+      )}
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 6 }}>
+        <button onClick={() => onInsert(selectedWords)} disabled={selectedWords.length === 0}>
+          Insert selected ({selectedWords.length})
+        </button>
+        <button
+          onClick={() => onInsert(matching.map((w) => w.word))}
+          disabled={matching.length === 0}
+        >
+          Insert all {matching.length}
+        </button>
+        <button onClick={exportCsv} disabled={matching.length === 0}>
+          CSV
+        </button>
+        <button onClick={exportJson} disabled={matching.length === 0}>
+          JSON
+        </button>
+      </div>
+      <div style={{ textAlign: "right", fontSize: 13 }}>
+        <button onClick={onClose} style={linkButtonStyle}>
+          Close
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,132 @@
+// Lexicon word suggestions for the <...> editor brackets. Matching ignores
+// case and umlaut spelling ("buerger" finds "bürger"), tolerates typos in
+// the typed prefix and also finds the query inside compounds. Suggestions
+// are ranked by match quality, then by lexicon confidence.
+
+// How good each kind of match is; confidence adds up to CONFIDENCE_WEIGHT
+const QUALITY = { exact: 1.3, prefix: 0.8, substring: 0.55, fuzzy: 0.5 };
+const CONFIDENCE_WEIGHT = 0.25;
+// Queries shorter than this only match as prefixes
+const MIN_SUBSTRING_LENGTH = 3;
+const MIN_FUZZY_LENGTH = 4;
+
+const FOLDS = { ä: "ae", ö: "oe", ü: "ue", ß: "ss" };
+
+// Lowercases and spells umlauts and ß out. `map[i]` is the index in `word`
+// of folded character i, so matches can be highlighted in the original.
+export function foldWord(word) {
+  let text = "";
+  const map = [];
+  [...word.toLocaleLowerCase("de")].forEach((ch, i) => {
+    const folded = FOLDS[ch] || ch;
+    text += folded;
+    for (let k = 0; k < folded.length; k++) map.push(i);
+  });
+  return { text, map };
+}
+
+// Typos tolerated in a query of this many (folded) characters
+function allowedTypos(length) {
+  if (length < MIN_FUZZY_LENGTH) return 0;
+  return length < 7 ? 1 : 2;
+}
+
+// Levenshtein distance between `a` and the closest prefix of `b`, giving up
+// above `max`. Returns { distance, length } of that prefix, or null.
+export function prefixDistance(a, b, max) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return null;
+    previous = current;
+  }
+  let best = null;
+  previous.forEach((distance, length) => {
+    if (distance <= max && (!best || distance < best.distance)) best = { distance, length };
+  });
+  return best;
+}
+
+// Folded lexicon keys, built once per lexicon, also grouped by their first
+// folded letter
+export function buildAutocompleteIndex(lexicon) {
+  const entries = Object.entries(lexicon).map(([word, entry]) => ({
+    word,
+    confidence: entry.confidence,
+    ...foldWord(word),
+  }));
+  const byInitial = new Map();
+  for (const entry of entries) {
+    const initial = entry.text[0];
+    if (!byInitial.has(initial)) byInitial.set(initial, []);
+    byInitial.get(initial).push(entry);
+  }
+  const maxConfidence = entries.reduce((max, e) => Math.max(max, e.confidence), 1);
+  return { entries, byInitial, logMaxConfidence: Math.log1p(maxConfidence) };
+}
+
+// The best match of a folded query in an index entry, or null. The typo
+// search is the slow part, so it only runs on words with the query's first
+// letter: a typo there is not corrected.
+function matchEntry(query, entry) {
+  const { text } = entry;
+  if (text === query) return { kind: "exact", quality: QUALITY.exact, start: 0, end: text.length };
+  if (text.startsWith(query)) {
+    return { kind: "prefix", quality: QUALITY.prefix, start: 0, end: query.length };
+  }
+  if (query.length >= MIN_SUBSTRING_LENGTH) {
+    const start = text.indexOf(query);
+    if (start > 0) {
+      const end = start + query.length;
+      // Heads of compounds ("staatsbürger" for "bürger") before inner parts
+      const quality = QUALITY.substring + (end === text.length ? 0.05 : 0);
+      return { kind: "substring", quality, start, end };
+    }
+  }
+  const typos = allowedTypos(query.length);
+  if (typos === 0 || text[0] !== query[0] || text.length < query.length - typos) return null;
+  // Longer prefixes would need more than `typos` insertions
+  const fuzzy = prefixDistance(query, text.slice(0, query.length + typos), typos);
+  if (!fuzzy || fuzzy.length === 0) return null;
+  // A whole word with a typo beats longer words starting with it
+  const whole = fuzzy.length === text.length ? 0.2 : 0;
+  return {
+    kind: "fuzzy",
+    quality: QUALITY.fuzzy + whole - 0.1 * fuzzy.distance,
+    start: 0,
+    end: fuzzy.length,
+  };
+}
+
+// Up to `limit` suggestions for `partial`, best first:
+// { word, confidence, kind, score, match: [start, end] } where `match` is
+// the matched part of `word`
+export function suggestWords(index, partial, { limit = 5 } = {}) {
+  const query = foldWord(partial.trim()).text;
+  if (!query) return [];
+  // Shorter queries only match words starting like them
+  const candidates =
+    query.length >= MIN_SUBSTRING_LENGTH ? index.entries : index.byInitial.get(query[0]) ?? [];
+  const suggestions = [];
+  for (const entry of candidates) {
+    const m = matchEntry(query, entry);
+    if (!m) continue;
+    const confidence = Math.log1p(Math.max(0, entry.confidence)) / index.logMaxConfidence;
+    suggestions.push({
+      word: entry.word,
+      confidence: entry.confidence,
+      kind: m.kind,
+      score: m.quality + CONFIDENCE_WEIGHT * confidence,
+      match: [entry.map[m.start], entry.map[m.end - 1] + 1],
+    });
+  }
+  return suggestions
+    .sort((a, b) => b.score - a.score || a.word.localeCompare(b.word, "de"))
+    .slice(0, limit);
+}
@@ -0,0 +1,50 @@
+import { buildAutocompleteIndex, foldWord, prefixDistance, suggestWords } from "./autocomplete";
+
+const lexicon = {
+  bürger: { x: 5, y: 5, confidence: 50 },
+  bürgergeld: { x: 3, y: 5, confidence: 200 },
+  staatsbürger: { x: 6, y: 6, confidence: 10 },
+  straße: { x: 5, y: 5, confidence: 5 },
+  burg: { x: 5, y: 5, confidence: 1 },
+  klimaschutz: { x: 2, y: 4, confidence: 30 },
+};
+const index = buildAutocompleteIndex(lexicon);
+const words = (query, options) => suggestWords(index, query, options).map((s) => s.word);
+
+test("folds umlauts and ß and maps back to the original letters", () => {
+  expect(foldWord("Straße")).toEqual({ text: "strasse", map: [0, 1, 2, 3, 4, 4, 5] });
+  expect(foldWord("Bürger").text).toBe("buerger");
+});
+
+test("finds words regardless of umlaut spelling", () => {
+  expect(words("buerger")).toEqual(["bürger", "bürgergeld", "staatsbürger"]);
+  expect(words("strasse")).toEqual(["straße"]);
+  const [first] = suggestWords(index, "Buerger");
+  expect(first).toMatchObject({ word: "bürger", kind: "exact", match: [0, 6] });
+});
+
+test("ranks prefixes by confidence and puts compounds after them", () => {
+  expect(words("bürg")).toEqual(["bürgergeld", "bürger", "staatsbürger", "burg"]);
+  const compound = suggestWords(index, "bürger").find((s) => s.word === "staatsbürger");
+  expect(compound).toMatchObject({ kind: "substring", match: [6, 12] });
+});
+
+test("tolerates typos", () => {
+  expect(words("burger")[0]).toBe("bürger");
+  expect(words("klimshutz")).toEqual(["klimaschutz"]);
+  // Too short to guess at
+  expect(words("brg")).toEqual([]);
+  expect(prefixDistance("klimshutz", "klimaschutz", 2)).toEqual({ distance: 2, length: 11 });
+  expect(prefixDistance("abc", "xyz", 1)).toBeNull();
+});
+
+test("only looks for typos in words with the query's first letter", () => {
+  expect(index.byInitial.get("b").map((e) => e.word)).toEqual(["bürger", "bürgergeld", "burg"]);
+  expect(words("klimashutz")).toEqual(["klimaschutz"]);
+  expect(words("glimaschutz")).toEqual([]);
+});
+
+test("limits the number of suggestions", () => {
+  expect(words("b", { limit: 2 })).toEqual(["bürgergeld", "bürger"]);
+  expect(words("  ")).toEqual([]);
+});
@@ -0,0 +1,111 @@
+import { SCORING_DEFAULTS, matchId, textMatches, weightedRows } from "./scoring.js";
+
+// Texts with fewer sentences than this are resampled word by word instead
+const MIN_SENTENCE_UNITS = 8;
+
+// Splits a text into sentences (or paragraph-like blocks without punctuation)
+export function splitSentences(text) {
+  return text
+    .split(/[.!?;]+\s+|\n\s*\n/)
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+// Small seeded PRNG so repeated runs draw the same resamples
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Weighted sums of one resampling unit. Each occurrence carries an equal
+// share of its word's weight in the whole text, so the units add up to
+// exactly scoreText's weighting even when it is not linear in the count.
+function unitSums(matches, rows) {
+  let wx = 0,
+    wy = 0,
+    w = 0;
+  for (const match of matches) {
+    const row = rows.get(matchId(match));
+    if (!row) continue;
+    const weight = row.weight / row.count;
+    wx += row.x * weight;
+    wy += row.y * weight;
+    w += weight;
+  }
+  return { wx, wy, w };
+}
+
+// Estimates positional uncertainty by resampling a text's sentences (or its
+// words, for short texts) with replacement and rescoring each resample.
+// Returns the mean and covariance of the raw (pre-normalization) positions,
+// or null; scale the covariance by the normalization slopes to plot it.
+export function bootstrapPosition(text, lexicon, options = {}) {
+  const { replicates = 200, seed = 1, scoring = SCORING_DEFAULTS } = options;
+  const sentences = splitSentences(text);
+  const byWord = sentences.length < MIN_SENTENCE_UNITS;
+  const matches = textMatches(text, lexicon, scoring);
+  const rows = weightedRows(matches, lexicon, scoring);
+  const units = (byWord
+    ? matches.map((match) => [match])
+    : sentences.map((s) => textMatches(s, lexicon, scoring))
+  )
+    .map((matches) => unitSums(matches, rows))
+    .filter((u) => u.w > 0);
+  if (units.length < 2) return null;
+
+  const random = mulberry32(seed);
+  const xs = [];
+  const ys = [];
+  for (let r = 0; r < replicates; r++) {
+    let wx = 0,
+      wy = 0,
+      w = 0;
+    for (let i = 0; i < units.length; i++) {
+      const u = units[Math.floor(random() * units.length)];
+      wx += u.wx;
+      wy += u.wy;
+      w += u.w;
+    }
+    xs.push(wx / w);
+    ys.push(wy / w);
+  }
+  const mean = (v) => v.reduce((a, b) => a + b, 0) / v.length;
+  const mx = mean(xs);
+  const my = mean(ys);
+  let sxx = 0,
+    syy = 0,
+    sxy = 0;
+  for (let r = 0; r < replicates; r++) {
+    sxx += (xs[r] - mx) ** 2;
+    syy += (ys[r] - my) ** 2;
+    sxy += (xs[r] - mx) * (ys[r] - my);
+  }
+  const n = replicates - 1;
+  return {
+    mean: { x: mx, y: my },
+    cov: { xx: sxx / n, yy: syy / n, xy: sxy / n },
+    units: units.length,
+    unit: byWord ? "word" : "sentence",
+  };
+}
+
+// Semi-axes (in data units) and rotation (degrees, counter-clockwise) of the
+// confidence ellipse containing `level` of a bivariate normal with covariance `cov`.
+export function confidenceEllipse(cov, level) {
+  // Chi-square quantile with 2 degrees of freedom
+  const scale = Math.sqrt(-2 * Math.log(1 - level));
+  const mid = (cov.xx + cov.yy) / 2;
+  const diff = Math.sqrt(((cov.xx - cov.yy) / 2) ** 2 + cov.xy ** 2);
+  const angle = (Math.atan2(2 * cov.xy, cov.xx - cov.yy) / 2) * (180 / Math.PI);
+  return {
+    rx: scale * Math.sqrt(Math.max(0, mid + diff)),
+    ry: scale * Math.sqrt(Math.max(0, mid - diff)),
+    angle,
+  };
+}
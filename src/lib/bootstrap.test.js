@@ -0,0 +1,36 @@
+import { bootstrapPosition, confidenceEllipse } from "./bootstrap";
+
+const lexicon = {
+  links: { x: 2, y: 5, confidence: 10 },
+  rechts: { x: 8, y: 5, confidence: 10 },
+  oben: { x: 5, y: 8, confidence: 10 },
+};
+
+test("resamples short texts word by word and is reproducible", () => {
+  const text = "links rechts links oben";
+  const a = bootstrapPosition(text, lexicon, { replicates: 100 });
+  const b = bootstrapPosition(text, lexicon, { replicates: 100 });
+  expect(a.unit).toBe("word");
+  expect(a.units).toBe(4);
+  expect(a).toEqual(b);
+  expect(a.cov.xx).toBeGreaterThan(0);
+});
+
+test("uncertainty shrinks as the text grows", () => {
+  const sentence = "Links und rechts. Oben links. ";
+  const short = bootstrapPosition(sentence.repeat(5), lexicon);
+  const long = bootstrapPosition(sentence.repeat(200), lexicon);
+  expect(short.unit).toBe("sentence");
+  expect(long.cov.xx).toBeLessThan(short.cov.xx);
+});
+
+test("returns null without enough scorable units", () => {
+  expect(bootstrapPosition("links", lexicon)).toBeNull();
+});
+
+test("confidence ellipse axes follow the covariance", () => {
+  const e = confidenceEllipse({ xx: 4, yy: 1, xy: 0 }, 0.95);
+  expect(e.angle).toBeCloseTo(0);
+  expect(e.rx / e.ry).toBeCloseTo(2);
+  expect(e.rx).toBeCloseTo(2 * Math.sqrt(-2 * Math.log(0.05)));
+});
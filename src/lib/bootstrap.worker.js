@@ -0,0 +1,28 @@
+/* eslint-disable no-restricted-globals */
+import { bootstrapPosition } from "./bootstrap.js";
+
+// Runs bootstrapPosition off the main thread. Messages:
+//   { type: "lexicon", language, lexicon }  replaces the lexicon for a language
+//   { type: "options", options }            replaces the bootstrap options
+//   { type: "bootstrap", key, generation, text, language }
+//                                           answers with { key, generation,
+//                                           result }
+const lexicons = {};
+let options = {};
+
+self.onmessage = (e) => {
+  const message = e.data;
+  if (message.type === "lexicon") {
+    lexicons[message.language] = message.lexicon;
+  } else if (message.type === "options") {
+    options = message.options;
+  } else if (message.type === "bootstrap") {
+    try {
+      const lexicon = lexicons[message.language] || {};
+      const result = bootstrapPosition(message.text, lexicon, options);
+      self.postMessage({ key: message.key, generation: message.generation, result });
+    } catch (err) {
+      self.postMessage({ key: message.key, generation: message.generation, error: err.message });
+    }
+  }
+};
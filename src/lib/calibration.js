@@ -0,0 +1,77 @@
+// Derives a lexicon from reference texts with known ("anchor") positions,
+// after Wordscores (Laver, Benoit & Garry 2003). Each word gets the average
+// anchor position of the texts it occurs in, weighted by how much more often
+// it occurs in each text than in the others. Its confidence grows with how
+// concentrated it is in a few texts and, logarithmically, with its frequency,
+// so function words end up near zero.
+import { tokenize } from "./tokenizer.js";
+
+// Numbers (years, paragraph numbers) say nothing about a position
+const HAS_LETTER_RE = /\p{L}/u;
+
+export const CALIBRATION_DEFAULTS = {
+  // Words occurring fewer times across all texts are left out
+  minFrequency: 5,
+  // Added to every word count of every text (additive smoothing), which pulls
+  // rare words toward the corpus average
+  smoothing: 0.5,
+  // confidence = confidenceScale * specificity * ln(1 + frequency), where
+  // specificity runs from 0 (spread evenly over the texts) to 1 (in one text)
+  confidenceScale: 100,
+};
+
+// `texts` is a list of { text, x, y }. Returns { word: { x, y, confidence } }
+// with words ordered by descending frequency.
+export function calibrateLexicon(texts, options = {}) {
+  const { minFrequency, smoothing, confidenceScale } = {
+    ...CALIBRATION_DEFAULTS,
+    ...options,
+  };
+  if (texts.length < 2) throw new Error("need at least two anchored texts");
+
+  const counts = texts.map((t) => {
+    const c = new Map();
+    for (const token of tokenize(t.text)) {
+      if (HAS_LETTER_RE.test(token)) c.set(token, (c.get(token) || 0) + 1);
+    }
+    return c;
+  });
+  const totals = new Map();
+  for (const c of counts) {
+    for (const [word, n] of c) totals.set(word, (totals.get(word) || 0) + n);
+  }
+  const vocabulary = totals.size;
+  const lengths = counts.map((c) => {
+    let n = 0;
+    for (const v of c.values()) n += v;
+    return n + smoothing * vocabulary;
+  });
+  if (lengths.some((n) => n === 0)) throw new Error("an anchored text has no words");
+
+  const maxEntropy = Math.log(texts.length);
+  const lexicon = {};
+  const words = [...totals]
+    .filter(([, n]) => n >= minFrequency)
+    .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1));
+  for (const [word, total] of words) {
+    // P(text | word) from the word's relative frequency in each text
+    const freqs = counts.map((c, i) => ((c.get(word) || 0) + smoothing) / lengths[i]);
+    const sum = freqs.reduce((a, b) => a + b, 0);
+    let x = 0,
+      y = 0,
+      entropy = 0;
+    freqs.forEach((f, i) => {
+      const p = f / sum;
+      x += p * texts[i].x;
+      y += p * texts[i].y;
+      if (p > 0) entropy -= p * Math.log(p);
+    });
+    const specificity = 1 - entropy / maxEntropy;
+    lexicon[word] = {
+      x,
+      y,
+      confidence: confidenceScale * specificity * Math.log(1 + total),
+    };
+  }
+  return lexicon;
+}
@@ -0,0 +1,38 @@
+import { calibrateLexicon } from "./calibration";
+
+const texts = [
+  { text: "Freiheit und Markt. Freiheit und Markt und Wettbewerb.", x: 8, y: 2 },
+  { text: "Solidarität und Staat. Solidarität und Staat und Umverteilung.", x: 2, y: 7 },
+];
+
+test("places words at the anchors of the texts they occur in", () => {
+  const lexicon = calibrateLexicon(texts, { minFrequency: 1, smoothing: 0 });
+  expect(lexicon.freiheit).toMatchObject({ x: 8, y: 2 });
+  expect(lexicon.staat).toMatchObject({ x: 2, y: 7 });
+  // Used equally often by both texts: halfway between them, no confidence
+  expect(lexicon.und.x).toBeCloseTo(5);
+  expect(lexicon.und.y).toBeCloseTo(4.5);
+  expect(lexicon.und.confidence).toBeCloseTo(0);
+  expect(lexicon.freiheit.confidence).toBeGreaterThan(lexicon.wettbewerb.confidence);
+  // Most frequent first
+  expect(Object.keys(lexicon)[0]).toBe("und");
+});
+
+test("smoothing pulls words toward the middle and minFrequency drops rare ones", () => {
+  const lexicon = calibrateLexicon(texts, { minFrequency: 2, smoothing: 1 });
+  expect(lexicon.wettbewerb).toBeUndefined();
+  expect(lexicon.freiheit.x).toBeLessThan(8);
+  expect(lexicon.freiheit.x).toBeGreaterThan(5);
+});
+
+test("ignores numbers and needs two texts", () => {
+  const lexicon = calibrateLexicon(
+    [
+      { text: "2025 Freiheit", x: 8, y: 2 },
+      { text: "2025 Staat", x: 2, y: 7 },
+    ],
+    { minFrequency: 1 }
+  );
+  expect(lexicon["2025"]).toBeUndefined();
+  expect(() => calibrateLexicon([texts[0]])).toThrow("at least two");
+});
@@ -0,0 +1,65 @@
+// Compares two placed scores (see placeScore): how far the point moved from
+// text A to text B, and which words moved it. A word's contribution is the
+// change in its pull, so with the linear stretch the contributions add up to
+// the unclamped shift. Words present in both texts with the same count still
+// contribute, because every other word's weight share changed around them.
+import { matchId } from "./scoring.js";
+
+export const DIFF_STATUSES = {
+  added: "Added",
+  removed: "Removed",
+  changed: "Changed",
+  same: "Same count",
+};
+
+function diffStatus(countA, countB) {
+  if (!countA) return "added";
+  if (!countB) return "removed";
+  return countA === countB ? "same" : "changed";
+}
+
+// { from, to, shift: { dx, dy, distance }, rows } where rows are ranked by
+// how far they moved the point. Either score may be null (no lexicon words).
+export function compareScores(a, b) {
+  const rows = new Map();
+  const collect = (score, side) => {
+    for (const w of score?.words || []) {
+      const id = matchId(w);
+      const row = rows.get(id) || {
+        word: w.word,
+        negated: w.negated,
+        countA: 0,
+        countB: 0,
+        pullA: { x: 0, y: 0 },
+        pullB: { x: 0, y: 0 },
+      };
+      row[`count${side}`] = w.count;
+      row[`pull${side}`] = { x: w.pullX, y: w.pullY };
+      rows.set(id, row);
+    }
+  };
+  collect(a, "A");
+  collect(b, "B");
+
+  const ranked = [...rows.values()]
+    .map(({ pullA, pullB, ...row }) => {
+      const dx = pullB.x - pullA.x;
+      const dy = pullB.y - pullA.y;
+      return {
+        ...row,
+        status: diffStatus(row.countA, row.countB),
+        dx,
+        dy,
+        magnitude: Math.hypot(dx, dy),
+      };
+    })
+    .sort((p, q) => q.magnitude - p.magnitude);
+
+  const from = a && { x: a.x, y: a.y };
+  const to = b && { x: b.x, y: b.y };
+  const shift =
+    from && to
+      ? { dx: to.x - from.x, dy: to.y - from.y, distance: Math.hypot(to.x - from.x, to.y - from.y) }
+      : null;
+  return { from, to, shift, rows: ranked };
+}
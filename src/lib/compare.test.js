@@ -0,0 +1,37 @@
+import { compareScores } from "./compare";
+import { SCORING_DEFAULTS, scoreText } from "./scoring";
+
+const lexicon = {
+  markt: { x: 8, y: 4, confidence: 10 },
+  staat: { x: 3, y: 7, confidence: 10 },
+  freiheit: { x: 7, y: 2, confidence: 20 },
+  und: { x: 5, y: 5, confidence: 5 },
+};
+const options = { ...SCORING_DEFAULTS, stretchFactor: 1 };
+
+test("classifies words and ranks them by how far they moved the point", () => {
+  const a = scoreText("Staat und Staat und Markt", lexicon, options);
+  const b = scoreText("Staat und Markt und Freiheit", lexicon, options);
+  const { shift, rows } = compareScores(a, b);
+  expect(rows.map((r) => [r.word, r.status])).toEqual([
+    ["freiheit", "added"],
+    ["staat", "changed"],
+    ["markt", "same"],
+    ["und", "same"],
+  ]);
+  expect(rows[0]).toMatchObject({ countA: 0, countB: 1 });
+  // Unclamped linear stretch: the contributions add up to the shift
+  const sum = rows.reduce((s, r) => ({ dx: s.dx + r.dx, dy: s.dy + r.dy }), { dx: 0, dy: 0 });
+  expect(sum.dx).toBeCloseTo(shift.dx);
+  expect(sum.dy).toBeCloseTo(shift.dy);
+  expect(shift.distance).toBeCloseTo(Math.hypot(shift.dx, shift.dy));
+});
+
+test("handles a side without lexicon words", () => {
+  const b = scoreText("Markt", lexicon, options);
+  const result = compareScores(null, b);
+  expect(result.shift).toBeNull();
+  expect(result.rows).toEqual([
+    expect.objectContaining({ word: "markt", status: "added", countA: 0, countB: 1 }),
+  ]);
+});
@@ -0,0 +1,37 @@
+// Rows of the "why is this point here" breakdown: a scored text's words
+// (see placeScore) filtered, sorted and grouped by the quadrant they pull
+// toward.
+
+// Quadrant a word pulls toward, in the chart's order: top-left, top-right,
+// bottom-left, bottom-right. A pull of exactly 0 counts as right or up.
+export function pullQuadrant({ pullX, pullY }) {
+  return (pullY >= 0 ? 0 : 2) + (pullX >= 0 ? 1 : 0);
+}
+
+// Orders words by `key`, descending if `desc`. Pulls sort by magnitude so the
+// strongest pulls in either direction come first; everything else by value.
+export function sortContributions(words, key, desc) {
+  const dir = desc ? -1 : 1;
+  const value = (w) => (key.startsWith("pull") ? Math.abs(w[key]) : w[key]);
+  return [...words].sort((a, b) => {
+    const av = value(a);
+    const bv = value(b);
+    if (av < bv) return -dir;
+    if (av > bv) return dir;
+    return 0;
+  });
+}
+
+// The words containing `filter` (case-insensitive), sorted and split into one
+// group per quadrant: { ...quadrants[i], rows }. Empty groups are left out.
+export function groupContributions(words, quadrants, { sortKey, sortDesc, filter = "" }) {
+  const needle = filter.trim().toLowerCase();
+  const rows = sortContributions(
+    words.filter((w) => !needle || w.word.includes(needle)),
+    sortKey,
+    sortDesc
+  );
+  return quadrants
+    .map((q, i) => ({ ...q, rows: rows.filter((w) => pullQuadrant(w) === i) }))
+    .filter((g) => g.rows.length > 0);
+}
@@ -0,0 +1,54 @@
+import { groupContributions, pullQuadrant, sortContributions } from "./contributions";
+
+const word = (name, pullX, pullY, weight = 1) => ({ word: name, pullX, pullY, weight });
+const quadrants = ["top-left", "top-right", "bottom-left", "bottom-right"].map((label) => ({
+  label,
+  color: "#eee",
+}));
+
+test("assigns each pull to the chart's quadrant order", () => {
+  expect(
+    [word("a", -1, 1), word("b", 1, 1), word("c", -1, -1), word("d", 1, -1)].map(pullQuadrant)
+  ).toEqual([0, 1, 2, 3]);
+  // No pull on an axis counts as right or up
+  expect(pullQuadrant(word("e", 0, 0))).toBe(1);
+  expect(pullQuadrant(word("f", -0.5, 0))).toBe(0);
+});
+
+test("sorts pulls by magnitude and other columns by value", () => {
+  const words = [
+    word("staat", -0.3, 0.1, 5),
+    word("markt", 0.2, -0.4, 9),
+    word("arbeit", -0.5, 0, 2),
+  ];
+  const names = (rows) => rows.map((w) => w.word);
+  expect(names(sortContributions(words, "pullX", true))).toEqual(["arbeit", "staat", "markt"]);
+  expect(names(sortContributions(words, "pullY", false))).toEqual(["arbeit", "staat", "markt"]);
+  expect(names(sortContributions(words, "weight", true))).toEqual(["markt", "staat", "arbeit"]);
+  expect(names(sortContributions(words, "word", false))).toEqual(["arbeit", "markt", "staat"]);
+  // The input order is left alone
+  expect(names(words)).toEqual(["staat", "markt", "arbeit"]);
+});
+
+test("filters, sorts and groups words by quadrant", () => {
+  const words = [
+    word("staat", -0.3, 0.1),
+    word("staatsschulden", -0.6, 0.2),
+    word("markt", 0.2, -0.4),
+    word("arbeit", -0.5, -0.1),
+  ];
+  const groups = groupContributions(words, quadrants, { sortKey: "pullX", sortDesc: true });
+  expect(groups.map((g) => [g.label, g.rows.map((w) => w.word)])).toEqual([
+    ["top-left", ["staatsschulden", "staat"]],
+    ["bottom-left", ["arbeit"]],
+    ["bottom-right", ["markt"]],
+  ]);
+  const filtered = groupContributions(words, quadrants, {
+    sortKey: "word",
+    sortDesc: false,
+    filter: "  STAAT ",
+  });
+  expect(filtered).toHaveLength(1);
+  expect(filtered[0].rows.map((w) => w.word)).toEqual(["staat", "staatsschulden"]);
+  expect(groupContributions(words, quadrants, { sortKey: "word", filter: "xyz" })).toEqual([]);
+});
@@ -0,0 +1,5 @@
+// Kept in its own module (and imported lazily) because `import.meta` only
+// parses in the browser bundle, not under Jest.
+export default function createBootstrapWorker() {
+  return new Worker(new URL("./bootstrap.worker.js", import.meta.url));
+}
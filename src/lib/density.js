@@ -0,0 +1,70 @@
+// Bins lexicon entries into a square grid over the 0-10 chart for the density
+// layer. Entries outside the chart range are left out.
+
+const TOP_WORDS_PER_BIN = 5;
+
+export function binLexicon(lexicon, { bins = 40, minConfidence = 0 } = {}) {
+  const counts = new Array(bins * bins).fill(0);
+  const top = new Array(bins * bins).fill(null);
+  let max = 0;
+  for (const [word, entry] of Object.entries(lexicon)) {
+    const { x, y, confidence } = entry;
+    if (confidence < minConfidence || x < 0 || x > 10 || y < 0 || y > 10) continue;
+    const i = binIndex(x, y, bins);
+    counts[i]++;
+    max = Math.max(max, counts[i]);
+    const list = top[i] || (top[i] = []);
+    list.push({ word, confidence });
+    if (list.length > TOP_WORDS_PER_BIN) {
+      list.sort((a, b) => b.confidence - a.confidence);
+      list.pop();
+    }
+  }
+  for (const list of top) list?.sort((a, b) => b.confidence - a.confidence);
+  return { bins, counts, top, max };
+}
+
+// Index of the bin holding (x, y); row 0 is the bottom of the chart
+export function binIndex(x, y, bins) {
+  const col = Math.min(bins - 1, Math.floor((x / 10) * bins));
+  const row = Math.min(bins - 1, Math.floor((y / 10) * bins));
+  return row * bins + col;
+}
+
+// Maps a count to an RGBA color on a white -> orange -> dark red ramp,
+// scaled by square root so sparse bins stay visible
+export function heatColor(count, max) {
+  if (!count) return [0, 0, 0, 0];
+  const t = Math.sqrt(count / max);
+  const r = 255 - Math.round(90 * Math.max(0, t - 0.5) * 2);
+  const g = Math.round(220 * (1 - t));
+  const b = Math.round(120 * (1 - t) * (1 - t));
+  return [r, g, b, Math.round(80 + 175 * t)];
+}
+
+// Renders the binned density to a data URL (one pixel per bin, scaled up by
+// the SVG <image>), or null where canvas is unavailable
+export function renderDensityImage(density) {
+  if (typeof document === "undefined") return null;
+  const { bins, counts, max } = density;
+  const canvas = document.createElement("canvas");
+  canvas.width = bins;
+  canvas.height = bins;
+  let ctx = null;
+  try {
+    ctx = canvas.getContext("2d");
+  } catch (err) {
+    return null;
+  }
+  if (!ctx) return null;
+  const image = ctx.createImageData(bins, bins);
+  for (let row = 0; row < bins; row++) {
+    for (let col = 0; col < bins; col++) {
+      // Canvas rows run top-down, chart rows bottom-up
+      const pixel = ((bins - 1 - row) * bins + col) * 4;
+      image.data.set(heatColor(counts[row * bins + col], max), pixel);
+    }
+  }
+  ctx.putImageData(image, 0, 0);
+  return canvas.toDataURL("image/png");
+}
@@ -0,0 +1,26 @@
+import { binIndex, binLexicon } from "./density";
+
+const lexicon = {
+  a: { x: 1, y: 1, confidence: 5 },
+  b: { x: 1.1, y: 1.2, confidence: 50 },
+  c: { x: 9, y: 9, confidence: 20 },
+  d: { x: 12, y: 5, confidence: 99 },
+};
+
+test("counts entries per bin above the confidence cut-off", () => {
+  const density = binLexicon(lexicon, { bins: 10, minConfidence: 1 });
+  expect(density.counts[binIndex(1, 1, 10)]).toBe(2);
+  expect(density.top[binIndex(1, 1, 10)].map((w) => w.word)).toEqual(["b", "a"]);
+  expect(density.max).toBe(2);
+  // d lies outside the chart
+  expect(density.counts.reduce((a, b) => a + b, 0)).toBe(3);
+
+  const strict = binLexicon(lexicon, { bins: 10, minConfidence: 10 });
+  expect(strict.counts[binIndex(1, 1, 10)]).toBe(1);
+});
+
+test("bins count rows from the bottom of the chart", () => {
+  expect(binIndex(0, 0, 4)).toBe(0);
+  expect(binIndex(10, 10, 4)).toBe(15);
+  expect(binIndex(9.9, 0.1, 4)).toBe(3);
+});
@@ -0,0 +1,140 @@
+// Named lexicon dimensions. A plain lexicon ({ word: { x, y, confidence } })
+// has the two classic axes. A lexicon file can instead describe its own:
+//
+//   {
+//     "dimensions": [
+//       { "id": "x", "name": "Economic", "low": "Left", "high": "Right" },
+//       { "id": "y", "name": "Social", "low": "Libertarian", "high": "Authoritarian" },
+//       { "id": "eco", "name": "Environment", "low": "Ecological", "high": "Industrial" }
+//     ],
+//     "quadrantColors": { "x/eco": ["#...", "#...", "#...", "#..."] },
+//     "words": { "staat": { "x": 3, "y": 7, "eco": 5, "confidence": 12 } }
+//   }
+//
+// The first two dimensions must be "x" and "y": scripts, calibration and
+// lexicon edits keep working on them. Every word has a 0-10 value for every
+// dimension. Any two dimensions can be plotted; projectLexicon() maps them
+// onto x and y so scoring, lookups and the chart need no changes.
+// Quadrant colors go top-left, top-right, bottom-left, bottom-right.
+
+export const DEFAULT_DIMENSIONS = [
+  { id: "x", name: "Economic", low: "Left", high: "Right" },
+  { id: "y", name: "Social", low: "Libertarian", high: "Authoritarian" },
+];
+export const DEFAULT_AXES = { x: "x", y: "y" };
+export const DEFAULT_QUADRANT_COLORS = [
+  "rgba(255,0,0,0.23)",
+  "rgba(0,128,255,0.23)",
+  "rgba(0,255,0,0.18)",
+  "rgba(255,255,0,0.21)",
+];
+
+function isNumber(value) {
+  return typeof value === "number" && Number.isFinite(value);
+}
+
+function readDimensions(list) {
+  if (!Array.isArray(list) || list.length < 2) {
+    throw new Error("a lexicon needs at least two dimensions");
+  }
+  const dimensions = list.map((d) => {
+    if (!d || typeof d.id !== "string" || !d.id) throw new Error("a dimension has no id");
+    if (d.id === "confidence") throw new Error('"confidence" cannot be a dimension');
+    return {
+      id: d.id,
+      name: typeof d.name === "string" ? d.name : d.id,
+      low: typeof d.low === "string" ? d.low : `Low ${d.id}`,
+      high: typeof d.high === "string" ? d.high : `High ${d.id}`,
+    };
+  });
+  if (dimensions[0].id !== "x" || dimensions[1].id !== "y") {
+    throw new Error('the first two dimensions must be "x" and "y"');
+  }
+  const ids = new Set(dimensions.map((d) => d.id));
+  if (ids.size < dimensions.length) throw new Error("dimension ids must be unique");
+  return dimensions;
+}
+
+// { dimensions, quadrantColors, words } of a lexicon file in either format.
+// Throws with a readable message if it is malformed.
+export function readLexicon(data) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new Error("a lexicon must be an object of word entries");
+  }
+  const described = Array.isArray(data.dimensions);
+  const dimensions = described ? readDimensions(data.dimensions) : DEFAULT_DIMENSIONS;
+  const words = described ? data.words : data;
+  if (!words || typeof words !== "object") throw new Error("the lexicon has no words");
+  for (const [word, entry] of Object.entries(words)) {
+    const valid =
+      entry && isNumber(entry.confidence) && dimensions.every((d) => isNumber(entry[d.id]));
+    if (!valid) throw new Error(`invalid lexicon entry for "${word}"`);
+  }
+  const quadrantColors = {};
+  for (const [pair, colors] of Object.entries((described && data.quadrantColors) || {})) {
+    if (Array.isArray(colors) && colors.length === 4) quadrantColors[pair] = colors;
+  }
+  return { dimensions, quadrantColors, words };
+}
+
+// The lexicon with the `axes.x` and `axes.y` dimensions as its x and y.
+// Words without both are left out.
+export function projectLexicon(words, axes) {
+  if (axes.x === "x" && axes.y === "y") return words;
+  const projected = {};
+  for (const [word, entry] of Object.entries(words)) {
+    const x = entry[axes.x];
+    const y = entry[axes.y];
+    if (isNumber(x) && isNumber(y)) projected[word] = { x, y, confidence: entry.confidence };
+  }
+  return projected;
+}
+
+// Projects every lexicon of a by-language map; lexicons without the two
+// dimensions are left out
+export function projectLexicons(lexicons, axes) {
+  const projected = {};
+  for (const [language, words] of Object.entries(lexicons)) {
+    const lexicon = projectLexicon(words, axes);
+    if (Object.keys(lexicon).length > 0) projected[language] = lexicon;
+  }
+  return projected;
+}
+
+// Every pair of dimensions, each once, as axes { x, y }
+export function dimensionPairs(dimensions) {
+  const pairs = [];
+  dimensions.forEach((a, i) => {
+    dimensions.slice(i + 1).forEach((b) => pairs.push({ x: a.id, y: b.id }));
+  });
+  return pairs;
+}
+
+// Axis end labels, quadrant labels and colors for plotting `axes`. Colors
+// listed for the swapped pair are mirrored along the diagonal.
+export function axesInfo({ dimensions, quadrantColors }, axes) {
+  const byId = (id) => dimensions.find((d) => d.id === id);
+  const x = byId(axes.x);
+  const y = byId(axes.y);
+  const swapped = quadrantColors[`${axes.y}/${axes.x}`];
+  const colors =
+    quadrantColors[`${axes.x}/${axes.y}`] ||
+    (swapped && [swapped[3], swapped[1], swapped[2], swapped[0]]) ||
+    DEFAULT_QUADRANT_COLORS;
+  return {
+    x,
+    y,
+    quadrants: [
+      { label: `${y.high} ${x.low}`, color: colors[0] },
+      { label: `${y.high} ${x.high}`, color: colors[1] },
+      { label: `${y.low} ${x.low}`, color: colors[2] },
+      { label: `${y.low} ${x.high}`, color: colors[3] },
+    ],
+  };
+}
+
+// Whether `axes` names two different dimensions of the lexicon
+export function validAxes(dimensions, axes) {
+  const ids = dimensions.map((d) => d.id);
+  return Boolean(axes) && axes.x !== axes.y && ids.includes(axes.x) && ids.includes(axes.y);
+}
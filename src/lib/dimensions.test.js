@@ -0,0 +1,110 @@
+import {
+  DEFAULT_DIMENSIONS,
+  DEFAULT_QUADRANT_COLORS,
+  axesInfo,
+  dimensionPairs,
+  projectLexicon,
+  projectLexicons,
+  readLexicon,
+  validAxes,
+} from "./dimensions";
+import fixture from "./fixtures/dimensions-lexicon.json";
+
+const file = {
+  dimensions: [
+    { id: "x", name: "Economic", low: "Left", high: "Right" },
+    { id: "y", name: "Social", low: "Libertarian", high: "Authoritarian" },
+    { id: "eco", name: "Environment", low: "Ecological", high: "Industrial" },
+  ],
+  quadrantColors: { "x/eco": ["a", "b", "c", "d"], "y/x": ["bad"] },
+  words: {
+    staat: { x: 3, y: 8, eco: 5, confidence: 10 },
+    kohle: { x: 6, y: 6, eco: 9, confidence: 4 },
+  },
+};
+
+test("reads plain and described lexicons", () => {
+  const plain = { staat: { x: 3, y: 8, confidence: 10 } };
+  expect(readLexicon(plain)).toEqual({
+    dimensions: DEFAULT_DIMENSIONS,
+    quadrantColors: {},
+    words: plain,
+  });
+  const read = readLexicon(file);
+  expect(read.dimensions.map((d) => d.id)).toEqual(["x", "y", "eco"]);
+  // Color lists that are not four colors long are dropped
+  expect(Object.keys(read.quadrantColors)).toEqual(["x/eco"]);
+  expect(read.words).toBe(file.words);
+});
+
+test("rejects malformed lexicons", () => {
+  expect(() => readLexicon([])).toThrow("object of word entries");
+  expect(() => readLexicon({ ...file, words: { staat: { x: 3, y: 8, confidence: 1 } } })).toThrow(
+    'invalid lexicon entry for "staat"'
+  );
+  expect(() => readLexicon({ dimensions: [{ id: "x" }], words: {} })).toThrow("two dimensions");
+  expect(() => readLexicon({ dimensions: [{ id: "eco" }, { id: "x" }], words: {} })).toThrow(
+    '"x" and "y"'
+  );
+  expect(() =>
+    readLexicon({ dimensions: [{ id: "x" }, { id: "y" }, { id: "x" }], words: {} })
+  ).toThrow("unique");
+});
+
+test("projects two dimensions onto x and y", () => {
+  expect(projectLexicon(file.words, { x: "x", y: "y" })).toBe(file.words);
+  expect(projectLexicon(file.words, { x: "eco", y: "x" })).toEqual({
+    staat: { x: 5, y: 3, confidence: 10 },
+    kohle: { x: 9, y: 6, confidence: 4 },
+  });
+  expect(projectLexicon({ neu: { x: 1, y: 1, confidence: 1 } }, { x: "x", y: "eco" })).toEqual({});
+  const en = { state: { x: 3, y: 8, confidence: 10 } };
+  expect(Object.keys(projectLexicons({ de: file.words, en }, { x: "x", y: "eco" }))).toEqual([
+    "de",
+  ]);
+});
+
+test("lists every pair of dimensions once", () => {
+  expect(dimensionPairs(file.dimensions)).toEqual([
+    { x: "x", y: "y" },
+    { x: "x", y: "eco" },
+    { x: "y", y: "eco" },
+  ]);
+  expect(validAxes(file.dimensions, { x: "eco", y: "y" })).toBe(true);
+  expect(validAxes(file.dimensions, { x: "eco", y: "eco" })).toBe(false);
+  expect(validAxes(file.dimensions, { x: "x", y: "z" })).toBe(false);
+});
+
+test("labels and colors the quadrants of a pair", () => {
+  const read = readLexicon(file);
+  const classic = axesInfo(read, { x: "x", y: "y" });
+  expect(classic.quadrants.map((q) => q.label)).toEqual([
+    "Authoritarian Left",
+    "Authoritarian Right",
+    "Libertarian Left",
+    "Libertarian Right",
+  ]);
+  expect(classic.quadrants.map((q) => q.color)).toEqual(DEFAULT_QUADRANT_COLORS);
+  expect(axesInfo(read, { x: "x", y: "eco" }).quadrants.map((q) => q.color)).toEqual([
+    "a",
+    "b",
+    "c",
+    "d",
+  ]);
+  // The swapped pair is the same plot mirrored along the diagonal
+  const swapped = axesInfo(read, { x: "eco", y: "x" });
+  expect(swapped.x.name).toBe("Environment");
+  expect(swapped.quadrants[0]).toEqual({ label: "Right Ecological", color: "d" });
+  expect(swapped.quadrants.map((q) => q.color)).toEqual(["d", "b", "c", "a"]);
+});
+
+test("reads the four-dimension fixture lexicon", () => {
+  const read = readLexicon(fixture);
+  expect(read.dimensions.map((d) => d.id)).toEqual(["x", "y", "eco", "eu"]);
+  expect(dimensionPairs(read.dimensions)).toHaveLength(6);
+  const eu = projectLexicon(read.words, { x: "eco", y: "eu" });
+  expect(eu.souveränität).toEqual({ x: 6, y: 9, confidence: 30 });
+  const info = axesInfo(read, { x: "eco", y: "eu" });
+  expect([info.x.high, info.y.high]).toEqual(["Industrial", "Eurosceptic"]);
+  expect(info.quadrants.map((q) => q.color)).toEqual(DEFAULT_QUADRANT_COLORS);
+});
@@ -0,0 +1,115 @@
+// Turns uploaded .txt, .md and .html documents into plain text for scoring.
+// Regex-based on purpose so it works the same outside the browser.
+
+export const DOCUMENT_EXTENSIONS = [".txt", ".md", ".markdown", ".html", ".htm"];
+
+const NAMED_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+  shy: "",
+  ndash: "–",
+  mdash: "—",
+  bdquo: "„",
+  ldquo: "“",
+  rdquo: "”",
+  lsquo: "‘",
+  rsquo: "’",
+  auml: "ä",
+  ouml: "ö",
+  uuml: "ü",
+  Auml: "Ä",
+  Ouml: "Ö",
+  Uuml: "Ü",
+  szlig: "ß",
+  euro: "€",
+};
+
+// Block-level tags that should separate words when removed
+const BLOCK_TAG_RE =
+  /<\/?(?:p|div|br|li|ul|ol|h[1-6]|tr|td|th|table|section|article|header|footer|blockquote|pre)\b[^>]*>/gi;
+
+export function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, code) => {
+    if (code[0] === "#") {
+      const n =
+        code[1] === "x" || code[1] === "X"
+          ? parseInt(code.slice(2), 16)
+          : parseInt(code.slice(1), 10);
+      return Number.isFinite(n) && n <= 0x10ffff ? String.fromCodePoint(n) : match;
+    }
+    return code in NAMED_ENTITIES ? NAMED_ENTITIES[code] : match;
+  });
+}
+
+export function stripHtml(html) {
+  return decodeEntities(
+    html
+      .replace(/<!--[\s\S]*?-->/g, " ")
+      .replace(/<(script|style|noscript|template)\b[\s\S]*?<\/\1\s*>/gi, " ")
+      .replace(BLOCK_TAG_RE, "\n")
+      .replace(/<[^>]+>/g, " ")
+  )
+    .replace(/[ \t]+/g, " ")
+    .replace(/\s*\n\s*/g, "\n")
+    .trim();
+}
+
+// Inline HTML in Markdown. Only what looks like a tag counts, so a literal
+// "<" as in "a<b" or "<5 %" stays text.
+const INLINE_TAG_RE =
+  /<\/?[a-z][a-z0-9-]*(?:\s+[\w:-]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'<>]+))?)*\s*\/?>/gi;
+
+// Markdown to plain text. Blank lines between paragraphs are kept so the
+// text can still be split into paragraphs.
+export function stripMarkdown(markdown) {
+  const text = markdown
+    .replace(/\r\n?/g, "\n")
+    // fenced code blocks and inline code carry no prose
+    .replace(/^(```|~~~)[\s\S]*?^\1\s*$/gm, " ")
+    .replace(/`[^`\n]*`/g, " ")
+    // images drop entirely, links keep their text
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, " ")
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/^[ \t]*\[[^\]]+\]:[ \t]*\S+.*$/gm, " ")
+    // headings, quotes, list markers, rules and table pipes
+    .replace(/^[ \t]{0,3}#{1,6}[ \t]+/gm, "")
+    .replace(/^[ \t]*>+[ \t]?/gm, "")
+    .replace(/^[ \t]*(?:[-*+]|\d+[.)])[ \t]+/gm, "")
+    .replace(/^[ \t]*(?:[-*_][ \t]*){3,}$/gm, " ")
+    .replace(/\|/g, " ")
+    // emphasis markers (but not the gender star inside a word)
+    .replace(/(^|[^\p{L}\p{N}])[*_]{1,3}(?=\S)/gu, "$1")
+    .replace(/(\S)[*_]{1,3}(?=[^\p{L}\p{N}]|$)/gu, "$1")
+    // inline HTML
+    .replace(/<!--[\s\S]*?-->/g, " ")
+    .replace(BLOCK_TAG_RE, "\n")
+    .replace(INLINE_TAG_RE, " ");
+  return decodeEntities(text)
+    .replace(/[ \t]+/g, " ")
+    .replace(/ *\n */g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+export function extensionOf(fileName) {
+  const dot = fileName.lastIndexOf(".");
+  return dot === -1 ? "" : fileName.slice(dot).toLowerCase();
+}
+
+// Plain text for a document, chosen by file extension
+export function documentText(fileName, content) {
+  switch (extensionOf(fileName)) {
+    case ".html":
+    case ".htm":
+      return stripHtml(content);
+    case ".md":
+    case ".markdown":
+      return stripMarkdown(content);
+    default:
+      return content;
+  }
+}
@@ -0,0 +1,39 @@
+import { documentText, stripHtml, stripMarkdown } from "./documentText";
+
+test("strips tags, scripts and entities from HTML", () => {
+  const html =
+    "<html><head><style>p{}</style><script>var x = 1;</script></head>" +
+    "<body><h1>Soziale&nbsp;Gerechtigkeit</h1><p>F&uuml;r <b>alle</b> &amp; jeden</p></body></html>";
+  expect(stripHtml(html)).toBe("Soziale Gerechtigkeit\nFür alle & jeden");
+});
+
+test("strips Markdown markup but keeps link text and gender stars", () => {
+  const md = [
+    "# Überschrift",
+    "",
+    "- **Bürger*innen** entlasten",
+    "- siehe [Programm](https://example.org)",
+    "",
+    "```",
+    "code();",
+    "```",
+  ].join("\n");
+  expect(stripMarkdown(md)).toBe("Überschrift\n\nBürger*innen entlasten\nsiehe Programm");
+});
+
+test("keeps a literal < and paragraph breaks in Markdown", () => {
+  const md = [
+    "Die Quote liegt bei <5 % und a<b gilt.",
+    "",
+    "",
+    "Zweiter <em>Absatz</em><br>mit Umbruch &amp; Entität.",
+  ].join("\r\n");
+  expect(stripMarkdown(md)).toBe(
+    "Die Quote liegt bei <5 % und a<b gilt.\n\nZweiter Absatz\nmit Umbruch & Entität."
+  );
+});
+
+test("picks the stripper by file extension", () => {
+  expect(documentText("a.TXT", "<b>x</b>")).toBe("<b>x</b>");
+  expect(documentText("a.htm", "<b>x</b>")).toBe("x");
+});
@@ -0,0 +1,148 @@
+// Export helpers: standalone SVG, high-resolution PNG, and CSV/JSON of the
+// plotted points.
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+// Only the font family is written to exported SVGs; no font file is
+// embedded, so viewers render the labels with their own Arial, Helvetica or
+// sans-serif font.
+const FONT_FAMILY = "Arial, Helvetica, sans-serif";
+// Chart elements marked with this attribute (tooltips and other hover or
+// focus overlays) are left out of exports
+export const EXPORT_OMIT = "data-export-omit";
+// Presentation properties copied from the live chart into the exported file
+const INLINED_STYLES = [
+  "fill",
+  "fill-opacity",
+  "stroke",
+  "stroke-opacity",
+  "stroke-width",
+  "stroke-dasharray",
+  "opacity",
+  "font-family",
+  "font-size",
+  "font-weight",
+  "paint-order",
+  "image-rendering",
+];
+
+// Serializes an <svg> element as a standalone document with computed styles
+// inlined, so it renders the same outside the app. Overlays marked with
+// EXPORT_OMIT and the focus state of the points are dropped.
+export function serializeSvg(svg, width, height) {
+  const clone = svg.cloneNode(true);
+  const source = svg.querySelectorAll("*");
+  const target = clone.querySelectorAll("*");
+  source.forEach((el, i) => {
+    const computed = window.getComputedStyle(el);
+    const copy = target[i];
+    const style = copy.style;
+    for (const prop of INLINED_STYLES) {
+      const value = computed.getPropertyValue(prop);
+      if (value && !style.getPropertyValue(prop)) style.setProperty(prop, value);
+    }
+    style.removeProperty("cursor");
+    style.removeProperty("outline");
+    copy.removeAttribute("tabindex");
+  });
+  clone.querySelectorAll(`[${EXPORT_OMIT}]`).forEach((el) => el.remove());
+  // As a namespace declaration, so serializers do not write a second xmlns
+  clone.setAttributeNS("http://www.w3.org/2000/xmlns/", "xmlns", SVG_NS);
+  clone.setAttribute("width", width);
+  clone.setAttribute("height", height);
+  clone.setAttribute("font-family", FONT_FAMILY);
+  clone.style.fontFamily = FONT_FAMILY;
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(clone);
+}
+
+// Rasterizes standalone SVG markup to a PNG blob at `scale` times its size
+export function svgToPng(svgMarkup, width, height, scale = 3) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(new Blob([svgMarkup], { type: "image/svg+xml" }));
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = width * scale;
+      canvas.height = height * scale;
+      const ctx = canvas.getContext("2d");
+      ctx.fillStyle = "#fff";
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+      URL.revokeObjectURL(url);
+      canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error("PNG encoding failed"))), "image/png");
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("could not render the SVG"));
+    };
+    image.src = url;
+  });
+}
+
+// Columns of the points CSV. Every row repeats the scoring settings so it can
+// be reproduced from the CSV alone.
+export const POINT_CSV_COLUMNS = [
+  "type",
+  "label",
+  "x",
+  "y",
+  "confidence",
+  "totalWeight",
+  "sdX",
+  "sdY",
+  "language",
+  "lexicon",
+  "normalization",
+  "stretchFactor",
+  "minConfidence",
+  "phrases",
+  "negation",
+  "weighting",
+  "stopwords",
+  "axes",
+];
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  const text = typeof value === "number" ? String(Number(value.toFixed(6))) : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// CSV with one row per object; `columns` fixes the order
+export function toCsv(rows, columns) {
+  return [columns, ...rows.map((row) => columns.map((c) => row[c]))]
+    .map((cells) => cells.map(csvCell).join(","))
+    .join("\n") + "\n";
+}
+
+// CSV of the plotted points, from the { settings, points } the chart
+// exports
+export function pointsCsv({ settings, points }) {
+  const rows = points.map((pt) => ({
+    ...pt,
+    normalization: settings.normalization,
+    stretchFactor: settings.stretchFactor,
+    minConfidence: settings.minConfidence,
+    phrases: settings.phrases,
+    negation: settings.negation,
+    weighting: settings.weighting,
+    stopwords: settings.stopwords ? settings.stopwords.join(" ") : "",
+    axes: settings.axes ? `${settings.axes.x},${settings.axes.y}` : "",
+  }));
+  return toCsv(rows, POINT_CSV_COLUMNS);
+}
+
+// JSON of the same data, stamped with the export time
+export function pointsJson(data, exportedAt = new Date()) {
+  return JSON.stringify({ exportedAt: exportedAt.toISOString(), ...data }, null, 2);
+}
+
+export function downloadBlob(fileName, blob) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,72 @@
+import { EXPORT_OMIT, pointsCsv, pointsJson, serializeSvg, toCsv } from "./exporters";
+
+const data = {
+  settings: {
+    normalization: "sigmoid",
+    stretchFactor: 1,
+    minConfidence: 2,
+    phrases: true,
+    negation: "flip",
+    weighting: "tf",
+    stopwords: ["und", "der"],
+    axes: { x: "x", y: "y" },
+  },
+  points: [
+    { type: "word", label: "freiheit", x: 9, y: 8.5, confidence: 107.26 },
+    { type: "party", label: "SPD", x: 3, y: 4, totalWeight: 812.5 },
+  ],
+};
+
+test("writes CSV with quoting and fixed column order", () => {
+  const rows = [
+    { type: "sentence", label: 'Er sagte "nein", dann ging er', x: 1.23456789, y: 2 },
+    { type: "word", label: "freiheit", x: 9, y: 8.5, confidence: 107.26 },
+  ];
+  expect(toCsv(rows, ["type", "label", "x", "y", "confidence"])).toBe(
+    "type,label,x,y,confidence\n" +
+      'sentence,"Er sagte ""nein"", dann ging er",1.234568,2,\n' +
+      "word,freiheit,9,8.5,107.26\n"
+  );
+});
+
+test("repeats the scoring settings on every points CSV row", () => {
+  const [header, word, party] = pointsCsv(data).trim().split("\n");
+  expect(header).toBe(
+    "type,label,x,y,confidence,totalWeight,sdX,sdY,language,lexicon,normalization," +
+      "stretchFactor,minConfidence,phrases,negation,weighting,stopwords,axes"
+  );
+  expect(word).toBe('word,freiheit,9,8.5,107.26,,,,,,sigmoid,1,2,true,flip,tf,und der,"x,y"');
+  expect(party).toBe('party,SPD,3,4,,812.5,,,,,sigmoid,1,2,true,flip,tf,und der,"x,y"');
+});
+
+test("exports the points JSON with settings and export time", () => {
+  const json = JSON.parse(pointsJson(data, new Date("2025-02-01T12:00:00Z")));
+  expect(json).toEqual({ exportedAt: "2025-02-01T12:00:00.000Z", ...data });
+});
+
+test("serializes the chart with styles inlined and without overlays", () => {
+  document.body.innerHTML = `
+    <style>.dot { fill: rgb(255, 0, 0); stroke-width: 3px; cursor: pointer; }</style>
+    <svg viewBox="0 0 100 100">
+      <circle class="dot" cx="10" cy="10" r="4" tabindex="0" style="cursor: pointer"></circle>
+      <text x="5" y="5" style="font-size: 12px">Label</text>
+      <g ${EXPORT_OMIT}><rect width="40" height="20"></rect><text>Tooltip</text></g>
+    </svg>`;
+  const svg = document.querySelector("svg");
+  const markup = serializeSvg(svg, 600, 600);
+  const exported = new DOMParser().parseFromString(markup, "image/svg+xml").documentElement;
+
+  expect(markup.match(/xmlns=/g)).toHaveLength(1);
+  expect(exported.getAttribute("width")).toBe("600");
+  expect(exported.getAttribute("font-family")).toBe("Arial, Helvetica, sans-serif");
+  const circle = exported.querySelector("circle");
+  expect(circle.getAttribute("style")).toMatch(/fill: rgb\(255, 0, 0\)/);
+  expect(circle.getAttribute("style")).toMatch(/stroke-width: 3px/);
+  expect(circle.getAttribute("style")).not.toMatch(/cursor/);
+  expect(circle.hasAttribute("tabindex")).toBe(false);
+  expect(exported.querySelector("text").getAttribute("style")).toMatch(/font-size: 12px/);
+  expect(markup).not.toMatch(/Tooltip/);
+  expect(exported.querySelectorAll("rect")).toHaveLength(0);
+  // The live chart is left alone
+  expect(svg.querySelector(`[${EXPORT_OMIT}]`)).not.toBeNull();
+});
@@ -0,0 +1,112 @@
+// Inline highlighting of the editor text: every word the lexicon knows is
+// colored by the quadrant it pulls toward, more saturated the more confident
+// its entry; unknown words are greyed out.
+import { SCORING_DEFAULTS, matchPosition, textSpans } from "./scoring.js";
+import { DEFAULT_QUADRANT_COLORS } from "./dimensions.js";
+
+// Confidence at which a word is fully saturated. Lexicon confidences span
+// several orders of magnitude, so saturation follows their logarithm.
+export const FULL_SATURATION_CONFIDENCE = 1000;
+const MIN_SATURATION = 0.15;
+
+// Quadrant of a position, in the chart's order: top-left, top-right,
+// bottom-left, bottom-right
+export function quadrantIndex(x, y, { centerX = 5, centerY = 5 } = {}) {
+  return (y >= centerY ? 0 : 2) + (x >= centerX ? 1 : 0);
+}
+
+// The text cut into segments { start, end, text, kind } covering all of it.
+// `kind` is "gap" between words, "unknown" for words not in the lexicon,
+// "ignored" for words that only match entries scoring leaves out (stopwords
+// or below minConfidence) and "word" otherwise. Words carry their `matches`
+// ({ word, negated, x, y, confidence, ignored }); scored words also their
+// confidence-weighted position, mean confidence and quadrant.
+export function highlightText(text, lexicon, options = SCORING_DEFAULTS) {
+  const segments = [];
+  let position = 0;
+  const gapTo = (end) => {
+    if (end > position) {
+      segments.push({ start: position, end, text: text.slice(position, end), kind: "gap" });
+    }
+  };
+  for (const { start, end, words } of textSpans(text, lexicon, options)) {
+    gapTo(start);
+    const matches = words.map(({ word, negated }) => {
+      const { confidence } = lexicon[word];
+      const ignored =
+        (options.stopwords?.has(word) && "stopword") ||
+        (confidence < options.minConfidence && "low confidence") ||
+        null;
+      const { x, y } = matchPosition(lexicon[word], negated, options);
+      return { word, negated, x, y, confidence, ignored };
+    });
+    const segment = { start, end, text: text.slice(start, end), matches };
+    const scored = matches.filter((m) => !m.ignored);
+    if (matches.length === 0) segment.kind = "unknown";
+    else if (scored.length === 0) segment.kind = "ignored";
+    else {
+      const total = scored.reduce((sum, m) => sum + m.confidence, 0);
+      const mean = (key) =>
+        total > 0
+          ? scored.reduce((sum, m) => sum + m[key] * m.confidence, 0) / total
+          : scored.reduce((sum, m) => sum + m[key], 0) / scored.length;
+      segment.kind = "word";
+      segment.x = mean("x");
+      segment.y = mean("y");
+      segment.confidence = total / scored.length;
+      segment.quadrant = quadrantIndex(segment.x, segment.y, options);
+    }
+    segments.push(segment);
+    position = end;
+  }
+  gapTo(text.length);
+  return segments;
+}
+
+// Hue in degrees of a CSS hex or rgb()/rgba() color, or null for anything
+// else (and for greys)
+export function colorHue(color) {
+  const value = String(color ?? "").trim();
+  let rgb = null;
+  const hex = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.exec(value);
+  if (hex) {
+    const digits = hex[1].length <= 4 ? hex[1].replace(/./g, "$&$&") : hex[1];
+    rgb = [0, 2, 4].map((i) => parseInt(digits.slice(i, i + 2), 16));
+  } else {
+    const fn = /^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)/i.exec(value);
+    if (fn) rgb = fn.slice(1, 4).map(Number);
+  }
+  if (!rgb) return null;
+  const [r, g, b] = rgb.map((v) => v / 255);
+  const max = Math.max(r, g, b);
+  const delta = max - Math.min(r, g, b);
+  if (delta === 0) return null;
+  let hue;
+  if (max === r) hue = ((g - b) / delta) % 6;
+  else if (max === g) hue = (b - r) / delta + 2;
+  else hue = (r - g) / delta + 4;
+  return Math.round(((hue * 60) % 360 + 360) % 360);
+}
+
+// Hue of each quadrant, taken from the chart's quadrant colors; colors
+// without a hue fall back to the default quadrant's
+export function quadrantHues(colors) {
+  return DEFAULT_QUADRANT_COLORS.map((fallback, i) => colorHue(colors[i]) ?? colorHue(fallback));
+}
+
+// 0-1 saturation for a confidence: MIN_SATURATION for the least confident
+// words up to 1 at FULL_SATURATION_CONFIDENCE
+export function confidenceSaturation(confidence) {
+  const share =
+    Math.log10(1 + Math.max(0, confidence)) / Math.log10(1 + FULL_SATURATION_CONFIDENCE);
+  return Math.max(MIN_SATURATION, Math.min(1, share));
+}
+
+// Background and underline color of a highlighted word
+export function highlightColors(hue, confidence) {
+  const saturation = Math.round(confidenceSaturation(confidence) * 100);
+  return {
+    background: `hsl(${hue}, ${saturation}%, 85%)`,
+    border: `hsl(${hue}, ${saturation}%, 40%)`,
+  };
+}
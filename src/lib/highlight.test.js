@@ -0,0 +1,71 @@
+import {
+  colorHue,
+  confidenceSaturation,
+  highlightText,
+  quadrantHues,
+  quadrantIndex,
+} from "./highlight";
+import { SCORING_DEFAULTS } from "./scoring";
+import { DEFAULT_QUADRANT_COLORS } from "./dimensions";
+
+const lexicon = {
+  staat: { x: 3, y: 8, confidence: 40 },
+  markt: { x: 8, y: 3, confidence: 60 },
+  arbeit: { x: 2, y: 4, confidence: 20 },
+  und: { x: 5, y: 5, confidence: 0.01 },
+};
+
+test("cuts the text into gaps, words, ignored and unknown words", () => {
+  const text = "Der Staat, und Arbeitsmarkt!";
+  const segments = highlightText(text, lexicon);
+  expect(segments.map((s) => [s.text, s.kind])).toEqual([
+    ["Der", "unknown"],
+    [" ", "gap"],
+    ["Staat", "word"],
+    [", ", "gap"],
+    ["und", "ignored"],
+    [" ", "gap"],
+    ["Arbeitsmarkt", "word"],
+    ["!", "gap"],
+  ]);
+  expect(segments.map((s) => s.text).join("")).toBe(text);
+  expect(segments[2]).toMatchObject({ x: 3, y: 8, confidence: 40, quadrant: 0 });
+  expect(segments[4].matches[0].ignored).toBe("low confidence");
+  // A compound sits at the confidence-weighted mean of its parts
+  expect(segments[6].matches.map((m) => m.word)).toEqual(["arbeit", "markt"]);
+  expect(segments[6].x).toBeCloseTo((2 * 20 + 8 * 60) / 80);
+  expect(segments[6].confidence).toBe(40);
+});
+
+test("highlights negated words at their moved position", () => {
+  const options = { ...SCORING_DEFAULTS, negation: "invert", stopwords: new Set(["markt"]) };
+  const [, , staat, , markt] = highlightText("kein Staat, Markt", lexicon, options);
+  expect(staat).toMatchObject({ x: 7, y: 2, quadrant: 3 });
+  expect(staat.matches[0].negated).toBe(true);
+  expect(markt.kind).toBe("ignored");
+  expect(markt.matches[0].ignored).toBe("stopword");
+});
+
+test("numbers quadrants like the chart", () => {
+  expect([quadrantIndex(2, 8), quadrantIndex(8, 8), quadrantIndex(2, 2), quadrantIndex(8, 2)])
+    .toEqual([0, 1, 2, 3]);
+  expect(quadrantIndex(5, 5)).toBe(1);
+});
+
+test("reads hues from CSS colors", () => {
+  expect(colorHue("#f00")).toBe(0);
+  expect(colorHue("#00ff0080")).toBe(120);
+  expect(colorHue("rgba(0,128,255,0.23)")).toBe(210);
+  expect(colorHue("rgb(255 255 0)")).toBe(60);
+  expect(colorHue("#888")).toBeNull();
+  expect(colorHue("teal")).toBeNull();
+  expect(quadrantHues(DEFAULT_QUADRANT_COLORS)).toEqual([0, 210, 120, 60]);
+  expect(quadrantHues(["#00f", "grey", "#0f0", "#ff0"])).toEqual([240, 210, 120, 60]);
+});
+
+test("saturates confident words more", () => {
+  expect(confidenceSaturation(0)).toBe(0.15);
+  expect(confidenceSaturation(30)).toBeGreaterThan(confidenceSaturation(3));
+  expect(confidenceSaturation(1000)).toBe(1);
+  expect(confidenceSaturation(1e5)).toBe(1);
+});
@@ -0,0 +1,98 @@
+// Headless scoring API, shared by the app, scripts/score-texts.mjs and any
+// other Node or browser code. Nothing here depends on React or the DOM.
+//
+//   parseLexicon(json)                  validated lexicon from JSON text or an object
+//   readLexicon(data)                   { dimensions, quadrantColors, words } of a
+//                                       parsed lexicon file (see dimensions.js)
+//   projectLexicon(words, axes)         the lexicon with two chosen dimensions
+//                                       as x and y
+//   loadLexicon(url)                    fetches and parses a lexicon
+//   scoreText(text, lexicon, options)   chart position of a text, or null if no
+//                                       word matched (see scoring.js)
+//   analyzeText(text, lexicon, options) scoreText plus token coverage
+//   topWords(score, n)                  the n words pulling a score hardest
+//   nearestWords(lexicon, word, opts)   words closest to a lexicon word
+//   wordsInRegion(lexicon, region, o)   words in a circle { x, y, radius },
+//                                       rectangle { minX, minY, maxX, maxY } or
+//                                       polygon { polygon: [{ x, y }, ...] }
+//   detectLanguage(text)                { language, confidence, counts } of a
+//                                       German, English or French text, or null
+//
+// A lexicon maps lowercase words to { x, y, confidence }, with x (left-right)
+// and y (libertarian-authoritarian) on the 0-10 chart scale, plus any further
+// dimensions the lexicon file names. Keys may also be phrases of several words
+// separated by single spaces.
+import { hasEntry, lexiconWords, tokenCoverage } from "./tokenizer.js";
+import {
+  NEGATION_MODES,
+  SCORING_DEFAULTS,
+  placeScore,
+  rawScore,
+  scoreText,
+} from "./scoring.js";
+import { nearest, withinPolygon, withinRadius, withinRect } from "./spatialIndex.js";
+import { readLexicon } from "./dimensions.js";
+
+export {
+  NEGATION_MODES,
+  SCORING_DEFAULTS,
+  lexiconWords,
+  placeScore,
+  rawScore,
+  scoreText,
+  tokenCoverage,
+};
+export { NORMALIZATIONS, buildReference } from "./normalization.js";
+export { GERMAN_STOPWORDS, WEIGHTINGS, buildDocumentFrequencies } from "./weighting.js";
+export { DEFAULT_LANGUAGE, LANGUAGES, detectLanguage } from "./languages.js";
+export { dimensionPairs, projectLexicon, readLexicon, validAxes } from "./dimensions.js";
+
+// The words of a lexicon in either format (see dimensions.js); their x and y
+// are the lexicon's first two dimensions
+export function parseLexicon(json) {
+  const data = typeof json === "string" ? JSON.parse(json) : json;
+  return readLexicon(data).words;
+}
+
+export async function loadLexicon(url, fetchImpl = fetch) {
+  const res = await fetchImpl(url);
+  if (!res.ok) throw new Error(`could not load ${url} (HTTP ${res.status})`);
+  return parseLexicon(await res.json());
+}
+
+// scoreText plus `coverage`: { tokens, matched, ratio } of the text's tokens.
+// Texts without lexicon words return { coverage } alone.
+export function analyzeText(text, lexicon, options = SCORING_DEFAULTS) {
+  const coverage = tokenCoverage(text, lexicon);
+  const score = scoreText(text, lexicon, options);
+  return score ? { ...score, coverage } : { coverage };
+}
+
+// Words of a placed score ordered by how far they pull it from the center
+export function topWords(score, n = 10) {
+  const strength = (w) => Math.hypot(w.pullX, w.pullY);
+  return [...score.words].sort((a, b) => strength(b) - strength(a)).slice(0, n);
+}
+
+// Up to k words nearest to a lexicon word, excluding the word itself; empty
+// if the word is not in the lexicon
+export function nearestWords(lexicon, word, { k = 5, minConfidence = 0 } = {}) {
+  if (!hasEntry(lexicon, word)) return [];
+  const { x, y } = lexicon[word];
+  return nearest(lexicon, x, y, { k, minConfidence, exclude: word });
+}
+
+// Words inside a circle (nearest first), or a rectangle or polygon (most
+// confident first)
+export function wordsInRegion(lexicon, region, { minConfidence = 0, limit = Infinity } = {}) {
+  let words;
+  if ("radius" in region) {
+    words = withinRadius(lexicon, region.x, region.y, region.radius, { minConfidence });
+  } else if ("polygon" in region) {
+    words = withinPolygon(lexicon, region.polygon, { minConfidence });
+  } else {
+    const { minX, minY, maxX, maxY } = region;
+    words = withinRect(lexicon, minX, minY, maxX, maxY, { minConfidence });
+  }
+  return words.slice(0, limit);
+}
@@ -0,0 +1,49 @@
+import {
+  analyzeText,
+  nearestWords,
+  parseLexicon,
+  topWords,
+  wordsInRegion,
+} from "./index";
+
+const lexicon = parseLexicon(
+  JSON.stringify({
+    freiheit: { x: 8, y: 2, confidence: 40 },
+    markt: { x: 7.5, y: 3, confidence: 20 },
+    staat: { x: 3, y: 8, confidence: 30 },
+    und: { x: 5, y: 5, confidence: 1 },
+  })
+);
+
+test("rejects malformed lexicons", () => {
+  expect(() => parseLexicon("[]")).toThrow("object of word entries");
+  expect(() => parseLexicon({ staat: { x: 1, y: 2 } })).toThrow('"staat"');
+});
+
+test("analyzes a text with coverage and top words", () => {
+  const result = analyzeText("Freiheit und Markt, nicht Staat.", lexicon);
+  expect(result.coverage).toEqual({ tokens: 5, matched: 4, ratio: 0.8 });
+  expect(result.x).toBeGreaterThan(5);
+  expect(topWords(result, 2).map((w) => w.word)).toEqual(["freiheit", "staat"]);
+
+  expect(analyzeText("nichts davon", lexicon)).toEqual({
+    coverage: { tokens: 2, matched: 0, ratio: 0 },
+  });
+});
+
+test("finds nearest words and words in a region", () => {
+  expect(nearestWords(lexicon, "freiheit", { k: 1 }).map((w) => w.word)).toEqual(["markt"]);
+  expect(nearestWords(lexicon, "unbekannt")).toEqual([]);
+  const circle = wordsInRegion(lexicon, { x: 8, y: 2, radius: 2 });
+  expect(circle.map((w) => w.word)).toEqual(["freiheit", "markt"]);
+  const rect = wordsInRegion(
+    lexicon,
+    { minX: 2, minY: 1, maxX: 9, maxY: 9 },
+    { minConfidence: 10, limit: 2 }
+  );
+  expect(rect.map((w) => w.word)).toEqual(["freiheit", "staat"]);
+  const lasso = wordsInRegion(lexicon, {
+    polygon: [{ x: 6, y: 1 }, { x: 9, y: 1 }, { x: 9, y: 4 }],
+  });
+  expect(lasso.map((w) => w.word)).toEqual(["freiheit"]);
+});
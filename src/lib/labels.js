@@ -0,0 +1,123 @@
+// Greedy label placement for the chart. Labels are placed in priority order;
+// each takes the first position around its point that overlaps neither a
+// label placed before it nor any point marker. When the spots next to the
+// point are taken, positions further out are tried and the label gets a
+// leader line back to its point. All sizes are in SVG units.
+
+const GAP = 8;
+const RINGS = 4;
+const PADDING = 2;
+
+// Rough width of a label; SVG text cannot be measured before it is drawn
+export function labelWidth(text, fontSize, bold = false) {
+  return text.length * fontSize * (bold ? 0.62 : 0.56);
+}
+
+function overlaps(a, b) {
+  return (
+    a.left < b.left + b.width + PADDING &&
+    b.left < a.left + a.width + PADDING &&
+    a.top < b.top + b.height + PADDING &&
+    b.top < a.top + a.height + PADDING
+  );
+}
+
+function inside(box, bounds) {
+  return (
+    box.left >= bounds.minX &&
+    box.top >= bounds.minY &&
+    box.left + box.width <= bounds.maxX &&
+    box.top + box.height <= bounds.maxY
+  );
+}
+
+// Box of a label on `side` of its point, `distance` beyond the marker
+function candidateBox({ x, y, radius, width, height }, side, distance) {
+  const d = radius + distance;
+  // Diagonal positions sit on the circle around the point
+  const diagonal = d * Math.SQRT1_2;
+  switch (side) {
+    case "right":
+      return { left: x + d, top: y - height / 2 };
+    case "left":
+      return { left: x - d - width, top: y - height / 2 };
+    case "above":
+      return { left: x - width / 2, top: y - d - height };
+    case "below":
+      return { left: x - width / 2, top: y + d };
+    case "above-right":
+      return { left: x + diagonal, top: y - diagonal - height };
+    case "above-left":
+      return { left: x - diagonal - width, top: y - diagonal - height };
+    case "below-right":
+      return { left: x + diagonal, top: y + diagonal };
+    default:
+      return { left: x - diagonal - width, top: y + diagonal };
+  }
+}
+
+const SIDES = ["right", "left", "above", "below"];
+const DIAGONALS = ["above-right", "above-left", "below-right", "below-left"];
+
+// Line from the edge of the point's marker to the nearest point of its label
+function leaderLine({ x, y, radius }, box) {
+  const tx = Math.max(box.left, Math.min(box.left + box.width, x));
+  const ty = Math.max(box.top, Math.min(box.top + box.height, y));
+  const length = Math.hypot(tx - x, ty - y) || 1;
+  return {
+    x1: x + ((tx - x) / length) * radius,
+    y1: y + ((ty - y) / length) * radius,
+    x2: tx,
+    y2: ty,
+  };
+}
+
+// Places labels for `items` ({ key, x, y, radius, width, height, side })
+// given in priority order; `side` is the preferred side (default "right").
+// Returns a Map from key to { x, y, leader } where (x, y) is the start of
+// the text baseline and leader is null or { x1, y1, x2, y2 }.
+export function placeLabels(items, bounds) {
+  const markers = items.map((item) => ({
+    key: item.key,
+    left: item.x - item.radius,
+    top: item.y - item.radius,
+    width: 2 * item.radius,
+    height: 2 * item.radius,
+  }));
+  const placed = [];
+  const layout = new Map();
+  for (const item of items) {
+    const preferred = item.side || "right";
+    const sides = [preferred, ...SIDES.filter((s) => s !== preferred)];
+    const size = { width: item.width, height: item.height };
+    const free = (box) =>
+      inside(box, bounds) &&
+      !placed.some((other) => overlaps(box, other)) &&
+      !markers.some((m) => m.key !== item.key && overlaps(box, m));
+
+    let box = null;
+    let moved = false;
+    for (let ring = 0; ring < RINGS && !box; ring++) {
+      const distance = GAP + ring * item.height * 1.2;
+      const candidates = (ring === 0 ? sides : [...sides, ...DIAGONALS]).map((side) => ({
+        ...candidateBox(item, side, distance),
+        ...size,
+      }));
+      box = candidates.find(free) || null;
+      moved = ring > 0;
+    }
+    // Nowhere free: keep the preferred spot and accept the overlap
+    if (!box) {
+      box = { ...candidateBox(item, preferred, GAP), ...size };
+      moved = false;
+    }
+    placed.push(box);
+    layout.set(item.key, {
+      x: box.left,
+      // Baseline of text whose box is 1.2 font sizes high
+      y: box.top + box.height * 0.8,
+      leader: moved ? leaderLine(item, box) : null,
+    });
+  }
+  return layout;
+}
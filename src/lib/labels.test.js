@@ -0,0 +1,41 @@
+import { labelWidth, placeLabels } from "./labels";
+
+const bounds = { minX: 0, minY: 0, maxX: 800, maxY: 800 };
+const label = (key, x, y, extra) => ({ key, x, y, radius: 10, width: 60, height: 24, ...extra });
+
+test("puts a lone label on its preferred side", () => {
+  const layout = placeLabels([label("a", 400, 400), label("b", 100, 100, { side: "above" })], bounds);
+  expect(layout.get("a")).toEqual({ x: 418, y: 407.2, leader: null });
+  expect(layout.get("b").x).toBe(70);
+  expect(layout.get("b").y).toBeLessThan(100 - 10);
+});
+
+test("moves colliding labels aside, with leader lines when pushed further out", () => {
+  const items = ["a", "b", "c", "d", "e"].map((key, i) => label(key, 400, 400 + 10 * i));
+  const layout = placeLabels(items, bounds);
+  const boxes = items.map((item) => {
+    const { x, y } = layout.get(item.key);
+    return { left: x, top: y - 19.2, right: x + 60, bottom: y + 4.8 };
+  });
+  for (let i = 0; i < boxes.length; i++) {
+    for (let j = i + 1; j < boxes.length; j++) {
+      const apart =
+        boxes[i].right <= boxes[j].left ||
+        boxes[j].right <= boxes[i].left ||
+        boxes[i].bottom <= boxes[j].top ||
+        boxes[j].bottom <= boxes[i].top;
+      expect(apart).toBe(true);
+    }
+  }
+  expect(layout.get("a").leader).toBeNull();
+  expect([...layout.values()].some((l) => l.leader)).toBe(true);
+});
+
+test("keeps labels inside the bounds", () => {
+  const layout = placeLabels([label("edge", 790, 400)], bounds);
+  expect(layout.get("edge").x + 60).toBeLessThanOrEqual(800);
+});
+
+test("estimates label widths", () => {
+  expect(labelWidth("SPD", 20, true)).toBeGreaterThan(labelWidth("SPD", 20));
+});
@@ -0,0 +1,70 @@
+// Offline language detection for the texts being scored. Each language has a
+// profile of frequent function words plus the letters only it uses; a text's
+// language is the profile most of its tokens match. Words shared between the
+// languages ("in", "des", "on", "war") are left out of the profiles.
+import { tokenize } from "./tokenizer.js";
+
+export const LANGUAGES = {
+  de: {
+    label: "German",
+    stopwords: [
+      "aber", "auch", "auf", "aus", "bei", "bis", "das", "dass", "dem", "den",
+      "der", "die", "durch", "ein", "eine", "einem", "einen", "einer", "für",
+      "haben", "hat", "ich", "im", "ist", "mit", "nach", "nicht", "noch", "oder",
+      "sich", "sie", "sind", "und", "von", "werden", "wie", "wir", "wird", "zu",
+      "zum", "zur", "über",
+    ],
+    letters: /[äöüß]/,
+  },
+  en: {
+    label: "English",
+    stopwords: [
+      "all", "and", "are", "as", "at", "be", "been", "but", "by", "can", "for",
+      "from", "has", "have", "is", "it", "its", "more", "not", "of", "or", "our",
+      "that", "the", "their", "there", "they", "this", "to", "we", "were",
+      "which", "who", "with", "would",
+    ],
+    letters: null,
+  },
+  fr: {
+    label: "French",
+    stopwords: [
+      "au", "aux", "avec", "ce", "ces", "cette", "dans", "de", "des", "du",
+      "elle", "en", "est", "et", "être", "il", "la", "le", "les", "leur", "mais",
+      "ne", "nous", "ou", "par", "pas", "plus", "pour", "que", "qui", "sa", "se",
+      "sont", "sur", "un", "une",
+    ],
+    letters: /[àâçéèêëîïôùûœ]/,
+  },
+};
+
+// The built-in lexicon's language, used when a text's language is unknown
+export const DEFAULT_LANGUAGE = "de";
+
+const PROFILES = Object.entries(LANGUAGES).map(([code, { stopwords, letters }]) => ({
+  code,
+  stopwords: new Set(stopwords),
+  letters,
+}));
+
+// Tokens that must match a profile before a language counts as detected;
+// single words and short phrases are left undetermined
+export const MIN_EVIDENCE = 3;
+
+// The most likely language of `text`: { language, confidence, counts } where
+// confidence is the share of matching tokens that matched it, or null if
+// the text is too short or matches no profile
+export function detectLanguage(text, { minEvidence = MIN_EVIDENCE } = {}) {
+  const counts = Object.fromEntries(PROFILES.map((p) => [p.code, 0]));
+  for (const token of tokenize(text)) {
+    for (const { code, stopwords, letters } of PROFILES) {
+      if (stopwords.has(token) || letters?.test(token)) counts[code]++;
+    }
+  }
+  const total = Object.values(counts).reduce((sum, n) => sum + n, 0);
+  const [language, hits] = Object.entries(counts).reduce((best, entry) =>
+    entry[1] > best[1] ? entry : best
+  );
+  if (hits < minEvidence) return null;
+  return { language, confidence: hits / total, counts };
+}
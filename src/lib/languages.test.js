@@ -0,0 +1,29 @@
+import { detectLanguage } from "./languages";
+
+test("detects German, English and French texts", () => {
+  const de = detectLanguage("Wir wollen die Steuern für alle Bürger senken und den Staat stärken.");
+  expect(de.language).toBe("de");
+  expect(de.confidence).toBe(1);
+  expect(
+    detectLanguage("We will cut taxes for the working families of this country and protect our jobs.")
+      .language
+  ).toBe("en");
+  expect(
+    detectLanguage("Nous voulons une école publique pour tous et la fin des privilèges fiscaux.")
+      .language
+  ).toBe("fr");
+});
+
+test("leaves short texts undetermined", () => {
+  expect(detectLanguage("")).toBeNull();
+  expect(detectLanguage("Steuersenkung")).toBeNull();
+  expect(detectLanguage("the state")).toBeNull();
+  expect(detectLanguage("the state", { minEvidence: 1 }).language).toBe("en");
+});
+
+test("reports the share of evidence for mixed texts", () => {
+  const mixed = detectLanguage("Die Partei und der Staat reden über the state of the union");
+  expect(mixed.language).toBe("de");
+  expect(mixed.counts).toEqual({ de: 4, en: 3, fr: 0 });
+  expect(mixed.confidence).toBeCloseTo(4 / 7);
+});
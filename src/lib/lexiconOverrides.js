@@ -0,0 +1,148 @@
+// Local edits on top of the shipped lexicon. Overrides map a word to its
+// replacement entry ({ x, y, confidence }) or to null for a deleted word.
+// applyOverrides() returns a new lexicon object, so the caches keyed on the
+// lexicon (lookup keys, spatial index) rebuild on their own.
+import { hasEntry, normalizeKey } from "./tokenizer.js";
+
+export const OVERRIDES_STORAGE_KEY = "political-quadrant:lexicon-overrides";
+// Marks an exported override file
+export const OVERRIDES_FORMAT = "political-quadrant-lexicon-overrides";
+
+export function applyOverrides(base, overrides) {
+  const words = Object.keys(overrides);
+  if (words.length === 0) return base;
+  const lexicon = { ...base };
+  for (const word of words) {
+    if (overrides[word]) lexicon[word] = overrides[word];
+    else delete lexicon[word];
+  }
+  return lexicon;
+}
+
+function sameEntry(a, b) {
+  return a.x === b.x && a.y === b.y && a.confidence === b.confidence;
+}
+
+// Sets `word` to `entry`; an entry equal to the base one drops the override.
+// Edits only change x, y and confidence; further dimensions of a base word
+// are kept.
+export function setOverride(overrides, base, word, entry) {
+  const next = { ...overrides };
+  if (hasEntry(base, word) && sameEntry(base[word], entry)) {
+    delete next[word];
+  } else {
+    next[word] = {
+      ...(hasEntry(base, word) ? base[word] : {}),
+      x: entry.x,
+      y: entry.y,
+      confidence: entry.confidence,
+    };
+  }
+  return next;
+}
+
+// Deletes `word`; words that only exist as overrides are simply dropped
+export function deleteWord(overrides, base, word) {
+  const next = { ...overrides };
+  if (hasEntry(base, word)) next[word] = null;
+  else delete next[word];
+  return next;
+}
+
+export function revertWord(overrides, word) {
+  const next = { ...overrides };
+  delete next[word];
+  return next;
+}
+
+// Counts of changed, added and deleted words
+export function summarizeOverrides(overrides, base) {
+  const summary = { changed: 0, added: 0, deleted: 0 };
+  for (const [word, entry] of Object.entries(overrides)) {
+    if (!entry) summary.deleted++;
+    else if (hasEntry(base, word)) summary.changed++;
+    else summary.added++;
+  }
+  return summary;
+}
+
+function validEntry(entry) {
+  return (
+    entry !== null &&
+    typeof entry === "object" &&
+    ["x", "y", "confidence"].every(
+      (k) => typeof entry[k] === "number" && Number.isFinite(entry[k])
+    ) &&
+    entry.confidence >= 0
+  );
+}
+
+// The JSON diff written by "Export edits"
+export function serializeOverrides(overrides) {
+  return JSON.stringify({ format: OVERRIDES_FORMAT, version: 1, entries: overrides }, null, 2);
+}
+
+// The numeric fields of an entry: x, y, confidence and any further dimensions
+function numberFields(entry) {
+  return Object.fromEntries(
+    Object.entries(entry).filter(([, value]) => typeof value === "number" && Number.isFinite(value))
+  );
+}
+
+// Parses an exported diff. Throws with a readable message if it is not one.
+export function parseOverrides(json) {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (err) {
+    throw new Error("not a JSON file");
+  }
+  if (!data || data.format !== OVERRIDES_FORMAT || typeof data.entries !== "object" || !data.entries) {
+    throw new Error("not a lexicon edit file");
+  }
+  if (data.version !== 1) throw new Error(`unsupported version ${data.version}`);
+  const overrides = {};
+  for (const [word, entry] of Object.entries(data.entries)) {
+    const key = normalizeKey(word);
+    if (!key) throw new Error(`invalid word "${word}"`);
+    if (entry !== null && !validEntry(entry)) {
+      throw new Error(`invalid entry for "${word}"`);
+    }
+    overrides[key] = entry && numberFields(entry);
+  }
+  return overrides;
+}
+
+// Reading window.localStorage itself throws when storage is blocked
+function browserStorage() {
+  try {
+    return typeof window === "undefined" ? null : window.localStorage;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Saved overrides, or none if storage is unavailable or holds garbage
+export function loadOverrides(storage = browserStorage()) {
+  try {
+    const saved = storage?.getItem(OVERRIDES_STORAGE_KEY);
+    return saved ? parseOverrides(saved) : {};
+  } catch (err) {
+    return {};
+  }
+}
+
+export function saveOverrides(overrides, storage = browserStorage()) {
+  try {
+    if (!storage) return false;
+    if (Object.keys(overrides).length === 0) {
+      storage.removeItem(OVERRIDES_STORAGE_KEY);
+    } else {
+      storage.setItem(OVERRIDES_STORAGE_KEY, serializeOverrides(overrides));
+    }
+    return true;
+  } catch (err) {
+    // Private mode or a full quota; the edits still apply for this session
+    return false;
+  }
+}
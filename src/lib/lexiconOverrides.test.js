@@ -0,0 +1,109 @@
+import {
+  OVERRIDES_STORAGE_KEY,
+  applyOverrides,
+  deleteWord,
+  loadOverrides,
+  parseOverrides,
+  revertWord,
+  saveOverrides,
+  serializeOverrides,
+  setOverride,
+  summarizeOverrides,
+} from "./lexiconOverrides";
+
+const base = {
+  freiheit: { x: 7, y: 2, confidence: 40 },
+  staat: { x: 4, y: 8, confidence: 30 },
+};
+
+function memoryStorage() {
+  const items = {};
+  return {
+    getItem: (k) => (k in items ? items[k] : null),
+    setItem: (k, v) => {
+      items[k] = String(v);
+    },
+    removeItem: (k) => {
+      delete items[k];
+    },
+    items,
+  };
+}
+
+test("applies changed, added and deleted words without touching the base", () => {
+  let overrides = setOverride({}, base, "freiheit", { x: 8, y: 1, confidence: 40 });
+  overrides = setOverride(overrides, base, "umwelt", { x: 3, y: 3, confidence: 5 });
+  overrides = deleteWord(overrides, base, "staat");
+  const lexicon = applyOverrides(base, overrides);
+  expect(lexicon).toEqual({
+    freiheit: { x: 8, y: 1, confidence: 40 },
+    umwelt: { x: 3, y: 3, confidence: 5 },
+  });
+  expect(base.staat).toBeDefined();
+  expect(summarizeOverrides(overrides, base)).toEqual({ changed: 1, added: 1, deleted: 1 });
+});
+
+test("keeps the base lexicon object when there are no overrides", () => {
+  expect(applyOverrides(base, {})).toBe(base);
+});
+
+test("drops overrides that restore the base entry", () => {
+  const moved = setOverride({}, base, "staat", { x: 1, y: 1, confidence: 30 });
+  expect(setOverride(moved, base, "staat", base.staat)).toEqual({});
+  expect(revertWord(moved, "staat")).toEqual({});
+  // Deleting an added word forgets it instead of recording a deletion
+  const added = setOverride({}, base, "umwelt", { x: 3, y: 3, confidence: 5 });
+  expect(deleteWord(added, base, "umwelt")).toEqual({});
+});
+
+test("keeps further dimensions of edited words", () => {
+  const withEco = { staat: { x: 4, y: 8, eco: 6, confidence: 30 } };
+  const overrides = setOverride({}, withEco, "staat", { x: 1, y: 1, confidence: 30 });
+  expect(overrides.staat).toEqual({ x: 1, y: 1, eco: 6, confidence: 30 });
+  expect(parseOverrides(serializeOverrides(overrides))).toEqual(overrides);
+});
+
+test("round-trips the exported diff", () => {
+  const overrides = { freiheit: { x: 8, y: 1, confidence: 40 }, staat: null };
+  expect(parseOverrides(serializeOverrides(overrides))).toEqual(overrides);
+});
+
+test("normalizes imported words and rejects malformed files", () => {
+  const file = (entries) =>
+    JSON.stringify({ format: "political-quadrant-lexicon-overrides", version: 1, entries });
+  expect(parseOverrides(file({ Freiheit: { x: 1, y: 2, confidence: 3 } }))).toEqual({
+    freiheit: { x: 1, y: 2, confidence: 3 },
+  });
+  expect(() => parseOverrides("{")).toThrow("not a JSON file");
+  expect(() => parseOverrides('{"entries": {}}')).toThrow("not a lexicon edit file");
+  expect(() => parseOverrides(file({ staat: { x: "1", y: 2, confidence: 3 } }))).toThrow(
+    'invalid entry for "staat"'
+  );
+  expect(() => parseOverrides(file({ "--": null }))).toThrow('invalid word "--"');
+  // Phrase entries are normalized like single words
+  expect(parseOverrides(file({ "Soziale  Marktwirtschaft": null }))).toEqual({
+    "soziale marktwirtschaft": null,
+  });
+});
+
+test("persists overrides and ignores unreadable storage", () => {
+  const storage = memoryStorage();
+  const overrides = { staat: null };
+  expect(saveOverrides(overrides, storage)).toBe(true);
+  expect(loadOverrides(storage)).toEqual(overrides);
+  saveOverrides({}, storage);
+  expect(storage.items[OVERRIDES_STORAGE_KEY]).toBeUndefined();
+
+  storage.setItem(OVERRIDES_STORAGE_KEY, "garbage");
+  expect(loadOverrides(storage)).toEqual({});
+  const broken = {
+    getItem: () => {
+      throw new Error("denied");
+    },
+    setItem: () => {
+      throw new Error("quota");
+    },
+  };
+  expect(loadOverrides(broken)).toEqual({});
+  expect(saveOverrides(overrides, broken)).toBe(false);
+});
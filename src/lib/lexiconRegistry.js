@@ -0,0 +1,47 @@
+// Lexicons by language. The German lexicon is built in; more are listed in
+// public/lexicons/index.json as [{ "language": "en", "file": "en.json" }],
+// each file in the lexicon_calibrated.json format (see loadLexicon in
+// index.js). Every text is scored with the lexicon of its language: the one
+// chosen for it, else the detected one, else the default.
+import { DEFAULT_LANGUAGE, LANGUAGES } from "./languages.js";
+
+// Checks a registry index and returns its entries. Throws with a readable
+// message if it is malformed.
+export function parseLexiconIndex(data) {
+  if (!Array.isArray(data)) throw new Error("the index is not a list");
+  return data.map((entry) => {
+    if (!entry || typeof entry.file !== "string") throw new Error("an entry has no file");
+    if (!LANGUAGES[entry.language]) {
+      throw new Error(`${entry.file}: unknown language "${entry.language}"`);
+    }
+    if (entry.language === DEFAULT_LANGUAGE) {
+      const { label } = LANGUAGES[DEFAULT_LANGUAGE];
+      throw new Error(`${entry.file}: the ${label} lexicon is built in`);
+    }
+    return { language: entry.language, file: entry.file };
+  });
+}
+
+// The lexicon a text is scored with. `detected` comes from detectLanguage and
+// `chosen` is a language picked by hand (or null). Returns { language,
+// lexiconLanguage, lexicon }: the text's language (null if unknown) and the
+// language of the lexicon used, which is the default one if there is no
+// lexicon for the text's language.
+export function resolveLexicon(lexicons, { detected = null, chosen = null } = {}) {
+  const language = chosen || detected?.language || null;
+  const lexiconLanguage = language && lexicons[language] ? language : DEFAULT_LANGUAGE;
+  return { language, lexiconLanguage, lexicon: lexicons[lexiconLanguage] };
+}
+
+// One line on how a point's text was scored, e.g. "French (detected, 94%),
+// German lexicon: no French lexicon loaded"
+export function describeLanguage({ language, lexiconLanguage, detected, chosenLanguage }) {
+  const lexiconLabel = `${LANGUAGES[lexiconLanguage].label} lexicon`;
+  if (!language) return `Language unknown, ${lexiconLabel}`;
+  const how = chosenLanguage
+    ? "chosen"
+    : `detected, ${Math.round((detected?.confidence ?? 0) * 100)}%`;
+  const text = `${LANGUAGES[language].label} (${how})`;
+  if (language === lexiconLanguage) return `${text}, ${lexiconLabel}`;
+  return `${text}, ${lexiconLabel}: no ${LANGUAGES[language].label} lexicon loaded`;
+}
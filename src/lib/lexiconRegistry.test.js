@@ -0,0 +1,59 @@
+import {
+  describeLanguage,
+  parseLexiconIndex,
+  resolveLexicon,
+} from "./lexiconRegistry";
+
+const de = { staat: { x: 3, y: 7, confidence: 10 } };
+const en = { state: { x: 3, y: 7, confidence: 10 } };
+
+test("parses the registry index", () => {
+  expect(parseLexiconIndex([{ language: "en", file: "en.json", label: "x" }])).toEqual([
+    { language: "en", file: "en.json" },
+  ]);
+  expect(() => parseLexiconIndex({})).toThrow("not a list");
+  expect(() => parseLexiconIndex([{ language: "en" }])).toThrow("no file");
+  expect(() => parseLexiconIndex([{ language: "xx", file: "xx.json" }])).toThrow(
+    'unknown language "xx"'
+  );
+  expect(() => parseLexiconIndex([{ language: "de", file: "de.json" }])).toThrow(
+    "German lexicon is built in"
+  );
+});
+
+test("picks the chosen, else the detected, else the default lexicon", () => {
+  const lexicons = { de, en };
+  const english = { language: "en", confidence: 0.9 };
+  expect(resolveLexicon(lexicons, { detected: english })).toEqual({
+    language: "en",
+    lexiconLanguage: "en",
+    lexicon: en,
+  });
+  expect(resolveLexicon(lexicons, { detected: english, chosen: "de" }).lexicon).toBe(de);
+  expect(resolveLexicon(lexicons, {})).toEqual({
+    language: null,
+    lexiconLanguage: "de",
+    lexicon: de,
+  });
+  // There is no French lexicon
+  expect(resolveLexicon(lexicons, { chosen: "fr" })).toMatchObject({
+    language: "fr",
+    lexiconLanguage: "de",
+  });
+});
+
+test("describes how a text was scored", () => {
+  expect(
+    describeLanguage({
+      language: "en",
+      lexiconLanguage: "en",
+      detected: { language: "en", confidence: 0.914 },
+    })
+  ).toBe("English (detected, 91%), English lexicon");
+  expect(
+    describeLanguage({ language: "fr", lexiconLanguage: "de", chosenLanguage: "fr" })
+  ).toBe("French (chosen), German lexicon: no French lexicon loaded");
+  expect(describeLanguage({ language: null, lexiconLanguage: "de" })).toBe(
+    "Language unknown, German lexicon"
+  );
+});
@@ -0,0 +1,106 @@
+// Strategies that map a raw weighted-average position onto the 0-10 chart.
+// "zscore" and "percentile" are relative to a reference corpus (the loaded
+// party texts) and fall back to "linear" until one is available.
+
+export const NORMALIZATIONS = {
+  linear: { label: "Linear stretch (clamped)", needsReference: false },
+  sigmoid: { label: "Sigmoid (smooth)", needsReference: false },
+  zscore: { label: "Z-score vs. parties", needsReference: true },
+  percentile: { label: "Percentile vs. parties", needsReference: true },
+};
+
+// Standard deviations from the corpus mean that reach the chart edge
+const Z_RANGE = 2.5;
+const SLOPE_STEP = 1e-3;
+
+function clamp(value) {
+  return Math.max(0, Math.min(10, value));
+}
+
+function axisStats(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mean = sorted.reduce((a, b) => a + b, 0) / sorted.length;
+  const variance =
+    sorted.reduce((a, v) => a + (v - mean) ** 2, 0) / Math.max(1, sorted.length - 1);
+  return { sorted, mean, sd: Math.sqrt(variance) };
+}
+
+// Reference statistics from raw {x, y} positions; null with fewer than two
+export function buildReference(rawPositions) {
+  if (rawPositions.length < 2) return null;
+  return {
+    x: axisStats(rawPositions.map((p) => p.x)),
+    y: axisStats(rawPositions.map((p) => p.y)),
+    size: rawPositions.length,
+  };
+}
+
+// Linearly interpolated empirical CDF, scaled to 0-10
+function percentile(value, sorted) {
+  const n = sorted.length;
+  if (value <= sorted[0]) return 0;
+  if (value >= sorted[n - 1]) return 10;
+  let i = 0;
+  while (sorted[i + 1] < value) i++;
+  const span = sorted[i + 1] - sorted[i];
+  const t = span > 0 ? (value - sorted[i]) / span : 0;
+  return ((i + t) / (n - 1)) * 10;
+}
+
+// The method actually applied: reference-based methods need a reference
+export function effectiveMethod(options) {
+  const method = NORMALIZATIONS[options.normalization] ? options.normalization : "linear";
+  return NORMALIZATIONS[method].needsReference && !options.reference ? "linear" : method;
+}
+
+function normalizeAxis(value, axis, options) {
+  const center = axis === "x" ? options.centerX : options.centerY;
+  switch (effectiveMethod(options)) {
+    case "sigmoid":
+      return center + 5 * Math.tanh((options.stretchFactor * (value - center)) / 5);
+    case "zscore": {
+      const { mean, sd } = options.reference[axis];
+      const z = sd > 0 ? (value - mean) / sd : 0;
+      return clamp(5 + (z * 5) / Z_RANGE);
+    }
+    case "percentile":
+      return percentile(value, options.reference[axis].sorted);
+    default:
+      return clamp(center + (value - center) * options.stretchFactor);
+  }
+}
+
+// Slope of a method's mapping before it is clamped at the chart edge: the
+// stretch for "linear" and "zscore", and 1 (the raw offset) for "percentile"
+function unclampedSlope(axis, options) {
+  switch (effectiveMethod(options)) {
+    case "zscore": {
+      const { sd } = options.reference[axis];
+      return sd > 0 ? 5 / (Z_RANGE * sd) : 0;
+    }
+    case "percentile":
+      return 1;
+    default:
+      return options.stretchFactor;
+  }
+}
+
+// Maps a raw position to chart coordinates. The slopes (local derivative of
+// the mapping) convert raw offsets into chart offsets, e.g. for uncertainty
+// ellipses; they are 0 where the position is clamped. The pull slopes are
+// the same except at the clamp, where they fall back to the unclamped
+// slope so word pulls still show which words drove the text there.
+export function normalizePosition(raw, options) {
+  const axis = (value, name) => {
+    const pos = normalizeAxis(value, name, options);
+    const slope =
+      (normalizeAxis(value + SLOPE_STEP, name, options) -
+        normalizeAxis(value - SLOPE_STEP, name, options)) /
+      (2 * SLOPE_STEP);
+    const clamped = slope === 0 && (pos === 0 || pos === 10);
+    return [pos, slope, clamped ? unclampedSlope(name, options) : slope];
+  };
+  const [x, slopeX, pullSlopeX] = axis(raw.x, "x");
+  const [y, slopeY, pullSlopeY] = axis(raw.y, "y");
+  return { x, y, slopeX, slopeY, pullSlopeX, pullSlopeY };
+}
@@ -0,0 +1,47 @@
+import { buildReference, effectiveMethod, normalizePosition } from "./normalization";
+import { SCORING_DEFAULTS } from "./scoring";
+
+const options = (normalization, reference = null) => ({
+  ...SCORING_DEFAULTS,
+  normalization,
+  reference,
+});
+
+test("linear stretches around the center and clamps", () => {
+  const p = normalizePosition({ x: 6, y: 1 }, options("linear"));
+  expect(p.x).toBeCloseTo(6.4);
+  expect(p.slopeX).toBeCloseTo(1.4);
+  expect(p.y).toBe(0);
+  expect(p.slopeY).toBe(0);
+  // Pulls of a clamped position keep the stretch
+  expect(p.pullSlopeX).toBeCloseTo(1.4);
+  expect(p.pullSlopeY).toBeCloseTo(1.4);
+});
+
+test("sigmoid stays inside the chart without saturating", () => {
+  const far = normalizePosition({ x: 20, y: -20 }, options("sigmoid"));
+  expect(far.x).toBeLessThan(10);
+  expect(far.y).toBeGreaterThan(0);
+  const near = normalizePosition({ x: 5, y: 5 }, options("sigmoid"));
+  expect(near.slopeX).toBeCloseTo(1.4);
+});
+
+test("reference methods scale against the corpus", () => {
+  const reference = buildReference([
+    { x: 4, y: 4 },
+    { x: 5, y: 5 },
+    { x: 6, y: 6 },
+  ]);
+  const z = normalizePosition({ x: 5, y: 6 }, options("zscore", reference));
+  expect(z.x).toBeCloseTo(5);
+  expect(z.y).toBeCloseTo(7);
+  const pct = normalizePosition({ x: 5.5, y: 3 }, options("percentile", reference));
+  expect(pct.x).toBeCloseTo(7.5);
+  expect(pct.y).toBe(0);
+});
+
+test("reference methods fall back to linear without a corpus", () => {
+  expect(effectiveMethod(options("zscore"))).toBe("linear");
+  expect(effectiveMethod(options("sigmoid"))).toBe("sigmoid");
+  expect(buildReference([{ x: 1, y: 1 }])).toBeNull();
+});
@@ -0,0 +1,77 @@
+// The party programs plotted on the chart, listed in
+// public/party_texts/index.json as [{ id, name, abbreviation, color,
+// sourceUrl, year, file }] (or with `versions`, see timeline.js). An entry
+// may also fix its program's `language` instead of having it detected.
+import { detectLanguage, LANGUAGES } from "./languages.js";
+import { partyVersions, versionId } from "./timeline.js";
+
+// Checks the registry and returns its entries. Throws with a readable
+// message if it is malformed.
+export function parsePartyIndex(data) {
+  if (!Array.isArray(data)) throw new Error("the registry is not a list");
+  const ids = new Set();
+  for (const entry of data) {
+    if (!entry || typeof entry.id !== "string") throw new Error("an entry has no id");
+    if (ids.has(entry.id)) throw new Error(`"${entry.id}" is listed twice`);
+    if (typeof entry.abbreviation !== "string") {
+      throw new Error(`${entry.id}: no abbreviation`);
+    }
+    ids.add(entry.id);
+  }
+  return data;
+}
+
+// Loads the registry under `baseUrl` and every program it lists. Returns
+// { parties, history }: each party's current program (its latest version)
+// and the older versions, which are only drawn on its timeline. Programs
+// that fail to load keep their registry entry plus an `error`, so they can
+// be listed instead of plotted. Throws if the registry itself cannot be
+// loaded.
+export async function loadPartyRegistry(baseUrl = "/party_texts", fetchImpl = fetch) {
+  const res = await fetchImpl(`${baseUrl}/index.json`);
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  const registry = parsePartyIndex(await res.json());
+
+  const loadText = async (file) => {
+    try {
+      const res = await fetchImpl(`${baseUrl}/${file}`);
+      // The dev server answers unknown paths with index.html
+      const type = res.headers.get("content-type") || "";
+      if (!res.ok || type.includes("text/html")) {
+        throw new Error(res.ok ? "file not found" : `HTTP ${res.status}`);
+      }
+      const text = await res.text();
+      return { text, detected: detectLanguage(text) };
+    } catch (err) {
+      return { error: err.message };
+    }
+  };
+  const results = await Promise.all(
+    registry.map(async (party) => {
+      const point = {
+        ...party,
+        label: party.abbreviation,
+        chosenLanguage: LANGUAGES[party.language] ? party.language : null,
+      };
+      const versions = await Promise.all(
+        partyVersions(party).map(async (version) => ({
+          ...point,
+          ...version,
+          ...(await loadText(version.file)),
+        }))
+      );
+      const current = versions.pop() || { ...point, error: "no program file listed" };
+      const history = versions.map((version) => ({
+        ...version,
+        id: versionId(party.id, version.year),
+        partyId: party.id,
+        label: `${party.abbreviation} ${version.year ?? ""}`.trim(),
+      }));
+      return { current, history };
+    })
+  );
+  return {
+    parties: results.map((r) => r.current),
+    history: results.flatMap((r) => r.history),
+  };
+}
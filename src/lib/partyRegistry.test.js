@@ -0,0 +1,110 @@
+import { loadPartyRegistry, parsePartyIndex } from "./partyRegistry";
+
+const GERMAN = "Wir wollen, dass die Menschen in unserem Land sicher und frei leben können.";
+
+// A fetch serving `files` by path; unknown paths get the dev server's
+// index.html fallback
+const fakeFetch = (files) => async (url) => {
+  const path = url.replace("/party_texts/", "");
+  if (!(path in files)) {
+    return { ok: true, headers: { get: () => "text/html" }, text: async () => "<html>" };
+  }
+  const body = files[path];
+  if (typeof body === "number") return { ok: false, status: body, headers: { get: () => null } };
+  return {
+    ok: true,
+    headers: { get: () => "text/plain" },
+    json: async () => body,
+    text: async () => body,
+  };
+};
+
+const entry = (id, more = {}) => ({
+  id,
+  name: id.toUpperCase(),
+  abbreviation: id.toUpperCase(),
+  color: "#123456",
+  year: 2025,
+  file: `${id}.txt`,
+  ...more,
+});
+
+test("checks the registry", () => {
+  expect(parsePartyIndex([entry("spd")])).toEqual([entry("spd")]);
+  expect(() => parsePartyIndex({})).toThrow("not a list");
+  expect(() => parsePartyIndex([{ abbreviation: "SPD" }])).toThrow("no id");
+  expect(() => parsePartyIndex([entry("spd"), entry("spd")])).toThrow('"spd" is listed twice');
+  expect(() => parsePartyIndex([{ id: "spd" }])).toThrow("spd: no abbreviation");
+});
+
+test("loads every program with its registry entry", async () => {
+  const fetchImpl = fakeFetch({
+    "index.json": [entry("spd"), entry("fdp", { language: "en" })],
+    "spd.txt": GERMAN,
+    "fdp.txt": GERMAN,
+  });
+  const { parties, history } = await loadPartyRegistry("/party_texts", fetchImpl);
+  expect(history).toEqual([]);
+  expect(parties).toHaveLength(2);
+  expect(parties[0]).toMatchObject({
+    id: "spd",
+    label: "SPD",
+    color: "#123456",
+    year: 2025,
+    text: GERMAN,
+    chosenLanguage: null,
+  });
+  expect(parties[0].detected.language).toBe("de");
+  // The registry fixes the FDP's language
+  expect(parties[1].chosenLanguage).toBe("en");
+});
+
+test("marks programs that fail to load instead of dropping them", async () => {
+  const fetchImpl = fakeFetch({
+    "index.json": [entry("spd"), entry("fdp"), entry("dw", { file: undefined })],
+    "fdp.txt": 500,
+  });
+  const { parties } = await loadPartyRegistry("/party_texts", fetchImpl);
+  expect(parties.map((p) => [p.id, p.error])).toEqual([
+    ["spd", "file not found"],
+    ["fdp", "HTTP 500"],
+    ["dw", "file not found"],
+  ]);
+  expect(parties[0]).toMatchObject({ label: "SPD", color: "#123456" });
+  expect(parties[0].text).toBeUndefined();
+});
+
+test("keeps older versions as the party's history", async () => {
+  const versions = [
+    { year: 2025, file: "spd/2025.txt" },
+    { year: 2021, file: "spd/2021.txt" },
+  ];
+  const fetchImpl = fakeFetch({
+    "index.json": [entry("spd", { versions })],
+    "spd/2021.txt": "alt",
+    "spd/2025.txt": "neu",
+  });
+  const { parties, history } = await loadPartyRegistry("/party_texts", fetchImpl);
+  expect(parties).toEqual([expect.objectContaining({ id: "spd", year: 2025, text: "neu" })]);
+  expect(history).toEqual([
+    expect.objectContaining({ id: "spd@2021", partyId: "spd", label: "SPD 2021", text: "alt" }),
+  ]);
+});
+
+test("fails if the registry cannot be loaded", async () => {
+  await expect(loadPartyRegistry("/party_texts", fakeFetch({ "index.json": 404 }))).rejects.toThrow(
+    "HTTP 404"
+  );
+  await expect(loadPartyRegistry("/party_texts", fakeFetch({ "index.json": {} }))).rejects.toThrow(
+    "not a list"
+  );
+});
+
+test("the shipped registry is valid and lists a file for every party", () => {
+  const registry = parsePartyIndex(require("../../public/party_texts/index.json"));
+  expect(registry.length).toBeGreaterThan(0);
+  for (const party of registry) {
+    expect(party.color).toMatch(/^#[0-9a-f]{6}$/i);
+    expect(typeof party.file).toBe("string");
+  }
+});
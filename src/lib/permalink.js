@@ -0,0 +1,71 @@
+// Encodes chart state into a compact URL fragment ("#s=...") and back.
+// The state is JSON, deflated with CompressionStream where the browser has it
+// ("z." prefix) and plain URI-encoded JSON otherwise ("j." prefix).
+
+export const FRAGMENT_PREFIX = "#s=";
+// Version of the state format, stored as `v`; links of other versions are
+// rejected rather than half restored
+export const LINK_VERSION = 1;
+// Links longer than this get truncated by chat tools, mail clients and servers
+export const MAX_LINK_LENGTH = 8000;
+
+function toBase64Url(bytes) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(binary, (c) => c.charCodeAt(0));
+}
+
+async function pipe(bytes, stream) {
+  const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+  return new Uint8Array(await response.arrayBuffer());
+}
+
+function canCompress() {
+  return (
+    typeof CompressionStream !== "undefined" &&
+    typeof TextEncoder !== "undefined" &&
+    typeof Response !== "undefined"
+  );
+}
+
+// The URL fragment for a state object
+export async function encodeState(state) {
+  const json = JSON.stringify(state);
+  if (!canCompress()) return `${FRAGMENT_PREFIX}j.${encodeURIComponent(json)}`;
+  const bytes = await pipe(new TextEncoder().encode(json), new CompressionStream("deflate-raw"));
+  return `${FRAGMENT_PREFIX}z.${toBase64Url(bytes)}`;
+}
+
+function checkVersion(state) {
+  if (!state || typeof state !== "object") throw new Error("the link holds no chart state");
+  if (state.v === LINK_VERSION) return state;
+  if (typeof state.v === "number" && state.v > LINK_VERSION) {
+    throw new Error(`it was made by a newer version of this app (link version ${state.v})`);
+  }
+  throw new Error(`unknown link version ${JSON.stringify(state.v ?? null)}`);
+}
+
+// The state object stored in a URL fragment; null if the fragment holds none.
+// Throws if it holds a malformed or unsupported one.
+export async function decodeState(hash) {
+  if (!hash || !hash.startsWith(FRAGMENT_PREFIX)) return null;
+  const payload = hash.slice(FRAGMENT_PREFIX.length);
+  if (payload.startsWith("j.")) {
+    return checkVersion(JSON.parse(decodeURIComponent(payload.slice(2))));
+  }
+  if (payload.startsWith("z.")) {
+    if (typeof DecompressionStream === "undefined") {
+      throw new Error("this browser cannot open compressed links");
+    }
+    const bytes = await pipe(fromBase64Url(payload.slice(2)), new DecompressionStream("deflate-raw"));
+    return checkVersion(JSON.parse(new TextDecoder().decode(bytes)));
+  }
+  throw new Error("unknown link format");
+}
@@ -0,0 +1,34 @@
+import { LINK_VERSION, decodeState, encodeState } from "./permalink";
+
+test("round-trips state through the URL fragment", async () => {
+  const state = {
+    v: 1,
+    input: "<freiheit> <Bürger*innen & Maßnahmen #1>",
+    clickedPoint: { x: 3.5, y: 7.25 },
+    settings: { normalization: "sigmoid" },
+  };
+  const fragment = await encodeState(state);
+  expect(fragment.startsWith("#s=")).toBe(true);
+  expect(fragment).not.toMatch(/[\s<>]/);
+  expect(await decodeState(fragment)).toEqual(state);
+});
+
+test("ignores fragments without state and rejects unknown formats", async () => {
+  expect(await decodeState("")).toBeNull();
+  expect(await decodeState("#section-2")).toBeNull();
+  await expect(decodeState("#s=q.abc")).rejects.toThrow("unknown link format");
+});
+
+test("rejects links of another state version", async () => {
+  const fragment = (state) => `#s=j.${encodeURIComponent(JSON.stringify(state))}`;
+  expect(await decodeState(fragment({ v: LINK_VERSION, input: "x" }))).toEqual({
+    v: LINK_VERSION,
+    input: "x",
+  });
+  await expect(decodeState(fragment({ v: LINK_VERSION + 1 }))).rejects.toThrow(
+    "newer version of this app"
+  );
+  await expect(decodeState(fragment({ input: "x" }))).rejects.toThrow("unknown link version null");
+  await expect(decodeState(fragment({ v: "1" }))).rejects.toThrow('unknown link version "1"');
+  await expect(decodeState(fragment("text"))).rejects.toThrow("no chart state");
+});
@@ -0,0 +1,48 @@
+// Keyboard navigation between the points on the chart. The arrow keys move
+// to the nearest point roughly in that direction (in chart units, y up);
+// Home and End jump to the first and last point.
+
+const DIRECTIONS = {
+  ArrowRight: { x: 1, y: 0 },
+  ArrowLeft: { x: -1, y: 0 },
+  ArrowUp: { x: 0, y: 1 },
+  ArrowDown: { x: 0, y: -1 },
+};
+
+// Points off to the side count as further away than points straight ahead
+const SIDEWAYS_PENALTY = 2;
+
+export function isNavigationKey(key) {
+  return key in DIRECTIONS || key === "Home" || key === "End";
+}
+
+// Index of the point to move to from points[index] on `key`, or index
+// itself if there is none in that direction
+export function nextPointIndex(points, index, key) {
+  if (key === "Home") return 0;
+  if (key === "End") return points.length - 1;
+  const direction = DIRECTIONS[key];
+  const from = points[index];
+  if (!direction || !from) return index;
+  let best = index;
+  let bestScore = Infinity;
+  points.forEach((pt, i) => {
+    if (i === index) return;
+    const dx = pt.x - from.x;
+    const dy = pt.y - from.y;
+    const ahead = dx * direction.x + dy * direction.y;
+    const sideways = Math.abs(dx * direction.y - dy * direction.x);
+    // Only points within 45 degrees of the direction count
+    if (ahead < sideways) return;
+    // Points at the same spot are stepped through in list order: right and
+    // up go forward, left and down back
+    const forward = direction.x + direction.y > 0;
+    if (ahead === 0 && (forward ? i < index : i > index)) return;
+    const score = ahead + SIDEWAYS_PENALTY * sideways + Math.abs(i - index) * 1e-9;
+    if (score < bestScore) {
+      best = i;
+      bestScore = score;
+    }
+  });
+  return best;
+}
@@ -0,0 +1,34 @@
+import { isNavigationKey, nextPointIndex } from "./pointNavigation";
+
+const points = [
+  { x: 5, y: 5 },
+  { x: 7, y: 5.5 },
+  { x: 6, y: 9 },
+  { x: 2, y: 4 },
+  { x: 5, y: 1 },
+];
+
+test("moves to the nearest point in the pressed direction", () => {
+  expect(nextPointIndex(points, 0, "ArrowRight")).toBe(1);
+  expect(nextPointIndex(points, 0, "ArrowLeft")).toBe(3);
+  expect(nextPointIndex(points, 0, "ArrowUp")).toBe(2);
+  expect(nextPointIndex(points, 0, "ArrowDown")).toBe(4);
+  // Nothing further right
+  expect(nextPointIndex(points, 1, "ArrowRight")).toBe(1);
+  expect(nextPointIndex(points, 2, "Home")).toBe(0);
+  expect(nextPointIndex(points, 2, "End")).toBe(4);
+});
+
+test("steps through points at the same spot", () => {
+  const stacked = [{ x: 1, y: 1 }, { x: 1, y: 1 }, { x: 1, y: 1 }];
+  expect(nextPointIndex(stacked, 0, "ArrowRight")).toBe(1);
+  expect(nextPointIndex(stacked, 1, "ArrowRight")).toBe(2);
+  expect(nextPointIndex(stacked, 2, "ArrowLeft")).toBe(1);
+  expect(nextPointIndex(stacked, 0, "ArrowLeft")).toBe(0);
+});
+
+test("recognizes navigation keys", () => {
+  expect(isNavigationKey("ArrowUp")).toBe(true);
+  expect(isNavigationKey("End")).toBe(true);
+  expect(isNavigationKey("Enter")).toBe(false);
+});
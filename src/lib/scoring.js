@@ -0,0 +1,147 @@
+import { lexiconMatches, lexiconSpans } from "./tokenizer.js";
+import { effectiveMethod, normalizePosition } from "./normalization.js";
+import { effectiveWeighting, termWeight } from "./weighting.js";
+
+// What a negated word does: its offset from the center is multiplied by
+// `factor`, so "invert" mirrors it and "dampen" halves its pull
+export const NEGATION_MODES = {
+  off: { label: "Off", factor: 1 },
+  dampen: { label: "Dampen (half pull)", factor: 0.5 },
+  invert: { label: "Invert", factor: -1 },
+};
+
+// Scoring defaults: words below minConfidence are ignored, and the weighted
+// average is mapped onto the chart by the `normalization` strategy (see
+// normalization.js); "linear" stretches it away from the center by
+// stretchFactor and clamps it. `phrases` matches multi-word lexicon entries
+// and `negation` (a NEGATION_MODES key) handles words after "nicht", "kein"...
+// `weighting` picks the term weighting (see weighting.js); `stopwords` is a
+// Set of lexicon keys to ignore, or null.
+export const SCORING_DEFAULTS = {
+  minConfidence: 0.1,
+  stretchFactor: 1.4,
+  centerX: 5.0,
+  centerY: 5.0,
+  normalization: "linear",
+  reference: null,
+  phrases: true,
+  negation: "off",
+  weighting: "raw",
+  stopwords: null,
+  documentFrequencies: null,
+};
+
+// The tokenizer's matching switches for these scoring options
+function matchFlags(options) {
+  return { phrases: options.phrases, negation: options.negation !== "off" };
+}
+
+// The lexicon matches of a text (see lexiconMatches) under these options
+export function textMatches(text, lexicon, options = SCORING_DEFAULTS) {
+  return lexiconMatches(text, lexicon, matchFlags(options));
+}
+
+// textMatches() with where each word is in the text (see lexiconSpans)
+export function textSpans(text, lexicon, options = SCORING_DEFAULTS) {
+  return lexiconSpans(text, lexicon, matchFlags(options));
+}
+
+// The position a matched word counts with: its lexicon position, or for a
+// negated word that position moved according to the negation mode
+export function matchPosition(entry, negated, options = SCORING_DEFAULTS) {
+  if (!negated) return { x: entry.x, y: entry.y };
+  const { factor } = NEGATION_MODES[options.negation];
+  return {
+    x: options.centerX + factor * (entry.x - options.centerX),
+    y: options.centerY + factor * (entry.y - options.centerY),
+  };
+}
+
+// Row id of a match: negated and plain uses of a word are counted apart
+export function matchId({ word, negated }) {
+  return negated ? `-${word}` : word;
+}
+
+// Groups matches into per-word rows { word, negated, count, confidence,
+// weight, x, y }, keyed by matchId. Words below minConfidence and stopwords
+// are left out; weight is confidence times the term weight of the count.
+export function weightedRows(matches, lexicon, options = SCORING_DEFAULTS) {
+  const rows = new Map();
+  for (const match of matches) {
+    const id = matchId(match);
+    const row = rows.get(id);
+    if (row) row.count++;
+    else rows.set(id, { word: match.word, negated: match.negated, count: 1 });
+  }
+  for (const [id, row] of rows) {
+    const entry = lexicon[row.word];
+    if (entry.confidence < options.minConfidence || options.stopwords?.has(row.word)) {
+      rows.delete(id);
+      continue;
+    }
+    const { x, y } = matchPosition(entry, row.negated, options);
+    row.confidence = entry.confidence;
+    row.weight = entry.confidence * termWeight(row.count, row.word, options);
+    row.x = x;
+    row.y = y;
+  }
+  return rows;
+}
+
+// The weighted average position of a text's lexicon words, before
+// normalization. Returns null if no word matched. `words` holds the per-word
+// accounting (see weightedRows); shareX/shareY is each word's share of the raw
+// offset from the center.
+export function rawScore(text, lexicon, options = SCORING_DEFAULTS) {
+  const { centerX, centerY } = options;
+  let xSum = 0,
+    ySum = 0,
+    totalWeight = 0;
+  const matched = [...weightedRows(textMatches(text, lexicon, options), lexicon, options).values()];
+  for (const { weight, x, y } of matched) {
+    xSum += x * weight;
+    ySum += y * weight;
+    totalWeight += weight;
+  }
+  if (totalWeight === 0) return null;
+  const words = matched.map((m) => ({
+    ...m,
+    shareX: (m.weight * (m.x - centerX)) / totalWeight,
+    shareY: (m.weight * (m.y - centerY)) / totalWeight,
+  }));
+  return {
+    raw: { x: xSum / totalWeight, y: ySum / totalWeight },
+    words,
+    totalWeight,
+    weighting: effectiveWeighting(options),
+  };
+}
+
+// Places a raw score on the chart. Each word's pull is its share of the offset
+// from the center scaled by the local slope of the normalization, so with the
+// linear stretch the pulls of all words add up to the position before it is
+// clamped. A clamped position keeps the unclamped slope for its pulls.
+export function placeScore(score, options = SCORING_DEFAULTS) {
+  const { x, y, slopeX, slopeY, pullSlopeX, pullSlopeY } = normalizePosition(
+    score.raw,
+    options
+  );
+  return {
+    ...score,
+    x,
+    y,
+    slope: { x: slopeX, y: slopeY },
+    normalization: effectiveMethod(options),
+    words: score.words.map((w) => ({
+      ...w,
+      pullX: w.shareX * pullSlopeX,
+      pullY: w.shareY * pullSlopeY,
+    })),
+  };
+}
+
+// Scores a text onto the 0-10 chart: rawScore followed by placeScore
+export function scoreText(text, lexicon, options = SCORING_DEFAULTS) {
+  const score = rawScore(text, lexicon, options);
+  return score && placeScore(score, options);
+}
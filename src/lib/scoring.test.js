@@ -0,0 +1,68 @@
+import { SCORING_DEFAULTS, rawScore, scoreText } from "./scoring";
+
+const lexicon = {
+  steuererhöhungen: { x: 2, y: 6, confidence: 10 },
+  markt: { x: 8, y: 4, confidence: 10 },
+};
+
+test("negation inverts or dampens the words that follow a negator", () => {
+  const text = "keine Steuererhöhungen";
+  const plain = rawScore(text, lexicon);
+  expect(plain.raw).toEqual({ x: 2, y: 6 });
+
+  const inverted = rawScore(text, lexicon, { ...SCORING_DEFAULTS, negation: "invert" });
+  expect(inverted.raw).toEqual({ x: 8, y: 4 });
+  expect(inverted.words[0]).toMatchObject({ word: "steuererhöhungen", negated: true });
+
+  const dampened = rawScore(text, lexicon, { ...SCORING_DEFAULTS, negation: "dampen" });
+  expect(dampened.raw).toEqual({ x: 3.5, y: 5.5 });
+});
+
+test("keeps negated and plain uses of a word apart", () => {
+  const result = rawScore("Markt, nicht Markt", lexicon, {
+    ...SCORING_DEFAULTS,
+    negation: "invert",
+  });
+  expect(result.words.map((w) => [w.word, w.negated, w.count])).toEqual([
+    ["markt", false, 1],
+    ["markt", true, 1],
+  ]);
+  expect(result.raw).toEqual({ x: 5, y: 5 });
+});
+
+test("drops stopwords and applies the weighting scheme", () => {
+  const lexiconWithUnd = { ...lexicon, und: { x: 5, y: 5, confidence: 40 } };
+  const text = "Markt und Markt und Markt und Steuererhöhungen";
+  const plain = rawScore(text, lexiconWithUnd);
+  expect(plain.words.map((w) => w.word)).toContain("und");
+
+  const filtered = rawScore(text, lexiconWithUnd, {
+    ...SCORING_DEFAULTS,
+    stopwords: new Set(["und"]),
+  });
+  expect(filtered.words.map((w) => w.word)).toEqual(["markt", "steuererhöhungen"]);
+  expect(filtered.raw.x).toBeCloseTo((3 * 8 + 2) / 4);
+
+  const sublinear = rawScore(text, lexiconWithUnd, {
+    ...SCORING_DEFAULTS,
+    stopwords: new Set(["und"]),
+    weighting: "sublinear",
+  });
+  const w = 1 + Math.log(3);
+  expect(sublinear.raw.x).toBeCloseTo((w * 8 + 2) / (w + 1));
+  expect(sublinear.weighting).toBe("sublinear");
+});
+
+test("a text clamped at the chart edge keeps its word pulls", () => {
+  const saturated = {
+    links: { x: 0, y: 0, confidence: 10 },
+    rechts: { x: 1, y: 1, confidence: 10 },
+  };
+  const score = scoreText("links rechts", saturated);
+  expect(score.x).toBe(0);
+  expect(score.slope.x).toBe(0);
+  const pulls = score.words.map((w) => w.pullX);
+  expect(pulls.every((p) => p < 0)).toBe(true);
+  // The pulls add up to the unclamped stretch: 5 + (0.5 - 5) * 1.4
+  expect(5 + pulls.reduce((a, b) => a + b, 0)).toBeCloseTo(-1.3);
+});
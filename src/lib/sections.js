@@ -0,0 +1,119 @@
+import { tokenize } from "./tokenizer.js";
+
+export const SECTION_MODES = ["off", "paragraphs", "headings"];
+
+// Sections shorter than this are merged into a neighbour so single lines
+// don't scatter across the chart
+const MIN_SECTION_WORDS = 40;
+const MAX_HEADING_LENGTH = 70;
+const MAX_HEADING_WORDS = 8;
+// Lines repeated this often are running page headers or footers
+const RUNNING_HEADER_COUNT = 3;
+
+// "3.", "3.2", "IV." and similar numbering in front of a heading
+const NUMBERING_RE = /^(?:\d+(?:\.\d+)*\.?|[IVXLC]+\.)\s+/;
+
+// Heuristic for headings in text extracted from PDF manifestos: a short line
+// starting with a capital or a number, not ending like a sentence or a
+// wrapped line, between the end of a sentence and a line that doesn't
+// continue it in lowercase.
+function isHeading(line, previous, next) {
+  const trimmed = line.trim();
+  if (!trimmed || trimmed.length > MAX_HEADING_LENGTH) return false;
+  if (trimmed.split(/\s+/).length > MAX_HEADING_WORDS) return false;
+  if (!/\p{L}{3}/u.test(trimmed)) return false;
+  if (/[.,;:\-–]$/.test(trimmed)) return false;
+  if (!/^(?:\p{Lu}|\d|[IVXLC]+\.)/u.test(trimmed)) return false;
+  if (/^\s*\p{Ll}/u.test(next || "")) return false;
+  const prev = (previous || "").trim();
+  return !prev || /[.!?:"“”]$/.test(prev) || isShoutedLine(prev);
+}
+
+function isShoutedLine(line) {
+  return /\p{Lu}{3}/u.test(line) && line === line.toLocaleUpperCase("de");
+}
+
+function mergeShortSections(sections) {
+  const merged = [];
+  for (const section of sections) {
+    const last = merged[merged.length - 1];
+    if (last && tokenize(last.text).length < MIN_SECTION_WORDS) {
+      last.text += "\n" + section.text;
+    } else {
+      merged.push({ ...section });
+    }
+  }
+  // A short tail joins the section before it
+  if (merged.length > 1) {
+    const tail = merged[merged.length - 1];
+    if (tokenize(tail.text).length < MIN_SECTION_WORDS) {
+      merged.pop();
+      merged[merged.length - 1].text += "\n" + tail.text;
+    }
+  }
+  return merged;
+}
+
+function splitParagraphs(text) {
+  return text
+    .split(/\n\s*\n/)
+    .map((p) => p.trim())
+    .filter(Boolean)
+    .map((p) => ({ title: p.replace(/\s+/g, " ").slice(0, 40), text: p }));
+}
+
+function splitHeadings(text) {
+  const counts = new Map();
+  for (const line of text.split(/\r?\n/)) {
+    const key = line.trim();
+    if (key) counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  const lines = text
+    .split(/\r?\n/)
+    .filter((line) => (counts.get(line.trim()) || 0) < RUNNING_HEADER_COUNT)
+    .filter((line) => !/^\s*\d+\s*$/.test(line));
+  const sections = [];
+  let current = { title: "", lines: [] };
+  lines.forEach((line, i) => {
+    if (isHeading(line, lines[i - 1], lines[i + 1])) {
+      if (current.lines.length > 0) sections.push(current);
+      current = { title: line.trim().replace(NUMBERING_RE, ""), lines: [] };
+    } else {
+      current.lines.push(line);
+    }
+  });
+  if (current.lines.length > 0) sections.push(current);
+  return sections
+    .map((s) => ({ title: s.title || "(untitled)", text: s.lines.join("\n").trim() }))
+    .filter((s) => s.text);
+}
+
+// Splits a text into { title, text } sections by blank-line paragraphs or by
+// detected headings
+export function splitSections(text, mode) {
+  if (mode === "paragraphs") return mergeShortSections(splitParagraphs(text));
+  if (mode === "headings") return mergeShortSections(splitHeadings(text));
+  return [];
+}
+
+// Convex hull of {x, y} points (Andrew's monotone chain), counter-clockwise
+export function convexHull(points) {
+  const sorted = [...points].sort((a, b) => a.x - b.x || a.y - b.y);
+  if (sorted.length < 3) return sorted;
+  const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+  const lower = [];
+  for (const p of sorted) {
+    while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) {
+      lower.pop();
+    }
+    lower.push(p);
+  }
+  const upper = [];
+  for (const p of [...sorted].reverse()) {
+    while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) {
+      upper.pop();
+    }
+    upper.push(p);
+  }
+  return [...lower.slice(0, -1), ...upper.slice(0, -1)];
+}
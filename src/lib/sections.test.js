@@ -0,0 +1,43 @@
+import { convexHull, splitSections } from "./sections";
+
+// A sentence long enough to form a section of its own
+const filler = (word) =>
+  word[0].toUpperCase() + word.slice(1) + " " + Array(44).fill(word).join(" ") + ".";
+
+test("splits on detected headings and drops running headers", () => {
+  const text = [
+    "Wahlprogramm 2025",
+    "Wirtschaft stärken",
+    filler("markt"),
+    "Wahlprogramm 2025",
+    "12",
+    "Sicherheit im Alltag",
+    filler("polizei"),
+    "Wahlprogramm 2025",
+  ].join("\n");
+  const sections = splitSections(text, "headings");
+  expect(sections.map((s) => s.title)).toEqual([
+    "Wirtschaft stärken",
+    "Sicherheit im Alltag",
+  ]);
+  expect(sections[1].text).toBe(filler("polizei"));
+});
+
+test("merges paragraphs that are too short to score on their own", () => {
+  const text = ["Kurz.", filler("arbeit"), filler("klima")].join("\n\n");
+  const sections = splitSections(text, "paragraphs");
+  expect(sections).toHaveLength(2);
+  expect(sections[0].text.startsWith("Kurz.\nArbeit")).toBe(true);
+});
+
+test("convex hull drops interior points", () => {
+  const square = [
+    { x: 0, y: 0 },
+    { x: 1, y: 1 },
+    { x: 2, y: 0 },
+    { x: 2, y: 2 },
+    { x: 0, y: 2 },
+  ];
+  expect(convexHull(square)).toHaveLength(4);
+  expect(convexHull(square)).not.toContainEqual({ x: 1, y: 1 });
+});
@@ -0,0 +1,139 @@
+// 2-d tree over lexicon positions for nearest-word and click queries. Every
+// node also tracks the highest confidence in its subtree, so confidence
+// filtering prunes whole branches instead of scanning all entries.
+
+const indexCache = new WeakMap();
+
+function build(items, depth) {
+  if (items.length === 0) return null;
+  const axis = depth % 2 === 0 ? "x" : "y";
+  items.sort((a, b) => a[axis] - b[axis]);
+  const mid = items.length >> 1;
+  const left = build(items.slice(0, mid), depth + 1);
+  const right = build(items.slice(mid + 1), depth + 1);
+  const item = items[mid];
+  return {
+    item,
+    axis,
+    left,
+    right,
+    maxConfidence: Math.max(
+      item.confidence,
+      left ? left.maxConfidence : -Infinity,
+      right ? right.maxConfidence : -Infinity
+    ),
+  };
+}
+
+// Builds (or returns the cached) index for a lexicon object
+export function buildSpatialIndex(lexicon) {
+  let root = indexCache.get(lexicon);
+  if (root === undefined) {
+    const items = Object.entries(lexicon).map(([word, entry]) => ({
+      word,
+      x: entry.x,
+      y: entry.y,
+      confidence: entry.confidence,
+    }));
+    root = build(items, 0);
+    indexCache.set(lexicon, root);
+  }
+  return root;
+}
+
+function sqDist(item, x, y) {
+  return (item.x - x) ** 2 + (item.y - y) ** 2;
+}
+
+// The k entries closest to (x, y) with confidence >= minConfidence, nearest
+// first. `exclude` skips one word (usually the query word itself).
+export function nearest(lexicon, x, y, { k = 5, minConfidence = 0, exclude } = {}) {
+  const best = []; // sorted ascending by d, at most k long
+  const visit = (node) => {
+    if (!node || node.maxConfidence < minConfidence) return;
+    const { item, axis } = node;
+    if (item.confidence >= minConfidence && item.word !== exclude) {
+      const d = sqDist(item, x, y);
+      if (best.length < k || d < best[best.length - 1].d) {
+        let i = best.length;
+        while (i > 0 && best[i - 1].d > d) i--;
+        best.splice(i, 0, { item, d });
+        if (best.length > k) best.pop();
+      }
+    }
+    const delta = (axis === "x" ? x : y) - item[axis];
+    const [near, far] = delta < 0 ? [node.left, node.right] : [node.right, node.left];
+    visit(near);
+    if (best.length < k || delta * delta < best[best.length - 1].d) visit(far);
+  };
+  if (k > 0) visit(buildSpatialIndex(lexicon));
+  return best.map(({ item, d }) => ({ ...item, dist: Math.sqrt(d) }));
+}
+
+// All entries within `radius` of (x, y) with confidence >= minConfidence,
+// nearest first
+export function withinRadius(lexicon, x, y, radius, { minConfidence = 0 } = {}) {
+  const r2 = radius * radius;
+  const found = [];
+  const visit = (node) => {
+    if (!node || node.maxConfidence < minConfidence) return;
+    const { item, axis } = node;
+    if (item.confidence >= minConfidence) {
+      const d = sqDist(item, x, y);
+      if (d <= r2) found.push({ ...item, dist: Math.sqrt(d) });
+    }
+    const delta = (axis === "x" ? x : y) - item[axis];
+    if (delta - radius <= 0) visit(node.left);
+    if (delta + radius >= 0) visit(node.right);
+  };
+  visit(buildSpatialIndex(lexicon));
+  return found.sort((a, b) => a.dist - b.dist);
+}
+
+// All entries inside the rectangle [minX, maxX] x [minY, maxY] with
+// confidence >= minConfidence, most confident first
+export function withinRect(lexicon, minX, minY, maxX, maxY, { minConfidence = 0 } = {}) {
+  const found = [];
+  const visit = (node) => {
+    if (!node || node.maxConfidence < minConfidence) return;
+    const { item, axis } = node;
+    if (
+      item.confidence >= minConfidence &&
+      item.x >= minX &&
+      item.x <= maxX &&
+      item.y >= minY &&
+      item.y <= maxY
+    ) {
+      found.push({ ...item });
+    }
+    const [lo, hi] = axis === "x" ? [minX, maxX] : [minY, maxY];
+    if (lo <= item[axis]) visit(node.left);
+    if (hi >= item[axis]) visit(node.right);
+  };
+  visit(buildSpatialIndex(lexicon));
+  return found.sort((a, b) => b.confidence - a.confidence);
+}
+
+// Even-odd rule: whether (x, y) lies inside the polygon [{ x, y }, ...]
+export function insidePolygon(polygon, x, y) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if ((a.y > y) !== (b.y > y) && x < ((b.x - a.x) * (y - a.y)) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// All entries inside a polygon (such as a freehand lasso) with confidence >=
+// minConfidence, most confident first
+export function withinPolygon(lexicon, polygon, { minConfidence = 0 } = {}) {
+  if (polygon.length < 3) return [];
+  const xs = polygon.map((p) => p.x);
+  const ys = polygon.map((p) => p.y);
+  return withinRect(lexicon, Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys), {
+    minConfidence,
+  }).filter((item) => insidePolygon(polygon, item.x, item.y));
+}
@@ -0,0 +1,68 @@
+import {
+  insidePolygon,
+  nearest,
+  withinPolygon,
+  withinRadius,
+  withinRect,
+} from "./spatialIndex";
+
+// Deterministic pseudo-random lexicon
+const lexicon = {};
+let seed = 7;
+const random = () => {
+  seed = (seed * 16807) % 2147483647;
+  return seed / 2147483647;
+};
+for (let i = 0; i < 2000; i++) {
+  lexicon[`w${i}`] = { x: random() * 10, y: random() * 10, confidence: random() * 50 };
+}
+
+const bruteForce = (x, y, minConfidence) =>
+  Object.entries(lexicon)
+    .filter(([, e]) => e.confidence >= minConfidence)
+    .map(([word, e]) => ({ word, dist: Math.hypot(e.x - x, e.y - y) }))
+    .sort((a, b) => a.dist - b.dist);
+
+test("k-nearest matches a brute-force scan", () => {
+  for (const [x, y] of [[5, 5], [0, 0], [9.5, 2], [-3, 12]]) {
+    const expected = bruteForce(x, y, 20).slice(0, 7).map((e) => e.word);
+    const found = nearest(lexicon, x, y, { k: 7, minConfidence: 20 });
+    expect(found.map((e) => e.word)).toEqual(expected);
+  }
+});
+
+test("nearest can exclude the query word", () => {
+  const { x, y } = lexicon.w3;
+  const found = nearest(lexicon, x, y, { k: 1, exclude: "w3" });
+  expect(found[0].word).not.toBe("w3");
+});
+
+test("radius query matches a brute-force scan", () => {
+  const expected = bruteForce(4, 6, 10).filter((e) => e.dist <= 0.8);
+  const found = withinRadius(lexicon, 4, 6, 0.8, { minConfidence: 10 });
+  expect(found.map((e) => e.word)).toEqual(expected.map((e) => e.word));
+});
+
+test("rectangle query matches a brute-force scan", () => {
+  const expected = Object.entries(lexicon)
+    .filter(([, e]) => e.confidence >= 10 && e.x >= 2 && e.x <= 3.5 && e.y >= 7 && e.y <= 9)
+    .map(([word]) => word)
+    .sort();
+  const found = withinRect(lexicon, 2, 7, 3.5, 9, { minConfidence: 10 });
+  expect(found.map((e) => e.word).sort()).toEqual(expected);
+  expect(found[0].confidence).toBeGreaterThanOrEqual(found[found.length - 1].confidence);
+});
+
+test("polygon query keeps only entries inside the outline", () => {
+  // A triangle with its right angle at (2, 2)
+  const triangle = [{ x: 2, y: 2 }, { x: 6, y: 2 }, { x: 2, y: 6 }];
+  expect(insidePolygon(triangle, 3, 3)).toBe(true);
+  expect(insidePolygon(triangle, 5, 5)).toBe(false);
+  const expected = Object.entries(lexicon)
+    .filter(([, e]) => e.confidence >= 10 && e.x >= 2 && e.y >= 2 && e.x + e.y <= 8)
+    .map(([word]) => word)
+    .sort();
+  const found = withinPolygon(lexicon, triangle, { minConfidence: 10 });
+  expect(found.map((e) => e.word).sort()).toEqual(expected);
+  expect(withinPolygon(lexicon, triangle.slice(0, 2))).toEqual([]);
+});
@@ -0,0 +1,86 @@
+// Dated versions of the party programs. A registry entry in
+// party_texts/index.json either names one `file` (with an optional `year`)
+// or lists its versions:
+//
+//   "versions": [{ "year": 2021, "file": "SPD/2021.txt" }, { "year": 2025, "file": "SPD/2025.txt" }]
+//
+// The latest version is the party's current position; a party's dated
+// versions, oldest first, make up its track through the years.
+import { compareScores } from "./compare.js";
+
+// A registry entry's versions, oldest first; undated ones sort before dated
+export function partyVersions(entry) {
+  if (!Array.isArray(entry.versions)) {
+    return [{ year: entry.year ?? null, file: entry.file }];
+  }
+  return entry.versions
+    .filter((v) => v && typeof v.file === "string")
+    .map((v) => ({ year: Number.isFinite(v.year) ? v.year : null, file: v.file }))
+    .sort((a, b) => (a.year ?? -Infinity) - (b.year ?? -Infinity));
+}
+
+// Id of a version other than the current one
+export function versionId(partyId, year) {
+  return `${partyId}@${year}`;
+}
+
+// Placed versions grouped by party (`partyId`, or `id` for current versions),
+// oldest first. Undated and unscored versions are left out, and so are
+// parties with fewer than two versions left: they have nowhere to move.
+export function buildTracks(points) {
+  const tracks = new Map();
+  for (const pt of points) {
+    if (pt.error || !Number.isFinite(pt.year)) continue;
+    const id = pt.partyId ?? pt.id;
+    if (!tracks.has(id)) tracks.set(id, []);
+    tracks.get(id).push(pt);
+  }
+  for (const [id, track] of tracks) {
+    if (track.length < 2) tracks.delete(id);
+    else track.sort((a, b) => a.year - b.year);
+  }
+  return tracks;
+}
+
+// Every year with at least one version, ascending
+export function timelineYears(tracks) {
+  const years = new Set();
+  for (const track of tracks.values()) for (const pt of track) years.add(pt.year);
+  return [...years].sort((a, b) => a - b);
+}
+
+// The version a party had in `year`: its latest one up to then, or null
+export function versionAt(track, year) {
+  let found = null;
+  for (const pt of track) if (pt.year <= year) found = pt;
+  return found;
+}
+
+// Position of a track at a (fractional) year: interpolated between the
+// versions around it, held after the last one and null before the first
+export function positionAt(track, year) {
+  if (track.length === 0 || year < track[0].year) return null;
+  for (let i = 1; i < track.length; i++) {
+    const a = track[i - 1];
+    const b = track[i];
+    if (year <= b.year) {
+      const t = (year - a.year) / (b.year - a.year);
+      return { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t };
+    }
+  }
+  const last = track[track.length - 1];
+  return { x: last.x, y: last.y };
+}
+
+// How each party moved from its version in year `from` to that in year `to`,
+// largest shift first. Parties without a new version in between are left out.
+export function compareYears(tracks, from, to) {
+  const shifts = [];
+  for (const [partyId, track] of tracks) {
+    const a = versionAt(track, from);
+    const b = versionAt(track, to);
+    if (!a || !b || a === b) continue;
+    shifts.push({ partyId, fromYear: a.year, toYear: b.year, ...compareScores(a, b) });
+  }
+  return shifts.sort((p, q) => q.shift.distance - p.shift.distance);
+}
@@ -0,0 +1,114 @@
+import { readFile } from "fs/promises";
+import path from "path";
+import {
+  buildTracks,
+  compareYears,
+  partyVersions,
+  positionAt,
+  timelineYears,
+  versionAt,
+  versionId,
+} from "./timeline";
+import { SCORING_DEFAULTS, scoreText } from "./scoring";
+import { loadPartyRegistry } from "./partyRegistry";
+
+test("reads single-file and versioned registry entries", () => {
+  expect(partyVersions({ file: "FDP.txt", year: 2025 })).toEqual([
+    { year: 2025, file: "FDP.txt" },
+  ]);
+  expect(partyVersions({ file: "DW.txt" })).toEqual([{ year: null, file: "DW.txt" }]);
+  expect(
+    partyVersions({
+      versions: [
+        { year: 2025, file: "SPD/2025.txt" },
+        { year: 2021, file: "SPD/2021.txt" },
+        { year: 2017 },
+      ],
+    })
+  ).toEqual([
+    { year: 2021, file: "SPD/2021.txt" },
+    { year: 2025, file: "SPD/2025.txt" },
+  ]);
+});
+
+const spd = [
+  { id: versionId("spd", 2017), partyId: "spd", year: 2017, x: 2, y: 6 },
+  { id: "spd", year: 2025, x: 6, y: 2 },
+  { id: versionId("spd", 2021), partyId: "spd", year: 2021, x: 4, y: 4 },
+];
+
+test("groups dated versions into tracks", () => {
+  const tracks = buildTracks([
+    ...spd,
+    { id: "dw", year: null, x: 1, y: 1 },
+    { id: "mlpd", year: 2021, x: 1, y: 5 },
+    { id: "bsw", year: 2025, error: "no lexicon words found" },
+  ]);
+  expect([...tracks.keys()]).toEqual(["spd"]);
+  expect(tracks.get("spd").map((pt) => pt.year)).toEqual([2017, 2021, 2025]);
+  expect(timelineYears(tracks)).toEqual([2017, 2021, 2025]);
+});
+
+test("interpolates positions between versions", () => {
+  const track = buildTracks(spd).get("spd");
+  expect(positionAt(track, 2016)).toBeNull();
+  expect(positionAt(track, 2017)).toEqual({ x: 2, y: 6 });
+  expect(positionAt(track, 2019)).toEqual({ x: 3, y: 5 });
+  expect(positionAt(track, 2024)).toEqual({ x: 5.5, y: 2.5 });
+  expect(positionAt(track, 2030)).toEqual({ x: 6, y: 2 });
+  expect(versionAt(track, 2024).year).toBe(2021);
+});
+
+test("compares the versions two years apart", () => {
+  const lexicon = {
+    markt: { x: 8, y: 4, confidence: 10 },
+    staat: { x: 3, y: 7, confidence: 10 },
+  };
+  const score = (text, extra) => ({
+    ...scoreText(text, lexicon, { ...SCORING_DEFAULTS, stretchFactor: 1 }),
+    ...extra,
+  });
+  const tracks = buildTracks([
+    score("Staat Staat Markt", { id: versionId("spd", 2021), partyId: "spd", year: 2021 }),
+    score("Staat Markt Markt", { id: "spd", year: 2025 }),
+    score("Markt", { id: versionId("linke", 2017), partyId: "linke", year: 2017 }),
+    score("Markt", { id: "linke", year: 2021 }),
+  ]);
+  // Die Linke has no program after 2021, so nothing changed for it
+  const shifts = compareYears(tracks, 2021, 2025);
+  expect(shifts).toHaveLength(1);
+  expect(shifts[0]).toMatchObject({ partyId: "spd", fromYear: 2021, toYear: 2025 });
+  expect(shifts[0].shift.dx).toBeGreaterThan(0);
+  // The SPD has no program from 2017 to start from
+  expect(compareYears(tracks, 2017, 2025).map((s) => s.partyId)).toEqual(["linke"]);
+  expect(compareYears(tracks, 2025, 2025)).toEqual([]);
+});
+
+test("tracks a party through the versions of a fixture registry", async () => {
+  const root = path.join(__dirname, "fixtures/party_texts");
+  const fetchImpl = async (url) => {
+    const body = await readFile(path.join(root, url.replace("/party_texts/", "")), "utf8");
+    return {
+      ok: true,
+      headers: { get: () => "text/plain" },
+      json: async () => JSON.parse(body),
+      text: async () => body,
+    };
+  };
+  const { parties, history } = await loadPartyRegistry("/party_texts", fetchImpl);
+  const lexicon = {
+    markt: { x: 8, y: 4, confidence: 10 },
+    staat: { x: 3, y: 7, confidence: 10 },
+  };
+  const score = (pt) => ({
+    ...pt,
+    ...scoreText(pt.text, lexicon, { ...SCORING_DEFAULTS, stretchFactor: 1 }),
+  });
+  const tracks = buildTracks([...parties, ...history].map(score));
+  // The single-program party has nowhere to move
+  expect([...tracks.keys()]).toEqual(["beispiel"]);
+  expect(timelineYears(tracks)).toEqual([2021, 2025]);
+  const [shift] = compareYears(tracks, 2021, 2025);
+  expect(shift).toMatchObject({ partyId: "beispiel", fromYear: 2021, toYear: 2025 });
+  expect(shift.shift.dx).toBeGreaterThan(0);
+});
@@ -0,0 +1,284 @@
+// German tokenizer shared by sentence scoring, party scoring and the <word> parser.
+// Tokens are lowercased, Unicode-aware (umlauts, ß, accents) and keep inner hyphens;
+// lookupKeys() then maps a token onto the lexicon keys it stands for.
+
+// Soft hyphens and the Unicode hyphen variants PDF exports like to emit
+const SOFT_HYPHEN_RE = /\u00ad/g;
+const HYPHEN_VARIANTS_RE = /[\u2010\u2011]/g;
+// "Klima-\nschutz": a word hyphenated across a line break
+const LINE_BREAK_HYPHEN_RE = /(\p{L})-[ \t]*\r?\n\s*(\p{Ll})/gu;
+// Binnen-I ("BürgerInnen"), must run before lowercasing
+const BINNEN_I_RE = /(\p{Ll})I(n|nen)(?![\p{L}\p{N}])/gu;
+// Gender star, colon, underscore, middle dot and slash forms ("Bürger*innen", "Lehrer/-in")
+const GENDER_RE = /(\p{L})(?:[*:_\u00b7]|\/-?)(in|innen)(?![\p{L}\p{N}])/giu;
+const TOKEN_RE = /[\p{L}\p{N}]+(?:-[\p{L}\p{N}]+)*/gu;
+// A word as written, before normalization: soft hyphens, hyphen variants,
+// line-break hyphenation and gender forms stay inside it so it maps back onto
+// the original text
+const RAW_WORD_RE = new RegExp(
+  String.raw`[\p{L}\p{N}\u00ad]+` +
+    String.raw`(?:[-\u2010\u2011](?:[ \t]*\r?\n\s*)?[\p{L}\p{N}\u00ad]+` +
+    String.raw`|(?:[*:_\u00b7]|\/-?)(?:in|innen)(?![\p{L}\p{N}]))*`,
+  "giu"
+);
+// Punctuation that ends a negation scope or a phrase
+const CLAUSE_BREAK_RE = /[.,;:!?()[\]"„“”]+/;
+
+// Compound splitting only kicks in for long words; modifiers must be at least
+// MIN_MODIFIER_LENGTH characters, the head (last part) at least MIN_HEAD_LENGTH.
+const MIN_COMPOUND_LENGTH = 8;
+const MIN_MODIFIER_LENGTH = 4;
+const MIN_HEAD_LENGTH = 3;
+// Fugenelemente that may join a modifier to the next part ("Arbeit-s-markt")
+const LINKING_ELEMENTS = ["s", "es"];
+// Feminine endings gender forms are joined into ("Lehrer/-innen" becomes
+// "lehrerinnen"); such a word without an entry stands for its base form
+const FEMININE_SUFFIXES = ["innen", "in"];
+
+// Negation particles; the next NEGATION_SCOPE tokens of the same clause count
+// as negated ("keine höheren Steuern")
+export const NEGATORS = new Set([
+  "nicht",
+  "kein",
+  "keine",
+  "keinen",
+  "keinem",
+  "keiner",
+  "keines",
+  "ohne",
+  "gegen",
+]);
+export const NEGATION_SCOPE = 3;
+
+const keyCache = new WeakMap();
+const phraseCache = new WeakMap();
+
+export function hasEntry(lexicon, word) {
+  return Object.prototype.hasOwnProperty.call(lexicon, word);
+}
+
+function normalizeText(text) {
+  return text
+    .normalize("NFKC")
+    .replace(SOFT_HYPHEN_RE, "")
+    .replace(HYPHEN_VARIANTS_RE, "-")
+    .replace(LINE_BREAK_HYPHEN_RE, "$1$2")
+    .replace(BINNEN_I_RE, "$1i$2")
+    .replace(GENDER_RE, "$1$2")
+    .toLocaleLowerCase("de");
+}
+
+// Splits text into normalized lowercase word tokens
+export function tokenize(text) {
+  if (!text) return [];
+  return normalizeText(text).match(TOKEN_RE) || [];
+}
+
+// Like tokenize(), but one token list per clause (split at punctuation)
+export function tokenizeClauses(text) {
+  if (!text) return [];
+  return normalizeText(text)
+    .split(CLAUSE_BREAK_RE)
+    .map((clause) => clause.match(TOKEN_RE) || [])
+    .filter((tokens) => tokens.length > 0);
+}
+
+// Lexicon key for a word or phrase: its tokens joined by single spaces
+export function normalizeKey(text) {
+  return tokenize(text).join(" ");
+}
+
+// Normalizes a single word the same way tokenize() does ("" if there is none)
+export function normalizeWord(word) {
+  const tokens = tokenize(word);
+  return tokens.length === 1 ? tokens[0] : "";
+}
+
+// Finds the split of `word` into the fewest lexicon parts, preferring a long head.
+// Returns null if no complete split exists.
+export function splitCompound(word, lexicon) {
+  const n = word.length;
+  if (n < MIN_COMPOUND_LENGTH) return null;
+  // best[i]: fewest parts covering word.slice(0, i), with the chosen parts
+  const best = new Array(n + 1).fill(null);
+  best[0] = [];
+  for (let i = 1; i <= n; i++) {
+    const minLength = i === n ? MIN_HEAD_LENGTH : MIN_MODIFIER_LENGTH;
+    for (let j = 0; j <= i - minLength; j++) {
+      if (!best[j] || (j === 0 && i === n)) continue;
+      const part = resolvePart(word.slice(j, i), lexicon, minLength);
+      if (!part) continue;
+      if (!best[i] || best[j].length + 1 < best[i].length) {
+        best[i] = [...best[j], part];
+      }
+    }
+  }
+  return best[n] && best[n].length > 1 ? best[n] : null;
+}
+
+function resolvePart(part, lexicon, minLength) {
+  if (hasEntry(lexicon, part)) return part;
+  for (const link of LINKING_ELEMENTS) {
+    const stem = part.slice(0, -link.length);
+    if (
+      part.endsWith(link) &&
+      stem.length >= minLength &&
+      hasEntry(lexicon, stem)
+    ) {
+      return stem;
+    }
+  }
+  return null;
+}
+
+// Keys of a feminine form's base ("lehrerinnen" -> "lehrer"), or null if it
+// has no feminine ending or its base is unknown too. Looking up the base
+// first keeps the compound split from matching "innen" on its own.
+function feminineBaseKeys(token, lexicon) {
+  for (const suffix of FEMININE_SUFFIXES) {
+    const base = token.slice(0, -suffix.length);
+    if (!token.endsWith(suffix) || base.length < MIN_MODIFIER_LENGTH) continue;
+    const keys = lookupKeys(base, lexicon);
+    if (keys.length > 0) return keys;
+  }
+  return null;
+}
+
+// Maps a token onto the lexicon keys it stands for: the token itself, the
+// joined or split form of a hyphenated word, the base of a feminine form or
+// the parts of a compound.
+export function lookupKeys(token, lexicon) {
+  let cache = keyCache.get(lexicon);
+  if (!cache) {
+    cache = new Map();
+    keyCache.set(lexicon, cache);
+  }
+  if (cache.has(token)) return cache.get(token);
+
+  let keys;
+  if (hasEntry(lexicon, token)) {
+    keys = [token];
+  } else if (token.includes("-")) {
+    const joined = token.replace(/-/g, "");
+    keys = hasEntry(lexicon, joined)
+      ? [joined]
+      : token.split("-").flatMap((part) => lookupKeys(part, lexicon));
+  } else {
+    keys = feminineBaseKeys(token, lexicon) || splitCompound(token, lexicon) || [];
+  }
+  cache.set(token, keys);
+  return keys;
+}
+
+// Multi-word lexicon keys ("soziale marktwirtschaft"): their first tokens and
+// the longest phrase length, so most tokens are ruled out with one lookup
+function phraseIndex(lexicon) {
+  let index = phraseCache.get(lexicon);
+  if (!index) {
+    index = { first: new Set(), maxLength: 0 };
+    for (const key of Object.keys(lexicon)) {
+      if (!key.includes(" ")) continue;
+      const parts = key.split(" ");
+      index.first.add(parts[0]);
+      index.maxLength = Math.max(index.maxLength, parts.length);
+    }
+    phraseCache.set(lexicon, index);
+  }
+  return index;
+}
+
+// Matches one clause's tokens: calls emit(keys, i, length, negated) for each
+// phrase or single token from tokens[i], with the lexicon keys it stands for
+// (none for an unknown word)
+function matchClause(tokens, lexicon, index, negation, emit) {
+  let scope = 0;
+  let i = 0;
+  while (i < tokens.length) {
+    const token = tokens[i];
+    let keys = null;
+    let length = 1;
+    if (index && index.first.has(token)) {
+      for (let n = Math.min(index.maxLength, tokens.length - i); n >= 2; n--) {
+        const phrase = tokens.slice(i, i + n).join(" ");
+        if (hasEntry(lexicon, phrase)) {
+          keys = [phrase];
+          length = n;
+          break;
+        }
+      }
+    }
+    if (!keys) keys = lookupKeys(token, lexicon);
+    emit(keys, i, length, negation && scope > 0);
+    if (negation && length === 1 && NEGATORS.has(token)) scope = NEGATION_SCOPE;
+    else scope = Math.max(0, scope - length);
+    i += length;
+  }
+}
+
+// Every lexicon entry a text mentions, in order, as { word, negated }.
+// With `phrases`, multi-word entries are matched greedily (longest first)
+// before single words; with `negation`, entries within NEGATION_SCOPE tokens
+// after a negator are flagged as negated.
+export function lexiconMatches(text, lexicon, { phrases = true, negation = false } = {}) {
+  const index = phrases ? phraseIndex(lexicon) : null;
+  const matches = [];
+  for (const tokens of tokenizeClauses(text)) {
+    matchClause(tokens, lexicon, index, negation, (keys, i, length, negated) => {
+      for (const word of keys) matches.push({ word, negated });
+    });
+  }
+  return matches;
+}
+
+// lexiconMatches() with the place of each match in the original text: every
+// word as { start, end, words }, where `words` are its { word, negated }
+// matches (none for an unknown word). A phrase is one span across its words.
+export function lexiconSpans(text, lexicon, { phrases = true, negation = false } = {}) {
+  const index = phrases ? phraseIndex(lexicon) : null;
+  const spans = [];
+  // Raw words grouped into clauses, with their tokens and where they are
+  let clause = { tokens: [], at: [] };
+  const clauses = [clause];
+  let previousEnd = 0;
+  for (const raw of (text || "").matchAll(RAW_WORD_RE)) {
+    const start = raw.index;
+    const end = start + raw[0].length;
+    if (CLAUSE_BREAK_RE.test(text.slice(previousEnd, start)) && clause.tokens.length > 0) {
+      clause = { tokens: [], at: [] };
+      clauses.push(clause);
+    }
+    for (const token of tokenize(raw[0])) {
+      clause.tokens.push(token);
+      clause.at.push({ start, end });
+    }
+    previousEnd = end;
+  }
+  for (const { tokens, at } of clauses) {
+    matchClause(tokens, lexicon, index, negation, (keys, i, length, negated) => {
+      const start = at[i].start;
+      const end = at[i + length - 1].end;
+      const words = keys.map((word) => ({ word, negated }));
+      const last = spans[spans.length - 1];
+      // Tokens of one raw word ("bürger/in") share its span
+      if (last && start < last.end) {
+        last.end = Math.max(last.end, end);
+        last.words.push(...words);
+      } else {
+        spans.push({ start, end, words });
+      }
+    });
+  }
+  return spans;
+}
+
+// Tokenizes text and returns every lexicon key it matches, in order
+export function lexiconWords(text, lexicon, options) {
+  return lexiconMatches(text, lexicon, options).map((m) => m.word);
+}
+
+// How many of a text's tokens map onto at least one lexicon key
+export function tokenCoverage(text, lexicon) {
+  const tokens = tokenize(text);
+  const matched = tokens.filter((token) => lookupKeys(token, lexicon).length > 0).length;
+  return { tokens: tokens.length, matched, ratio: tokens.length ? matched / tokens.length : 0 };
+}
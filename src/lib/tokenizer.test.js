@@ -0,0 +1,125 @@
+import {
+  lexiconMatches,
+  lexiconSpans,
+  lexiconWords,
+  lookupKeys,
+  normalizeKey,
+  splitCompound,
+  tokenize,
+} from "./tokenizer";
+
+const lexicon = {
+  für: { x: 4, y: 5, confidence: 16 },
+  bürgerinnen: { x: 6, y: 4, confidence: 68 },
+  maßnahmen: { x: 9, y: 9, confidence: 33 },
+  klima: { x: 3, y: 4, confidence: 20 },
+  klimaschutz: { x: 4, y: 4, confidence: 88 },
+  schutz: { x: 6, y: 6, confidence: 30 },
+  gesetz: { x: 4, y: 6, confidence: 15 },
+  arbeit: { x: 3, y: 5, confidence: 40 },
+  markt: { x: 7, y: 5, confidence: 50 },
+};
+
+test("keeps umlauts and ß inside words", () => {
+  expect(tokenize("Maßnahmen für Bürger")).toEqual([
+    "maßnahmen",
+    "für",
+    "bürger",
+  ]);
+});
+
+test("joins gender forms and line-break hyphenation", () => {
+  expect(tokenize("Bürger*innen, Bürger:innen und BürgerInnen")).toEqual([
+    "bürgerinnen",
+    "bürgerinnen",
+    "und",
+    "bürgerinnen",
+  ]);
+  expect(tokenize("Klima-\nschutz")).toEqual(["klimaschutz"]);
+});
+
+test("looks up the base of a gender form without an entry", () => {
+  const withInnen = {
+    ...lexicon,
+    lehrer: { x: 3, y: 3, confidence: 20 },
+    innen: { x: 9, y: 9, confidence: 50 },
+  };
+  expect(lexiconWords("Lehrer/-innen und Lehrerin", withInnen)).toEqual(["lehrer", "lehrer"]);
+  // Compound bases still split, without a separate "innen"
+  expect(lexiconWords("Klimalehrer*innen", withInnen)).toEqual(["klima", "lehrer"]);
+  // A gender form in the lexicon is used as it is
+  expect(lexiconWords("Bürger*innen", withInnen)).toEqual(["bürgerinnen"]);
+});
+
+test("keeps hyphenated words together and resolves their parts", () => {
+  expect(tokenize("Klima-Schutz-Gesetz")).toEqual(["klima-schutz-gesetz"]);
+  expect(lookupKeys("klima-schutz", lexicon)).toEqual(["klimaschutz"]);
+  expect(lookupKeys("klima-gesetz", lexicon)).toEqual(["klima", "gesetz"]);
+});
+
+test("splits unknown compounds into the fewest lexicon parts", () => {
+  expect(splitCompound("klimaschutzgesetz", lexicon)).toEqual([
+    "klimaschutz",
+    "gesetz",
+  ]);
+  expect(splitCompound("arbeitsmarkt", lexicon)).toEqual(["arbeit", "markt"]);
+  expect(splitCompound("klimaxyzgesetz", lexicon)).toBeNull();
+});
+
+test("ignores inherited object keys", () => {
+  expect(lexiconWords("constructor toString für", lexicon)).toEqual(["für"]);
+});
+
+test("matches phrase entries greedily before single words", () => {
+  const withPhrases = {
+    ...lexicon,
+    "soziale marktwirtschaft": { x: 6, y: 5, confidence: 90 },
+    "soziale markt wirtschaft": { x: 1, y: 1, confidence: 1 },
+    soziale: { x: 2, y: 5, confidence: 30 },
+    marktwirtschaft: { x: 8, y: 5, confidence: 60 },
+  };
+  expect(lexiconWords("Die Soziale Marktwirtschaft, soziale Arbeit", withPhrases)).toEqual([
+    "soziale marktwirtschaft",
+    "soziale",
+    "arbeit",
+  ]);
+  expect(lexiconWords("Soziale Marktwirtschaft", withPhrases, { phrases: false })).toEqual([
+    "soziale",
+    "marktwirtschaft",
+  ]);
+  // Phrases do not run across punctuation
+  expect(lexiconWords("soziale. Marktwirtschaft", withPhrases)).toEqual([
+    "soziale",
+    "marktwirtschaft",
+  ]);
+  expect(normalizeKey("  Soziale   Marktwirtschaft ")).toBe("soziale marktwirtschaft");
+});
+
+test("flags words in the scope of a negator until the clause ends", () => {
+  const text = "Keine Maßnahmen für Klima und Markt, aber Schutz";
+  expect(lexiconMatches(text, lexicon, { negation: true })).toEqual([
+    { word: "maßnahmen", negated: true },
+    { word: "für", negated: true },
+    { word: "klima", negated: true },
+    { word: "markt", negated: false },
+    { word: "schutz", negated: false },
+  ]);
+  expect(lexiconMatches(text, lexicon).every((m) => !m.negated)).toBe(true);
+});
+
+test("places matches in the original text", () => {
+  const withPhrases = { ...lexicon, "soziale marktwirtschaft": { x: 6, y: 5, confidence: 90 } };
+  const text = "Keine Soziale Marktwirtschaft für Bürger*innen, aber Klima-\nschutz";
+  const spans = lexiconSpans(text, withPhrases, { negation: true });
+  expect(spans.map((s) => [text.slice(s.start, s.end), s.words])).toEqual([
+    ["Keine", []],
+    ["Soziale Marktwirtschaft", [{ word: "soziale marktwirtschaft", negated: true }]],
+    ["für", [{ word: "für", negated: true }]],
+    ["Bürger*innen", [{ word: "bürgerinnen", negated: false }]],
+    ["aber", []],
+    ["Klima-\nschutz", [{ word: "klimaschutz", negated: false }]],
+  ]);
+  expect(spans.flatMap((s) => s.words)).toEqual(
+    lexiconMatches(text, withPhrases, { negation: true })
+  );
+});
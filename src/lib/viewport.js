@@ -0,0 +1,71 @@
+// The visible part of the 0-10 chart: a square window with its lower-left
+// corner at (x, y), `span` units wide. Zooming and panning only change the
+// window; points are projected through it and keep their size on screen.
+// A frame { left, top, size } is the chart's square in SVG units.
+
+export const FULL_VIEW = { x: 0, y: 0, span: 10 };
+export const MIN_SPAN = 0.25;
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+// Keeps a view inside the chart
+export function clampView({ x, y, span }) {
+  const s = clamp(span, MIN_SPAN, 10);
+  return { x: clamp(x, 0, 10 - s), y: clamp(y, 0, 10 - s), span: s };
+}
+
+export function isFullView(view) {
+  return view.span >= 10;
+}
+
+// Zooms in by `factor` (below 1 zooms out), keeping the chart point (cx, cy)
+// where it is on screen
+export function zoomView(view, factor, cx, cy) {
+  const span = clamp(view.span / factor, MIN_SPAN, 10);
+  const k = span / view.span;
+  return clampView({ x: cx - (cx - view.x) * k, y: cy - (cy - view.y) * k, span });
+}
+
+// Moves the window by (dx, dy) chart units
+export function panView(view, dx, dy) {
+  return clampView({ x: view.x + dx, y: view.y + dy, span: view.span });
+}
+
+// Chart coordinates to SVG coordinates
+export function viewToSvg(view, frame, x, y) {
+  const k = frame.size / view.span;
+  return {
+    sx: frame.left + (x - view.x) * k,
+    sy: frame.top + frame.size - (y - view.y) * k,
+  };
+}
+
+// SVG coordinates to chart coordinates (not clamped to the chart)
+export function svgToView(view, frame, sx, sy) {
+  const k = view.span / frame.size;
+  return {
+    x: view.x + (sx - frame.left) * k,
+    y: view.y + (frame.top + frame.size - sy) * k,
+  };
+}
+
+// Grid spacing giving at most about `lines` lines across a view: 1, 2 or 5
+// times a power of ten
+export function gridStep(span, lines = 10) {
+  const raw = span / lines;
+  const power = 10 ** Math.floor(Math.log10(raw));
+  const step = [1, 2, 5, 10].find((m) => raw <= m * power * (1 + 1e-9));
+  return step * power;
+}
+
+// Multiples of `step` from `from` to `to`, without floating point noise
+export function gridValues(from, to, step) {
+  const decimals = Math.max(0, -Math.floor(Math.log10(step) + 1e-9));
+  const values = [];
+  for (let i = Math.ceil(from / step - 1e-9); i * step <= to + 1e-9; i++) {
+    values.push(Number((i * step).toFixed(decimals)));
+  }
+  return values;
+}
@@ -0,0 +1,46 @@
+import {
+  FULL_VIEW,
+  MIN_SPAN,
+  gridStep,
+  gridValues,
+  panView,
+  svgToView,
+  viewToSvg,
+  zoomView,
+} from "./viewport";
+
+const frame = { left: 70, top: 70, size: 640 };
+
+test("projects chart coordinates through a view and back", () => {
+  expect(viewToSvg(FULL_VIEW, frame, 0, 10)).toEqual({ sx: 70, sy: 70 });
+  expect(viewToSvg(FULL_VIEW, frame, 5, 5)).toEqual({ sx: 390, sy: 390 });
+  const view = { x: 4, y: 4, span: 2 };
+  expect(viewToSvg(view, frame, 5, 5)).toEqual({ sx: 390, sy: 390 });
+  expect(viewToSvg(view, frame, 4, 4)).toEqual({ sx: 70, sy: 710 });
+  const { x, y } = svgToView(view, frame, 150, 300);
+  const back = viewToSvg(view, frame, x, y);
+  expect(back.sx).toBeCloseTo(150);
+  expect(back.sy).toBeCloseTo(300);
+});
+
+test("zooms around a fixed point and stays inside the chart", () => {
+  const view = zoomView(FULL_VIEW, 4, 5, 5);
+  expect(view).toEqual({ x: 3.75, y: 3.75, span: 2.5 });
+  // The point under the cursor stays put
+  const zoomed = zoomView(view, 2, 4, 5);
+  expect(svgToView(zoomed, frame, ...Object.values(viewToSvg(view, frame, 4, 5)))).toEqual({
+    x: 4,
+    y: 5,
+  });
+  expect(zoomView(FULL_VIEW, 1000, 0, 0).span).toBe(MIN_SPAN);
+  expect(zoomView(view, 0.01, 9, 9)).toEqual(FULL_VIEW);
+  expect(panView(view, -10, 1)).toEqual({ x: 0, y: 4.75, span: 2.5 });
+});
+
+test("picks round grid steps for the zoom level", () => {
+  expect(gridStep(10)).toBe(1);
+  expect(gridStep(2.5)).toBe(0.5);
+  expect(gridStep(1)).toBeCloseTo(0.1);
+  expect(gridValues(3.75, 6.25, 0.5)).toEqual([4, 4.5, 5, 5.5, 6]);
+  expect(gridValues(0.25, 0.5, 0.1)).toEqual([0.3, 0.4, 0.5]);
+});
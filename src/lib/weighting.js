@@ -0,0 +1,61 @@
+// Term weighting schemes for text scoring. Every matched word counts with
+// confidence * termWeight(count); "tfidf" also scales by how rare the word is
+// across a reference corpus (the loaded party texts) and falls back to "raw"
+// until one is available. Stopwords can be dropped under any scheme.
+
+export const WEIGHTINGS = {
+  raw: { label: "Raw counts", needsCorpus: false },
+  sublinear: { label: "Sublinear TF (1 + ln tf)", needsCorpus: false },
+  tfidf: { label: "TF-IDF vs. parties", needsCorpus: true },
+};
+
+// Function words that carry no position of their own but, being frequent,
+// dominate long texts. Negators are left out so "nicht" keeps its own entry.
+export const GERMAN_STOPWORDS = [
+  "aber", "alle", "allem", "allen", "aller", "alles", "als", "also", "am", "an",
+  "ander", "andere", "anderen", "auch", "auf", "aus", "bei", "beim", "bin", "bis",
+  "bist", "da", "damit", "dann", "das", "dass", "dem", "den", "denn", "der",
+  "des", "dessen", "die", "dies", "diese", "diesem", "diesen", "dieser", "dieses",
+  "doch", "dort", "du", "durch", "ein", "eine", "einem", "einen", "einer", "eines",
+  "er", "es", "etwa", "euch", "euer", "für", "hat", "hatte", "hier", "ich",
+  "ihr", "ihre", "ihrem", "ihren", "ihrer", "im", "in", "ins", "ist", "ja",
+  "jede", "jedem", "jeden", "jeder", "jedes", "man", "mehr", "mit", "muss",
+  "nach", "noch", "nun", "nur", "ob", "oder", "sehr", "sein", "seine", "seinem",
+  "seinen", "seiner", "sich", "sie", "sind", "so", "soll", "sollen", "um", "und",
+  "uns", "unser", "unsere", "unserem", "unseren", "unserer", "unter", "viel",
+  "vom", "von", "vor", "war", "waren", "was", "weil", "wenn", "werden", "wie",
+  "wir", "wird", "wo", "wurde", "wurden", "zu", "zum", "zur", "zwischen",
+];
+
+// Document frequencies of lexicon keys across a corpus, from each text's
+// list of matched keys
+export function buildDocumentFrequencies(matchedKeysPerText) {
+  const df = new Map();
+  for (const keys of matchedKeysPerText) {
+    for (const key of new Set(keys)) df.set(key, (df.get(key) || 0) + 1);
+  }
+  return { size: matchedKeysPerText.length, df };
+}
+
+// The scheme actually applied: tfidf needs document frequencies
+export function effectiveWeighting(options) {
+  const scheme = WEIGHTINGS[options.weighting] ? options.weighting : "raw";
+  return WEIGHTINGS[scheme].needsCorpus && !options.documentFrequencies ? "raw" : scheme;
+}
+
+// Smoothed inverse document frequency; 1 for words in every text
+export function inverseDocumentFrequency(word, { size, df }) {
+  return Math.log((1 + size) / (1 + (df.get(word) || 0))) + 1;
+}
+
+// Weight of a word occurring `count` times, before its confidence is applied
+export function termWeight(count, word, options) {
+  switch (effectiveWeighting(options)) {
+    case "sublinear":
+      return 1 + Math.log(count);
+    case "tfidf":
+      return count * inverseDocumentFrequency(word, options.documentFrequencies);
+    default:
+      return count;
+  }
+}
@@ -0,0 +1,35 @@
+import {
+  buildDocumentFrequencies,
+  effectiveWeighting,
+  inverseDocumentFrequency,
+  termWeight,
+} from "./weighting";
+
+const frequencies = buildDocumentFrequencies([
+  ["und", "markt", "markt"],
+  ["und", "staat"],
+  ["und"],
+]);
+
+test("counts each key once per text", () => {
+  expect(frequencies.size).toBe(3);
+  expect(frequencies.df.get("und")).toBe(3);
+  expect(frequencies.df.get("markt")).toBe(1);
+});
+
+test("weights counts by scheme", () => {
+  expect(termWeight(4, "markt", { weighting: "raw" })).toBe(4);
+  expect(termWeight(1, "markt", { weighting: "sublinear" })).toBe(1);
+  expect(termWeight(4, "markt", { weighting: "sublinear" })).toBeCloseTo(1 + Math.log(4));
+  const tfidf = { weighting: "tfidf", documentFrequencies: frequencies };
+  expect(termWeight(2, "und", tfidf)).toBe(2);
+  expect(termWeight(2, "markt", tfidf)).toBeCloseTo(2 * (Math.log(2) + 1));
+  // Words outside the corpus count as rarest
+  expect(inverseDocumentFrequency("neu", frequencies)).toBeCloseTo(Math.log(4) + 1);
+});
+
+test("tf-idf falls back to raw counts without a corpus", () => {
+  expect(effectiveWeighting({ weighting: "tfidf", documentFrequencies: null })).toBe("raw");
+  expect(termWeight(3, "markt", { weighting: "tfidf", documentFrequencies: null })).toBe(3);
+  expect(effectiveWeighting({ weighting: "unknown" })).toBe("raw");
+});
@@ -0,0 +1,32 @@
+// Filtering, sorting and paging for the region word browser. Searching
+// ignores case and umlaut spelling like the editor's autocomplete.
+import { foldWord } from "./autocomplete.js";
+
+export const WORD_TABLE_COLUMNS = ["word", "x", "y", "confidence"];
+
+// Words containing `search` with confidence >= minConfidence
+export function filterWords(words, { search = "", minConfidence = 0 } = {}) {
+  const query = foldWord(search.trim()).text;
+  return words.filter(
+    (w) => w.confidence >= minConfidence && (!query || foldWord(w.word).text.includes(query))
+  );
+}
+
+// A sorted copy; words compare alphabetically, numbers numerically
+export function sortWords(words, key, direction = "asc") {
+  const sign = direction === "asc" ? 1 : -1;
+  const compare =
+    key === "word" ? (a, b) => a.word.localeCompare(b.word, "de") : (a, b) => a[key] - b[key];
+  return [...words].sort((a, b) => sign * compare(a, b) || a.word.localeCompare(b.word, "de"));
+}
+
+// One page of rows; `page` is clamped to the pages there are
+export function paginate(rows, page, pageSize) {
+  const pageCount = Math.max(1, Math.ceil(rows.length / pageSize));
+  const current = Math.min(Math.max(0, page), pageCount - 1);
+  return {
+    page: current,
+    pageCount,
+    rows: rows.slice(current * pageSize, (current + 1) * pageSize),
+  };
+}
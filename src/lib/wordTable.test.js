@@ -0,0 +1,36 @@
+import { filterWords, paginate, sortWords } from "./wordTable";
+
+const words = [
+  { word: "staat", x: 3, y: 8, confidence: 30 },
+  { word: "bürger", x: 5, y: 5, confidence: 12 },
+  { word: "staatsbürger", x: 6, y: 6, confidence: 4 },
+  { word: "markt", x: 7.5, y: 3, confidence: 20 },
+];
+
+test("filters by folded search text and confidence", () => {
+  expect(filterWords(words, { search: "BUERGER" }).map((w) => w.word)).toEqual([
+    "bürger",
+    "staatsbürger",
+  ]);
+  expect(filterWords(words, { search: "bürger", minConfidence: 10 })).toHaveLength(1);
+  expect(filterWords(words, { minConfidence: 20 })).toHaveLength(2);
+});
+
+test("sorts by any column in either direction", () => {
+  expect(sortWords(words, "word").map((w) => w.word)).toEqual([
+    "bürger",
+    "markt",
+    "staat",
+    "staatsbürger",
+  ]);
+  expect(sortWords(words, "confidence", "desc")[0].word).toBe("staat");
+  expect(sortWords(words, "x")[0].word).toBe("staat");
+  // The input is left alone
+  expect(words[0].word).toBe("staat");
+});
+
+test("pages rows and clamps the page number", () => {
+  expect(paginate(words, 1, 3)).toEqual({ page: 1, pageCount: 2, rows: [words[3]] });
+  expect(paginate(words, 5, 3).page).toBe(1);
+  expect(paginate([], 0, 3)).toEqual({ page: 0, pageCount: 1, rows: [] });
+});